@@ -0,0 +1,85 @@
+/**
+ * check-parsers - Parse small sample files in every import format
+ *
+ * Usage:
+ *   node scripts/check-parsers.js
+ *
+ * Each sample is parsed with src/utils/graphParsers and its node and
+ * edge counts compared with the expected ones; samples that must be
+ * rejected are expected to throw a GraphParseError with the given text.
+ * Exits with code 1 when any check fails.
+ */
+
+import { parseGraph, GraphParseError } from '../src/utils/graphParsers.js'
+
+const SAMPLES = [
+  {
+    name: 'edge list',
+    format: 'edgelist',
+    text: '# comment\n1 2\n2 3 0.5\n3 1\n',
+    nodes: 3,
+    edges: 3,
+  },
+  {
+    name: 'Pajek',
+    format: 'pajek',
+    text: '*Vertices 3\n1 "a"\n2 "b"\n3 "c"\n*Edges\n1 2\n2 3\n',
+    nodes: 3,
+    edges: 2,
+  },
+  {
+    name: 'Pajek with a *Network header',
+    format: 'pajek',
+    text: '*Network "Sample network"\n*Vertices 3\n1 "a"\n2 "b"\n3 "c"\n*Arcs\n1 2\n2 3\n3 1\n',
+    nodes: 3,
+    edges: 3,
+    directed: true,
+  },
+  {
+    name: 'Pajek with an adjacency matrix',
+    format: 'pajek',
+    text: '*Network sample\n*Vertices 2\n*Matrix\n0 1\n1 0\n',
+    rejected: '*Matrix sections are not supported',
+  },
+  {
+    name: 'Pajek with a late *Network header',
+    format: 'pajek',
+    text: '*Vertices 2\n*Network sample\n*Edges\n1 2\n',
+    rejected: '*Network must come before the other sections',
+  },
+]
+
+function checkSample(sample) {
+  let nodeLink
+  try {
+    nodeLink = parseGraph(sample.text, sample.format, sample.name)
+  } catch (err) {
+    if (sample.rejected && err instanceof GraphParseError && err.message.includes(sample.rejected)) return
+    throw err
+  }
+
+  if (sample.rejected) throw new Error(`expected "${sample.rejected}", but it parsed`)
+  const { nodes, edges, directed } = nodeLink.metadata
+  if (nodes !== sample.nodes || edges !== sample.edges) {
+    throw new Error(`expected ${sample.nodes} nodes and ${sample.edges} edges, got ${nodes} and ${edges}`)
+  }
+  if (directed !== Boolean(sample.directed)) {
+    throw new Error(`expected ${sample.directed ? 'a directed' : 'an undirected'} network`)
+  }
+}
+
+function main() {
+  let failed = 0
+  for (const sample of SAMPLES) {
+    try {
+      checkSample(sample)
+      console.log(`ok    ${sample.name}`)
+    } catch (err) {
+      console.error(`FAIL  ${sample.name}: ${err.message}`)
+      failed++
+    }
+  }
+  if (failed > 0) process.exitCode = 1
+}
+
+main()
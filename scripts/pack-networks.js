@@ -0,0 +1,65 @@
+/**
+ * pack-networks - Convert datasets' nodelink.json to network.bin
+ *
+ * Usage:
+ *   node scripts/pack-networks.js              # every dataset in the manifest
+ *   node scripts/pack-networks.js polblogs ... # the given dataset ids
+ *
+ * Writes public/data/{id}/network.bin (see src/utils/packedGraph) next to
+ * nodelink.json, which is left in place. Add "packed" to the dataset's
+ * "files" in public/data/index.json for the app to load it.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import path from 'node:path'
+import { encodePackedGraph, decodePackedGraph } from '../src/utils/packedGraph.js'
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'data')
+
+async function packNetwork(id) {
+  const source = path.join(DATA_DIR, id, 'nodelink.json')
+  const nodeLink = JSON.parse(await readFile(source, 'utf8'))
+
+  // The packed format relies on node_idx == position
+  nodeLink.nodes.forEach((node, i) => {
+    if (node.node_idx !== i) throw new Error(`node ${i} has node_idx ${node.node_idx}`)
+  })
+
+  const buffer = encodePackedGraph(nodeLink)
+
+  // Round trip, so a broken file is never written
+  const { packed } = decodePackedGraph(buffer)
+  if (packed.nodeCount !== nodeLink.nodes.length || packed.edgeCount !== nodeLink.edges.length) {
+    throw new Error('round trip changed the graph size')
+  }
+
+  const target = path.join(DATA_DIR, id, 'network.bin')
+  await writeFile(target, new Uint8Array(buffer))
+
+  const jsonSize = Buffer.byteLength(JSON.stringify(nodeLink))
+  const percent = Math.round(100 * buffer.byteLength / jsonSize)
+  console.log(`${id}: ${packed.nodeCount} nodes, ${packed.edgeCount} edges, ` +
+    `${buffer.byteLength} bytes (${percent}% of minified JSON)`)
+}
+
+async function main() {
+  let ids = process.argv.slice(2)
+  if (ids.length === 0) {
+    const manifest = JSON.parse(await readFile(path.join(DATA_DIR, 'index.json'), 'utf8'))
+    ids = manifest.datasets.map(entry => entry.id)
+  }
+
+  let failed = 0
+  for (const id of ids) {
+    try {
+      await packNetwork(id)
+    } catch (err) {
+      console.error(`${id}: ${err.message}`)
+      failed++
+    }
+  }
+  if (failed > 0) process.exitCode = 1
+}
+
+main()
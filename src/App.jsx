@@ -1,26 +1,69 @@
 import { useState } from 'react'
 import { SelectionProvider } from './contexts/SelectionContext'
 import { NetworkProvider } from './contexts/NetworkContext'
+import { ViewProvider } from './contexts/ViewContext'
+import { LayoutProvider } from './contexts/LayoutContext'
 import ControlPanel from './components/ui/ControlPanel'
 import PaneLayout from './components/PaneLayout'
+import DetachedPane from './components/DetachedPane'
+import { useUrlState } from './hooks/useUrlState'
+import { useWindowSync } from './hooks/useWindowSync'
+import { detachedPaneParams } from './utils/windowSync'
 import './App.css'
 
+// Set in windows opened by detaching a pane (see LayoutContext)
+const detached = detachedPaneParams()
+
+// App-wide effects, mounted once below the providers they use
+
+// Loads the initial network and keeps the URL hash in sync
+function UrlState() {
+  useUrlState()
+  return null
+}
+
+// Shares network, hover and selection between the main window and its
+// detached panes
+function WindowSync() {
+  useWindowSync()
+  return null
+}
+
 function App() {
+  if (detached) {
+    return (
+      <NetworkProvider>
+        <SelectionProvider>
+          <ViewProvider>
+            <WindowSync />
+            <DetachedPane pane={detached.pane} slotId={detached.slotId} />
+          </ViewProvider>
+        </SelectionProvider>
+      </NetworkProvider>
+    )
+  }
+
   return (
     <NetworkProvider>
       <SelectionProvider>
-        <div className="app">
-          <header className="app-header">
-            <div className="app-title">
-            <h1>S Y N D E S M O S C O P E</h1>
-              {/* <span className="app-version">V01</span> */}
+        <ViewProvider>
+          <LayoutProvider>
+            <UrlState />
+            <WindowSync />
+            <div className="app">
+              <header className="app-header">
+                <div className="app-title">
+                <h1>S Y N D E S M O S C O P E</h1>
+                  {/* <span className="app-version">V01</span> */}
+                </div>
+                <ControlPanel />
+              </header>
+              <main className="app-main">
+                <PaneLayout />
+              </main>
             </div>
-            <ControlPanel />
-          </header>
-          <main className="app-main">
-            <PaneLayout />
-          </main>
-        </div>
+          </LayoutProvider>
+        </ViewProvider>
       </SelectionProvider>
     </NetworkProvider>
   )
@@ -0,0 +1,61 @@
+import { useEffect } from 'react'
+import { PaneSlotProvider } from '../contexts/PaneSlotContext'
+import { getPane } from './panes'
+import { usePaneTypes } from '../hooks/usePaneTypes'
+import { usePaneData } from '../hooks/usePaneData'
+import { postWindowMessage, onWindowMessage } from '../utils/windowSync'
+import SlotPane from './panes/SlotPane'
+
+/**
+ * DetachedPane - The whole app of a detached window: the pane of one
+ * slot of the main window, filling the window.
+ *
+ * The network, hover and selection follow the main window (see
+ * useWindowSync, mounted by App). Re-docking, or closing the window,
+ * hands the pane back to its slot; the main window closes this one when
+ * the slot goes away or is re-docked from there.
+ */
+
+function DetachedPane({ pane, slotId }) {
+  const paneData = usePaneData()
+  // Re-render when panes are registered later
+  usePaneTypes()
+
+  const title = getPane(pane)?.title || pane
+
+  useEffect(() => {
+    document.title = paneData.networkName
+      ? `${title} · ${paneData.networkName} — Syndesmoscope`
+      : `${title} — Syndesmoscope`
+  }, [title, paneData.networkName])
+
+  // Hand the pane back when the window goes away, and go away when asked
+  useEffect(() => {
+    const handlePageHide = () => postWindowMessage({ type: 'redock', slotId })
+    window.addEventListener('pagehide', handlePageHide)
+    const unsubscribe = onWindowMessage('close', (message) => {
+      if (message.slotId === slotId) window.close()
+    })
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide)
+      unsubscribe()
+    }
+  }, [slotId])
+
+  const redock = () => {
+    postWindowMessage({ type: 'redock', slotId })
+    window.close()
+  }
+
+  return (
+    <div className="app">
+      <main className="app-main">
+        <PaneSlotProvider value={{ redock }}>
+          <SlotPane slot={{ id: slotId, pane }} data={paneData} />
+        </PaneSlotProvider>
+      </main>
+    </div>
+  )
+}
+
+export default DetachedPane
@@ -1,106 +1,129 @@
+import { useRef, useEffect } from 'react'
 import { Panel, PanelGroup, PanelResizeHandle } from 'react-resizable-panels'
-import { useNetwork } from '../contexts/NetworkContext'
-import NodeLinkPane from './panes/NodeLinkPane'
-// import HopCensusPane from './panes/HopCensusPane'
-import KSnakesPane from './panes/KSnakesPane'
+import { useView } from '../contexts/ViewContext'
+import { useLayout } from '../contexts/LayoutContext'
+import { PaneSlotProvider } from '../contexts/PaneSlotContext'
+import { isSplit, layoutSlots } from '../utils/paneLayout'
+import { usePaneTypes } from '../hooks/usePaneTypes'
+import { usePaneData } from '../hooks/usePaneData'
+import PaneSlotBar from './ui/PaneSlotBar'
+import Pane from './ui/Pane'
+import SlotPane from './panes/SlotPane'
 import './PaneLayout.css'
 
-function PaneLayout() {
-  const { networkData, currentNetwork } = useNetwork()
-
-  return (
-    <PanelGroup 
-      direction="horizontal" 
-      className="panel-group"
-      autoSaveId="syndesmoscope-layout"
-    >
-
-      {/*********************************************************************/}
-      {/*********************************************************************/}
-
-      <Panel 
-        defaultSize={33} 
-        minSize={1.7}
-        className="panel"
-      >
-        <NodeLinkPane 
-          data={networkData?.nodeLink}
-          networkName={currentNetwork?.name}
-        />
-      </Panel>
-
-      <PanelResizeHandle className="panel-resize-handle" />
-
-      {/*********************************************************************/}
-
-      <Panel 
-        defaultSize={33} 
-        minSize={1.7}
-        className="panel"
-      >
-        <KSnakesPane 
-          data={networkData?.kSnakes}
-          networkName={currentNetwork?.name}
-        />
-      </Panel>
-
-      <PanelResizeHandle className="panel-resize-handle" />
-
-      {/*********************************************************************/}
+/**
+ * PaneLayout - Renders the pane layout of LayoutContext (see
+ * utils/paneLayout): nested panel groups for the splits, and a pane with
+ * its slot bar (pane type, split, move, remove) for each slot.
+ *
+ * Slots show the pane registered under their type (see
+ * components/panes/registry), given the pane data of usePaneData, with a
+ * detach button; a detached slot keeps its place and offers to re-dock.
+ *
+ * The sizes of the top-level group are reported to ViewContext (URL and
+ * session state); every group reports its sizes to LayoutContext.
+ */
 
-      <Panel 
-        defaultSize={33} 
-        minSize={1.7}
-        className="panel"
-      >
-        <NodeLinkPane 
-          data={networkData?.nodeLink}
-          networkName={currentNetwork?.name}
-        />
-      </Panel>
-
-      <PanelResizeHandle className="panel-resize-handle" />
-
-      {/*********************************************************************/}
-
-      <Panel 
-        defaultSize={33} 
-        minSize={1.7}
-        className="panel"
-      >
-        <NodeLinkPane 
-          data={networkData?.nodeLink}
-          networkName={currentNetwork?.name}
-        />
-      </Panel>
-
-      {/*********************************************************************/}
-      {/*********************************************************************/}
+function PaneLayout() {
+  const { registerPanelGroup, reportPaneSizes } = useView()
+  const { layout } = useLayout()
+  const paneData = usePaneData()
+  // Re-render when panes are registered later
+  usePaneTypes()
+  const slotCount = layoutSlots(layout).length
 
-      {/* <Panel 
-        defaultSize={34} 
-        minSize={10}
-        className="panel"
-      >
-        <HopCensusPane 
-          data={networkData?.hopCensus}
-          networkName={currentNetwork?.name}
-        />
-      </Panel>
+  const renderPane = (slot) => <SlotPane slot={slot} data={paneData} />
 
-      <PanelResizeHandle className="panel-resize-handle" />
+  return (
+    <LayoutSplit
+      split={layout}
+      isRoot
+      slotCount={slotCount}
+      renderPane={renderPane}
+      registerPanelGroup={registerPanelGroup}
+      reportPaneSizes={reportPaneSizes}
+    />
+  )
+}
 
-      <Panel 
-        defaultSize={33} 
-        minSize={10}
-        className="panel"
-      >
-        <KSnakesPane 
-          data={networkData?.kSnakes}
-          networkName={currentNetwork?.name}
-        />
-      </Panel> */}
+/**
+ * One split of the layout, as a panel group of its children.
+ */
+function LayoutSplit({ split, isRoot = false, slotCount, renderPane, registerPanelGroup, reportPaneSizes }) {
+  const panelGroupRef = useRef(null)
+  const { reportSplitSizes, detachedSlots, detachSlot, redockSlot } = useLayout()
+
+  // Expose the top-level panel sizes to ViewContext (URL state)
+  useEffect(() => {
+    if (!isRoot || !panelGroupRef.current) return
+    return registerPanelGroup(panelGroupRef.current)
+  }, [isRoot, registerPanelGroup])
+
+  // Apply the layout's sizes when they change (presets, edits)
+  useEffect(() => {
+    const group = panelGroupRef.current
+    if (!group) return
+    const current = group.getLayout()
+    if (current.length === split.sizes.length && current.some((size, i) => Math.abs(size - split.sizes[i]) > 0.1)) {
+      group.setLayout(split.sizes)
+    }
+  }, [split.sizes])
+
+  const handleLayout = (sizes) => {
+    reportSplitSizes(split.id, sizes)
+    if (isRoot) reportPaneSizes(sizes)
+  }
 
+  return (
+    <PanelGroup
+      ref={panelGroupRef}
+      id={split.id}
+      direction={split.direction}
+      className="panel-group"
+      onLayout={handleLayout}
+    >
+      {split.children.map((child, i) => [
+        i > 0 && <PanelResizeHandle key={`${child.id}-handle`} className="panel-resize-handle" />,
+        <Panel
+          key={child.id}
+          id={child.id}
+          order={i}
+          defaultSize={split.sizes[i]}
+          minSize={1.7}
+          className="panel"
+        >
+          {isSplit(child) ? (
+            <LayoutSplit
+              split={child}
+              slotCount={slotCount}
+              renderPane={renderPane}
+              registerPanelGroup={registerPanelGroup}
+              reportPaneSizes={reportPaneSizes}
+            />
+          ) : (
+            <div className="pane-slot">
+              <PaneSlotBar
+                slot={child}
+                direction={split.direction}
+                isFirst={i === 0}
+                isLast={i === split.children.length - 1}
+                canRemove={slotCount > 1}
+              />
+              <div className="pane-slot-content">
+                {detachedSlots.has(child.id) ? (
+                  <PaneSlotProvider value={{ redock: () => redockSlot(child.id) }}>
+                    <Pane title={child.pane} isEmpty emptyMessage="SHOWN IN ANOTHER WINDOW" />
+                  </PaneSlotProvider>
+                ) : (
+                  <PaneSlotProvider value={{ detach: () => detachSlot(child) }}>
+                    {renderPane(child)}
+                  </PaneSlotProvider>
+                )}
+              </div>
+            </div>
+          )}
+        </Panel>
+      ])}
     </PanelGroup>
   )
 }
@@ -0,0 +1,338 @@
+import { useRef, useEffect, useCallback, useMemo, useState } from 'react'
+import * as d3 from 'd3'
+import Pane from '../ui/Pane'
+import { useSelection } from '../../contexts/SelectionContext'
+import { usePaneZoom } from '../../hooks/usePaneZoom'
+import { getEdgeArrays, isDirected } from '../../utils/graph'
+import { ORDERINGS, matrixOrder } from '../../utils/matrixOrder'
+import './AdjacencyMatrixPane.css'
+
+/**
+ * AdjacencyMatrixPane - Adjacency matrix visualization
+ *
+ * One row and one column per node, in the chosen ordering (see
+ * utils/matrixOrder); a filled cell (row u, column v) is an edge u-v. Rows
+ * of directed networks are sources and columns targets; undirected
+ * matrices are symmetric.
+ *
+ * Drawn on a canvas, so large graphs stay fast: each redraw costs one
+ * fillRect per edge, whatever the zoom.
+ *
+ * - Cells link to edges: hover highlights, click selects
+ * - The strips left of and above the matrix link to nodes (rows and
+ *   columns); highlighted nodes tint their row and column
+ */
+
+const ACCENT_COLOR = 'var(--color-accent-matrix)'
+
+// Space (px) around the matrix
+const MARGIN = 20
+
+// Width (px) of the node strips beside the matrix, and their gap
+const STRIP_SIZE = 8
+const STRIP_GAP = 2
+
+// Smallest size (screen px) of highlighted cells, so they stay visible
+const MIN_HIGHLIGHT_CELL = 3
+
+// Offset (px) of the tooltip from the pointer
+const TOOLTIP_OFFSET = 12
+
+// Canvas colors, from the CSS variables
+function readColors(element) {
+  const style = getComputedStyle(element)
+  const color = (name) => style.getPropertyValue(name).trim()
+  return {
+    background: color('--color-bg-secondary'),
+    border: color('--color-border'),
+    cell: color('--color-accent-matrix'),
+    nodeSelected: color('--color-node-selected'),
+    nodeHover: color('--color-node-hover'),
+    edgeSelected: color('--color-edge-selected'),
+    edgeHover: color('--color-edge-hover')
+  }
+}
+
+function AdjacencyMatrixPane({ data, networkName, viewId = null, labels = null }) {
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+
+  const [ordering, setOrdering] = useState('index')
+  const [size, setSize] = useState(null)
+  const [tooltip, setTooltip] = useState(null)
+
+  const {
+    hoveredNodes,
+    selectedNodes,
+    hoveredEdges,
+    selectedEdges,
+    hoverNode,
+    hoverEdge,
+    clearHover,
+    toggleNodeSelection,
+    toggleEdgeSelection
+  } = useSelection()
+
+  const {
+    transform,
+    boundsRef,
+    zoomControls
+  } = usePaneZoom(canvasRef, { scaleExtent: [0.5, 64], viewId, resetOn: data })
+
+  // Row order, its inverse, and the edge in each cell
+  const matrix = useMemo(() => {
+    if (!data) return null
+    const order = matrixOrder(data, ordering)
+    const n = order.length
+    const position = new Int32Array(n)
+    order.forEach((u, i) => { position[u] = i })
+
+    const { sources, targets } = getEdgeArrays(data)
+    const directed = isDirected(data)
+    const cellEdge = new Map()
+    for (let e = sources.length - 1; e >= 0; e--) {
+      const s = sources[e]
+      const t = targets[e]
+      cellEdge.set(s * n + t, e)
+      if (!directed) cellEdge.set(t * n + s, e)
+    }
+    return { order, position, sources, targets, directed, cellEdge, n }
+  }, [data, ordering])
+
+  // Matrix placement: a square centered in the pane, right of and below
+  // the node strips
+  const layout = useMemo(() => {
+    if (!size || !matrix) return null
+    const offset = STRIP_SIZE + STRIP_GAP
+    const side = Math.max(1, Math.min(size.width, size.height) - 2 * MARGIN - offset)
+    return {
+      x0: (size.width - side + offset) / 2,
+      y0: (size.height - side + offset) / 2,
+      side,
+      cell: side / Math.max(1, matrix.n)
+    }
+  }, [size, matrix])
+
+  // Calculate bounds for fit-to-content
+  useEffect(() => {
+    if (!layout) return
+    const offset = STRIP_SIZE + STRIP_GAP
+    boundsRef.current = {
+      x: layout.x0 - offset,
+      y: layout.y0 - offset,
+      width: layout.side + offset,
+      height: layout.side + offset
+    }
+  }, [layout])
+
+  // Track the container size
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        const { width, height } = entry.contentRect
+        if (width > 0 && height > 0) {
+          setSize(prev => prev?.width === width && prev?.height === height ? prev : { width, height })
+        }
+      }
+    })
+    resizeObserver.observe(container)
+
+    return () => {
+      resizeObserver.disconnect()
+    }
+  }, [data])
+
+  // Draw the matrix
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !matrix || !layout) return
+
+    const dpr = window.devicePixelRatio || 1
+    canvas.width = Math.round(size.width * dpr)
+    canvas.height = Math.round(size.height * dpr)
+    canvas.style.width = `${size.width}px`
+    canvas.style.height = `${size.height}px`
+
+    const ctx = canvas.getContext('2d')
+    const colors = readColors(canvas)
+    const { position, sources, targets, directed, n } = matrix
+    const { x0, y0, side, cell } = layout
+    const { k } = transform
+    const offset = STRIP_SIZE + STRIP_GAP
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, size.width, size.height)
+    ctx.save()
+    ctx.translate(transform.x, transform.y)
+    ctx.scale(k, k)
+
+    // Background and node strips
+    ctx.fillStyle = colors.background
+    ctx.fillRect(x0, y0, side, side)
+    ctx.fillRect(x0 - offset, y0, STRIP_SIZE, side)
+    ctx.fillRect(x0, y0 - offset, side, STRIP_SIZE)
+    ctx.strokeStyle = colors.border
+    ctx.lineWidth = 1 / k
+    ctx.strokeRect(x0, y0, side, side)
+
+    // Rows and columns of highlighted nodes
+    const drawNodes = (nodes, color, alpha) => {
+      ctx.fillStyle = color
+      nodes.forEach(u => {
+        if (u >= n) return
+        const p = position[u] * cell
+        ctx.globalAlpha = alpha
+        ctx.fillRect(x0, y0 + p, side, cell)
+        ctx.fillRect(x0 + p, y0, cell, side)
+        ctx.globalAlpha = 1
+        ctx.fillRect(x0 - offset, y0 + p, STRIP_SIZE, Math.max(cell, 1 / k))
+        ctx.fillRect(x0 + p, y0 - offset, Math.max(cell, 1 / k), STRIP_SIZE)
+      })
+    }
+    drawNodes(hoveredNodes, colors.nodeHover, 0.15)
+    drawNodes(selectedNodes, colors.nodeSelected, 0.2)
+
+    // Edge cells, at least one device pixel
+    const minCell = 1 / (k * dpr)
+    const cellSize = Math.max(cell, minCell)
+    ctx.fillStyle = colors.cell
+    for (let e = 0; e < sources.length; e++) {
+      const r = position[sources[e]] * cell
+      const c = position[targets[e]] * cell
+      ctx.fillRect(x0 + c, y0 + r, cellSize, cellSize)
+      if (!directed) ctx.fillRect(x0 + r, y0 + c, cellSize, cellSize)
+    }
+
+    // Highlighted edges on top, enlarged when cells are tiny
+    const highlightSize = Math.max(cell, MIN_HIGHLIGHT_CELL / k)
+    const pad = (highlightSize - cell) / 2
+    const drawEdges = (edges, color) => {
+      ctx.fillStyle = color
+      edges.forEach(e => {
+        if (e >= sources.length) return
+        const r = position[sources[e]] * cell - pad
+        const c = position[targets[e]] * cell - pad
+        ctx.fillRect(x0 + c, y0 + r, highlightSize, highlightSize)
+        if (!directed) ctx.fillRect(x0 + r, y0 + c, highlightSize, highlightSize)
+      })
+    }
+    drawEdges(hoveredEdges, colors.edgeHover)
+    drawEdges(selectedEdges, colors.edgeSelected)
+
+    ctx.restore()
+  }, [matrix, layout, size, transform, hoveredNodes, selectedNodes, hoveredEdges, selectedEdges])
+
+  // What lies under the pointer: { edge } for a filled cell, { node } on a
+  // strip, or null
+  const hitTest = useCallback((event) => {
+    if (!matrix || !layout) return null
+    const [px, py] = d3.pointer(event, canvasRef.current)
+    const [x, y] = transform.invert([px, py])
+    const { x0, y0, side, cell } = layout
+    const offset = STRIP_SIZE + STRIP_GAP
+    const row = Math.floor((y - y0) / cell)
+    const col = Math.floor((x - x0) / cell)
+    const inRows = y >= y0 && y < y0 + side
+    const inCols = x >= x0 && x < x0 + side
+
+    if (inRows && inCols) {
+      const u = matrix.order[row]
+      const v = matrix.order[col]
+      const edge = matrix.cellEdge.get(u * matrix.n + v)
+      return edge === undefined ? null : { edge, u, v, x: px, y: py }
+    }
+    if (inRows && x >= x0 - offset && x < x0 - STRIP_GAP) return { node: matrix.order[row], x: px, y: py }
+    if (inCols && y >= y0 - offset && y < y0 - STRIP_GAP) return { node: matrix.order[col], x: px, y: py }
+    return null
+  }, [matrix, layout, transform])
+
+  const handleMouseMove = useCallback((event) => {
+    const hit = hitTest(event)
+    if (!hit) {
+      clearHover()
+      setTooltip(null)
+      return
+    }
+    if (hit.edge !== undefined) hoverEdge(hit.edge)
+    else hoverNode(hit.node)
+    const flip = hit.x > containerRef.current.clientWidth / 2
+    setTooltip({ ...hit, flip })
+  }, [hitTest, clearHover, hoverEdge, hoverNode])
+
+  const handleMouseLeave = useCallback(() => {
+    clearHover()
+    setTooltip(null)
+  }, [clearHover])
+
+  const handleClick = useCallback((event) => {
+    const hit = hitTest(event)
+    if (!hit) return
+    if (hit.edge !== undefined) toggleEdgeSelection(hit.edge)
+    else toggleNodeSelection(hit.node)
+  }, [hitTest, toggleEdgeSelection, toggleNodeSelection])
+
+  const nodeName = (u) => labels?.[u] ?? `Node ${u}`
+
+  return (
+    <Pane
+      title="Adjacency Matrix"
+      accentColor={ACCENT_COLOR}
+      isEmpty={!data}
+      toolbar={
+        <select
+          className="pane-select"
+          value={ordering}
+          onChange={(e) => setOrdering(e.target.value)}
+          aria-label="Row ordering"
+          title="Row ordering"
+        >
+          {ORDERINGS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      }
+      zoomControls={zoomControls}
+    >
+      <div
+        ref={containerRef}
+        className="pane-visualization"
+        tabIndex={0}
+        role="img"
+        aria-label="Adjacency matrix visualization. Use +/- to zoom, drag to pan."
+      >
+        <canvas
+          ref={canvasRef}
+          className="matrix-canvas"
+          onMouseMove={handleMouseMove}
+          onMouseLeave={handleMouseLeave}
+          onClick={handleClick}
+        />
+      </div>
+      {tooltip && (
+        <div
+          className="pane-tooltip"
+          style={{
+            top: tooltip.y + TOOLTIP_OFFSET,
+            ...(tooltip.flip
+              ? { right: containerRef.current.clientWidth - tooltip.x + TOOLTIP_OFFSET }
+              : { left: tooltip.x + TOOLTIP_OFFSET })
+          }}
+        >
+          {tooltip.edge !== undefined ? (
+            <>
+              <div className="pane-tooltip-title">Edge {tooltip.edge}</div>
+              <div>{nodeName(tooltip.u)} {matrix.directed ? '→' : '–'} {nodeName(tooltip.v)}</div>
+            </>
+          ) : (
+            <div className="pane-tooltip-title">{nodeName(tooltip.node)}</div>
+          )}
+        </div>
+      )}
+    </Pane>
+  )
+}
+
+export default AdjacencyMatrixPane
@@ -0,0 +1,334 @@
+import { useRef, useEffect, useMemo, useState, useId } from 'react'
+import * as d3 from 'd3'
+import Pane from '../ui/Pane'
+import { useSelection } from '../../contexts/SelectionContext'
+import { usePaneZoom } from '../../hooks/usePaneZoom'
+import { useIndexHighlight } from '../../hooks/useIndexHighlight'
+import { CONSTITUENTS, censusCensus, censusDiameter } from '../../utils/hopCensus'
+import './CensusCensusPane.css'
+
+/**
+ * CensusCensusPane - Census-Census invariant plot visualization
+ *
+ * The second-order census (see utils/hopCensus): at each hop, the nodes
+ * are grouped by their census value there, and each group is drawn as a
+ * circle whose area is the number of nodes in it.
+ *
+ * - X-axis: hop distance, always 0 .. diameter (as in Hop-Census)
+ * - Y-axis: census value at that hop (as in Hop-Census)
+ * - Circle area: share of the nodes with that value (the circles of a
+ *   hop add up to n)
+ *
+ * Both axes and the areas are absolute, and the normalized scale divides
+ * values by n, so plots of different networks can be compared. Hovering
+ * a circle hovers its nodes, clicking selects them; circles holding
+ * selected nodes take the selection color, with the selected nodes'
+ * census drawn through them. Resizing the pane re-lays out the plot, keeping the zoom.
+ */
+
+const ACCENT_COLOR = 'var(--color-accent-censuscensus)'
+
+const Y_SCALES = [
+  { value: 'linear', label: 'linear' },
+  { value: 'log', label: 'log' },
+  { value: 'normalized', label: '÷ n' }
+]
+
+// Radius (px) of a circle holding every node, as a share of a hop step
+const MAX_RADIUS_SHARE = 0.45
+const MAX_RADIUS = 24
+
+function CensusCensusPane({
+  data,
+  networkName,
+  viewId = null,
+  constituent = 'stub',
+  onConstituentChange = null,
+  progress = null
+}) {
+  const containerRef = useRef(null)
+  // Clip path ids must be unique per pane instance
+  const clipId = `censuscensus-clip-${useId().replace(/:/g, '')}`
+  const svgRef = useRef(null)
+  const plotRef = useRef(null)
+
+  const [yScaleType, setYScaleType] = useState('linear')
+  const [size, setSize] = useState(null)
+
+  const {
+    selectedNodes,
+    hoverNodes,
+    clearHover,
+    selectNodes,
+    deselectNodes
+  } = useSelection()
+
+  const {
+    zoomContainerRef,
+    boundsRef,
+    zoomControls
+  } = usePaneZoom(svgRef, { scaleExtent: [0.5, 4], viewId, resetOn: data })
+
+  // Track the container size, to re-layout on resize
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        const { width, height } = entry.contentRect
+        if (width > 0 && height > 0) {
+          setSize(prev => prev?.width === width && prev?.height === height ? prev : { width, height })
+        }
+      }
+    })
+    resizeObserver.observe(container)
+
+    return () => {
+      resizeObserver.disconnect()
+    }
+  }, [data])
+
+  // Classes of the second-order census
+  const census = useMemo(() => {
+    if (!data) return null
+    return {
+      classes: censusCensus(data.vectors),
+      diameter: censusDiameter(data.vectors),
+      n: data.vectors.length
+    }
+  }, [data])
+
+  // Initialize visualization
+  useEffect(() => {
+    if (!containerRef.current || !census) return
+
+    const container = containerRef.current
+    const { width, height } = container.getBoundingClientRect()
+    if (width === 0 || height === 0) return
+
+    // Margins for axes
+    const margin = { top: 20, right: 20, bottom: 40, left: 50 }
+    const innerWidth = width - margin.left - margin.right
+    const innerHeight = height - margin.top - margin.bottom
+
+    // Store bounds for fit-to-content
+    boundsRef.current = {
+      x: margin.left,
+      y: margin.top,
+      width: innerWidth,
+      height: innerHeight
+    }
+
+    // Create the SVG, or clear it on re-layout (keeps its zoom state)
+    if (!svgRef.current || svgRef.current.parentNode !== container) {
+      d3.select(container).selectAll('*').remove()
+      svgRef.current = d3.select(container).append('svg').node()
+    }
+    const svg = d3.select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height)
+    svg.selectAll('*').remove()
+
+    // Create clip path for content area
+    svg.append('defs')
+      .append('clipPath')
+      .attr('id', clipId)
+      .append('rect')
+      .attr('x', margin.left)
+      .attr('y', margin.top)
+      .attr('width', innerWidth)
+      .attr('height', innerHeight)
+
+    const { classes, diameter, n } = census
+    const normalized = yScaleType === 'normalized'
+    const isLog = yScaleType === 'log'
+    const valueOf = (d) => normalized ? d.value / n : d.value
+
+    // X: hop distance (0 to diameter), with room for the circles
+    const step = innerWidth / (diameter + 1)
+    const xScale = d3.scaleLinear()
+      .domain([0, Math.max(1, diameter)])
+      .range([step / 2, innerWidth - step / 2])
+
+    // Y: census values; the log scale leaves out zeros
+    const shown = isLog ? classes.filter(d => d.value > 0) : classes
+    const maxValue = d3.max(shown, valueOf) || 1
+    const minValue = isLog ? d3.min(shown, valueOf) || 1 : 0
+    const yScale = (isLog ? d3.scaleLog() : d3.scaleLinear())
+      .domain([minValue, maxValue > minValue ? maxValue : minValue + 1])
+      .range([innerHeight - MAX_RADIUS, MAX_RADIUS])
+
+    // Area: share of the n nodes
+    const rScale = d3.scaleSqrt()
+      .domain([0, n])
+      .range([0, Math.min(MAX_RADIUS, step * MAX_RADIUS_SHARE)])
+
+    // Draw axes (outside zoom container - fixed position)
+    const axesGroup = svg.append('g')
+      .attr('class', 'axes')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+
+    axesGroup.append('g')
+      .attr('class', 'axis axis-x')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(xScale)
+        .ticks(Math.min(Math.max(1, diameter), 10))
+        .tickFormat(d3.format('d')))
+
+    axesGroup.append('g')
+      .attr('class', 'axis axis-y')
+      .call(d3.axisLeft(yScale).ticks(5, normalized ? '~g' : '~s'))
+
+    // Axis labels
+    axesGroup.append('text')
+      .attr('class', 'axis-label')
+      .attr('x', innerWidth / 2)
+      .attr('y', innerHeight + 35)
+      .attr('text-anchor', 'middle')
+      .text('Hop distance')
+
+    axesGroup.append('text')
+      .attr('class', 'axis-label')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -innerHeight / 2)
+      .attr('y', -40)
+      .attr('text-anchor', 'middle')
+      .text(`${constituent}s at h${normalized ? ' / n' : ''}`)
+
+    // Create zoom container (clipped to content area)
+    const zoomContainer = svg.append('g')
+      .attr('class', 'zoom-container')
+      .attr('clip-path', `url(#${clipId})`)
+      .attr('transform', d3.zoomTransform(svg.node()))
+
+    zoomContainerRef.current = zoomContainer.node()
+
+    // Content group inside zoom container
+    const contentGroup = zoomContainer.append('g')
+      .attr('class', 'content')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+
+    // Census of the selected nodes, drawn through their classes
+    contentGroup.append('g').attr('class', 'census-census-paths')
+
+    contentGroup.append('g')
+      .attr('class', 'census-census-classes')
+      .selectAll('.census-class')
+      .data(shown)
+      .join('circle')
+      .attr('class', 'census-class')
+      .attr('cx', d => xScale(d.hop))
+      .attr('cy', d => yScale(valueOf(d)))
+      .attr('r', d => Math.max(1.5, rScale(d.nodes.length)))
+      .attr('fill', 'var(--color-text-muted)')
+      .attr('fill-opacity', 0.5)
+      .append('title')
+      .text(d => `hop ${d.hop}: ${d.nodes.length} node${d.nodes.length === 1 ? '' : 's'} with ${d.value} ${constituent}s`)
+
+    // Points of each node's census, for the selection paths
+    const points = new Map()
+    shown.forEach(d => {
+      d.nodes.forEach(u => {
+        if (!points.has(u)) points.set(u, [])
+        points.get(u).push([xScale(d.hop), yScale(valueOf(d))])
+      })
+    })
+    plotRef.current = { points }
+  }, [census, yScaleType, size, clipId])
+
+  // Update highlighting: classes holding highlighted nodes, and the
+  // census paths of the selected nodes
+  useIndexHighlight(containerRef, [census, yScaleType, size], ({ hoveredNodes, selectedNodes }) => {
+    if (!svgRef.current || !plotRef.current) return
+
+    const svg = d3.select(svgRef.current)
+    const has = (nodes, set) => set.size > 0 && nodes.some(u => set.has(u))
+
+    svg.selectAll('.census-class')
+      .attr('fill', d => {
+        if (has(d.nodes, selectedNodes)) return 'var(--color-node-selected)'
+        if (has(d.nodes, hoveredNodes)) return 'var(--color-node-hover)'
+        return 'var(--color-text-muted)'
+      })
+      .attr('fill-opacity', d => has(d.nodes, selectedNodes) || has(d.nodes, hoveredNodes) ? 0.8 : 0.5)
+
+    // Census paths of the selected nodes (hops are in order)
+    const { points } = plotRef.current
+    svg.select('.census-census-paths')
+      .selectAll('.census-census-path')
+      .data(Array.from(selectedNodes).filter(u => points.has(u)), u => u)
+      .join('path')
+      .attr('class', 'census-census-path')
+      .attr('d', u => d3.line()(points.get(u)))
+      .attr('fill', 'none')
+      .attr('stroke', 'var(--color-node-selected)')
+      .attr('stroke-width', 1)
+      .attr('stroke-opacity', 0.6)
+  })
+
+  // Set up event handlers
+  useEffect(() => {
+    if (!svgRef.current) return
+
+    const svg = d3.select(svgRef.current)
+
+    svg.selectAll('.census-class')
+      .on('mouseenter', function (event, d) {
+        hoverNodes(d.nodes)
+      })
+      .on('mouseleave', clearHover)
+      .on('click', function (event, d) {
+        event.stopPropagation()
+        // Select the class, or deselect it when it is all selected
+        if (d.nodes.every(u => selectedNodes.has(u))) deselectNodes(d.nodes)
+        else selectNodes(d.nodes)
+      })
+
+  }, [census, yScaleType, size, selectedNodes, hoverNodes, clearHover, selectNodes, deselectNodes])
+
+  return (
+    <Pane
+      title="Census-Census"
+      accentColor={ACCENT_COLOR}
+      isEmpty={!data}
+      emptyMessage={progress !== null ? `COMPUTING ${constituent.toUpperCase()} CENSUS ${Math.round(progress * 100)}%` : 'NO DATA'}
+      toolbar={
+        <>
+          <select
+            className="pane-select"
+            value={constituent}
+            onChange={(e) => onConstituentChange?.(e.target.value)}
+            disabled={!onConstituentChange}
+            aria-label="Census constituent"
+          >
+            {CONSTITUENTS.map(c => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          <select
+            className="pane-select"
+            value={yScaleType}
+            onChange={(e) => setYScaleType(e.target.value)}
+            aria-label="Y scale"
+          >
+            {Y_SCALES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </>
+      }
+      zoomControls={zoomControls}
+    >
+      <div
+        ref={containerRef}
+        className="pane-visualization"
+        tabIndex={0}
+        role="img"
+        aria-label="Census-Census visualization. Use +/- to zoom, drag to pan."
+      />
+    </Pane>
+  )
+}
+
+export default CensusCensusPane
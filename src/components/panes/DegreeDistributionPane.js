@@ -0,0 +1,298 @@
+import * as d3 from 'd3'
+import { getAdjacency } from '../../utils/graph'
+import { FITS, degreeHistogram, degreeCCDF, fitDegrees } from '../../utils/degreeDistribution'
+import './DegreeDistributionPane.css'
+
+/**
+ * DegreeDistributionPane - Degree distribution visualization
+ *
+ * The degree of every node (total degree for directed networks), in one
+ * of three views (see utils/degreeDistribution):
+ *
+ * - histogram: X degree, Y number of nodes (linear axes)
+ * - rank plot: X rank, Y degree (log-log; nodes of degree 0 are left out)
+ * - CCDF: X degree, Y fraction of nodes with at least that degree
+ *   (log-log; a power-law tail is a straight line)
+ *
+ * An optional power-law or exponential fit of the tail is drawn over the
+ * data, in the same view. Hovered and selected nodes are overlaid as
+ * their own distribution in the highlight colors (their own ranks and
+ * CCDF, so a group's shape can be compared with the whole network's).
+ * Brushing a range of the X axis (degrees, or ranks) previews its nodes
+ * as hovered and selects them on release; clicking selects the nodes of
+ * the degree under the pointer.
+ *
+ * A render-hook pane (see ./registry), hosted by RegisteredPane.
+ */
+
+const ACCENT_COLOR = 'var(--color-accent-degree)'
+
+const VIEWS = [
+  { value: 'histogram', label: 'histogram' },
+  { value: 'rank', label: 'rank plot' },
+  { value: 'ccdf', label: 'CCDF' }
+]
+
+const MARGIN = { top: 20, right: 20, bottom: 36, left: 48 }
+const POINT_RADIUS = 2
+
+/**
+ * Draw one distribution (the network's or a node group's) in the given
+ * view, into an empty group.
+ */
+function drawDistribution(group, values, view, plot, color) {
+  const { xScale, yScale, innerHeight } = plot
+  if (values.length === 0) return
+
+  if (view === 'histogram') {
+    const barWidth = Math.max(0.5, xScale(1) - xScale(0) - 1)
+    group.selectAll('rect')
+      .data(degreeHistogram(values))
+      .join('rect')
+      .attr('x', d => xScale(d.degree) - barWidth / 2)
+      .attr('width', barWidth)
+      .attr('y', d => yScale(d.count))
+      .attr('height', d => innerHeight - yScale(d.count))
+      .attr('fill', color)
+    return
+  }
+
+  if (view === 'rank') {
+    const sorted = Array.from(values).sort((a, b) => b - a)
+    const line = d3.line()
+      .defined(d => d > 0)
+      .x((d, i) => xScale(i + 1))
+      .y(d => yScale(d))
+      .curve(d3.curveStepAfter)
+    group.append('path')
+      .attr('d', line(sorted))
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', 1.5)
+    return
+  }
+
+  group.selectAll('circle')
+    .data(degreeCCDF(values).filter(d => d.degree > 0))
+    .join('circle')
+    .attr('cx', d => xScale(d.degree))
+    .attr('cy', d => yScale(d.p))
+    .attr('r', POINT_RADIUS)
+    .attr('fill', color)
+}
+
+/**
+ * Points of the fitted model in the given view, over degrees dmin .. max.
+ */
+function fitPoints(fit, view, n, maxDegree) {
+  const degrees = d3.range(fit.dmin, maxDegree + 1)
+  if (view === 'histogram') {
+    return degrees.map(d => [d, n * (fit.ccdf(d) - fit.ccdf(d + 1))])
+  }
+  if (view === 'rank') {
+    return degrees.map(d => [n * fit.ccdf(d), d])
+  }
+  return degrees.map(d => [d, fit.ccdf(d)])
+}
+
+function fitLabel(fit) {
+  if (fit.type === 'powerlaw') return `α = ${fit.alpha.toFixed(2)}, d ≥ ${fit.dmin}`
+  return `λ = ${fit.lambda.toFixed(3)}, d ≥ ${fit.dmin}`
+}
+
+// Degrees by node_idx, node indices by decreasing degree (rank order)
+// and fits by type, per network, so redraws (resizes, views) reuse them
+const distributions = new WeakMap()
+
+function degreeDistribution(nodeLink) {
+  if (!distributions.has(nodeLink)) {
+    const degrees = Float64Array.from(getAdjacency(nodeLink).degree)
+    const order = d3.range(degrees.length).sort((a, b) => degrees[b] - degrees[a])
+    distributions.set(nodeLink, { degrees, order, fits: new Map() })
+  }
+  return distributions.get(nodeLink)
+}
+
+function distributionFit(distribution, type) {
+  if (!distribution.fits.has(type)) distribution.fits.set(type, fitDegrees(distribution.degrees, type))
+  return distribution.fits.get(type)
+}
+
+// Plot of the last render, by content group, for the highlighting
+const plots = d3.local()
+
+function render({ content, width, height, data, options, selection }) {
+  const { hoverNodes, clearHoveredNodes, selectNodes } = selection
+  const { view, fit: fitType } = options
+  const distribution = degreeDistribution(data.nodeLink)
+  const fit = distributionFit(distribution, fitType)
+  plots.remove(content.node())
+
+  const { degrees, order } = distribution
+  const n = degrees.length
+  if (n === 0) return
+
+  const innerWidth = Math.max(1, width - MARGIN.left - MARGIN.right)
+  const innerHeight = Math.max(1, height - MARGIN.top - MARGIN.bottom)
+  const maxDegree = d3.max(degrees)
+  const minPositive = d3.min(degrees, d => d > 0 ? d : undefined) ?? 1
+  const logMax = Math.max(maxDegree, minPositive * 2)
+
+  let xScale, yScale, xLabel, yLabel
+  if (view === 'histogram') {
+    xScale = d3.scaleLinear().domain([d3.min(degrees) - 0.5, maxDegree + 0.5])
+    yScale = d3.scaleLinear().domain([0, d3.max(degreeHistogram(degrees), d => d.count)]).nice()
+    xLabel = 'Degree'
+    yLabel = 'Nodes'
+  } else if (view === 'rank') {
+    xScale = d3.scaleLog().domain([1, Math.max(2, n)])
+    yScale = d3.scaleLog().domain([minPositive, logMax])
+    xLabel = 'Rank'
+    yLabel = 'Degree'
+  } else {
+    xScale = d3.scaleLog().domain([minPositive, logMax])
+    yScale = d3.scaleLog().domain([Math.min(0.5, 1 / n), 1])
+    xLabel = 'Degree'
+    yLabel = 'P(degree ≥ d)'
+  }
+  xScale.range([0, innerWidth]).clamp(true)
+  yScale.range([innerHeight, 0]).clamp(true)
+
+  const plotGroup = content.append('g')
+    .attr('transform', `translate(${MARGIN.left},${MARGIN.top})`)
+
+  const xTicks = Math.max(2, Math.floor(innerWidth / 60))
+  const yTicks = Math.max(2, Math.floor(innerHeight / 40))
+  const xAxis = d3.axisBottom(xScale).ticks(xTicks, '~s')
+  if (view === 'histogram') {
+    // Degrees are integers: no ticks between bars
+    xAxis.tickValues(xScale.ticks(xTicks).filter(Number.isInteger)).tickFormat(d3.format('d'))
+  }
+  plotGroup.append('g')
+    .attr('class', 'axis axis-x')
+    .attr('transform', `translate(0,${innerHeight})`)
+    .call(xAxis)
+  plotGroup.append('g')
+    .attr('class', 'axis axis-y')
+    .call(d3.axisLeft(yScale).ticks(yTicks, view === 'ccdf' ? '~g' : '~s'))
+
+  plotGroup.append('text')
+    .attr('class', 'axis-label')
+    .attr('x', innerWidth / 2)
+    .attr('y', innerHeight + 30)
+    .attr('text-anchor', 'middle')
+    .text(xLabel)
+  plotGroup.append('text')
+    .attr('class', 'axis-label')
+    .attr('transform', 'rotate(-90)')
+    .attr('x', -innerHeight / 2)
+    .attr('y', -38)
+    .attr('text-anchor', 'middle')
+    .text(yLabel)
+
+  const plot = { xScale, yScale, innerHeight }
+
+  const base = plotGroup.append('g')
+    .attr('class', 'degree-base')
+    .attr('opacity', 0.5)
+  drawDistribution(base, degrees, view, plot, 'var(--color-text-muted)')
+
+  // Highlight overlays, filled in by highlight
+  plotGroup.append('g').attr('class', 'degree-selected')
+  plotGroup.append('g').attr('class', 'degree-hovered')
+
+  if (fit) {
+    const points = fitPoints(fit, view, n, maxDegree)
+      .filter(([x, y]) => x > 0 && y > 0)
+    plotGroup.append('path')
+      .attr('class', 'degree-fit')
+      .attr('d', d3.line().x(d => xScale(d[0])).y(d => yScale(d[1]))(points))
+    plotGroup.append('text')
+      .attr('class', 'degree-fit-label')
+      .attr('x', innerWidth)
+      .attr('y', -6)
+      .attr('text-anchor', 'end')
+      .text(fitLabel(fit))
+  } else if (fitType !== 'none') {
+    plotGroup.append('text')
+      .attr('class', 'degree-fit-label')
+      .attr('x', innerWidth)
+      .attr('y', -6)
+      .attr('text-anchor', 'end')
+      .text('too few nodes to fit')
+  }
+
+  // Nodes in the X range [x0, x1] (px): degrees, or ranks
+  const nodesIn = (x0, x1) => {
+    const a = xScale.invert(x0)
+    const b = xScale.invert(x1)
+    if (view === 'rank') {
+      return order.slice(Math.max(0, Math.ceil(a) - 1), Math.floor(b))
+    }
+    return d3.range(n).filter(u => degrees[u] >= a && degrees[u] <= b)
+  }
+
+  // Nodes of the degree under the pointer
+  const nodesAt = (x) => {
+    const value = xScale.invert(x)
+    const degree = view === 'rank'
+      ? degrees[order[Math.min(n, Math.max(1, Math.round(value))) - 1]]
+      : Math.round(value)
+    return d3.range(n).filter(u => degrees[u] === degree)
+  }
+
+  const brush = d3.brushX()
+    .extent([[0, 0], [innerWidth, innerHeight]])
+    .on('brush', (event) => {
+      if (event.selection) hoverNodes(nodesIn(...event.selection))
+    })
+    .on('end', (event) => {
+      if (!event.sourceEvent) return
+      if (event.selection) {
+        selectNodes(nodesIn(...event.selection))
+        brushGroup.call(brush.clear)
+      } else {
+        const [x] = d3.pointer(event.sourceEvent, plotGroup.node())
+        const nodes = nodesAt(x)
+        if (nodes.length > 0) selectNodes(nodes)
+      }
+      clearHoveredNodes()
+    })
+
+  const brushGroup = plotGroup.append('g')
+    .attr('class', 'degree-brush')
+    .call(brush)
+
+  plots.set(content.node(), { group: plotGroup, plot, degrees, view })
+}
+
+// Overlay the hovered and selected nodes' own distributions
+function highlight({ content, selection }) {
+  const current = plots.get(content.node())
+  if (!current) return
+  const { group, plot, degrees, view } = current
+
+  const overlay = (className, nodes, color) => {
+    const layer = group.select(`.${className}`)
+    layer.selectAll('*').remove()
+    drawDistribution(layer, Array.from(nodes, u => degrees[u]), view, plot, color)
+  }
+  overlay('degree-selected', selection.selectedNodes, 'var(--color-node-selected)')
+  overlay('degree-hovered', selection.hoveredNodes, 'var(--color-node-hover)')
+}
+
+const DegreeDistributionPane = {
+  id: 'degree',
+  title: 'Degree Distribution',
+  accentColor: ACCENT_COLOR,
+  requires: ['nodeLink'],
+  zoom: false,
+  options: [
+    { id: 'view', label: 'Degree view', values: VIEWS, default: 'ccdf' },
+    { id: 'fit', label: 'Fit', values: FITS, default: 'none' }
+  ],
+  render,
+  highlight
+}
+
+export default DegreeDistributionPane
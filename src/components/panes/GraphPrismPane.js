@@ -0,0 +1,224 @@
+import * as d3 from 'd3'
+import { PRISM_FACETS, prismValues } from '../../utils/graphPrism'
+import { censusVariant } from '../../utils/hopCensus'
+import './GraphPrismPane.css'
+
+/**
+ * GraphPrismPane - Graph Prism visualization
+ *
+ * Small multiples: one histogram of the nodes per invariant (degree, core
+ * number, eccentricity, census shape; see utils/graphPrism), all
+ * coordinated through the shared selection:
+ *
+ * - Hovered and selected nodes are stacked over each histogram in the
+ *   highlight colors, so a node group can be followed across invariants
+ * - Brushing a range of a histogram previews its nodes as hovered and
+ *   selects them on release; clicking a bar selects its nodes
+ *
+ * The census facets wait for the Hop-Census of the current constituent,
+ * and are left out for weighted variants, whose census counts distance
+ * bins rather than hops.
+ *
+ * A render-hook pane (see ./registry), hosted by RegisteredPane.
+ */
+
+const ACCENT_COLOR = 'var(--color-accent-graphprism)'
+
+// Integer invariants get one bar per value up to this many values
+const MAX_DISCRETE_BINS = 60
+const CONTINUOUS_BINS = 30
+
+// Margins of each facet, around its plot
+const FACET_MARGIN = { top: 20, right: 10, bottom: 22, left: 36 }
+
+// Smallest width (px) of a facet before the grid drops a column
+const MIN_FACET_WIDTH = 160
+
+/**
+ * Histogram bins of one facet; each bin holds its node indices.
+ */
+function facetBins(values, discrete) {
+  const n = values.length
+  const [min, max] = d3.extent(values)
+  const bin = d3.bin().value(u => values[u])
+  if (discrete && max - min < MAX_DISCRETE_BINS) {
+    bin.domain([min, max + 1]).thresholds(d3.range(min + 1, max + 1))
+  } else {
+    bin.domain([min, max === min ? min + 1 : max]).thresholds(CONTINUOUS_BINS)
+  }
+  return bin(d3.range(n))
+}
+
+// Invariant values and histogram of every facet, per network and census,
+// so redraws (resizes) reuse them
+const facetCache = new WeakMap()
+
+function prismFacets(nodeLink, census) {
+  const cached = facetCache.get(nodeLink)
+  if (cached && cached.census === census) return cached.facets
+  const values = prismValues(nodeLink, census)
+  const facets = PRISM_FACETS.map(facet => ({
+    ...facet,
+    values: values[facet.id],
+    bins: values[facet.id] ? facetBins(values[facet.id], facet.discrete) : null
+  }))
+  facetCache.set(nodeLink, { census, facets })
+  return facets
+}
+
+// Facets of the last render, by content group, for the highlighting
+const plots = d3.local()
+
+function render({ content, width, height, data, selection }) {
+  const { hoverNodes, clearHoveredNodes, selectNodes } = selection
+  const census = data.census ?? null
+  const facets = prismFacets(data.nodeLink, census)
+  const missingCensus = census && censusVariant(census.metadata).weighted
+    ? 'needs the unweighted Hop-Census'
+    : 'needs the Hop-Census'
+
+  // Grid of facets: as many columns as fit, then rows
+  const columns = Math.max(1, Math.min(facets.length, Math.floor(width / MIN_FACET_WIDTH)))
+  const rows = Math.ceil(facets.length / columns)
+  const cellWidth = width / columns
+  const cellHeight = height / rows
+  const innerWidth = Math.max(1, cellWidth - FACET_MARGIN.left - FACET_MARGIN.right)
+  const innerHeight = Math.max(1, cellHeight - FACET_MARGIN.top - FACET_MARGIN.bottom)
+
+  const drawn = facets.map((facet, i) => {
+    const g = content.append('g')
+      .attr('class', 'prism-facet')
+      .attr('transform', `translate(${(i % columns) * cellWidth + FACET_MARGIN.left},${Math.floor(i / columns) * cellHeight + FACET_MARGIN.top})`)
+
+    g.append('text')
+      .attr('class', 'prism-facet-title')
+      .attr('x', 0)
+      .attr('y', -7)
+      .text(facet.label)
+
+    if (!facet.bins) {
+      g.append('text')
+        .attr('class', 'prism-facet-empty')
+        .attr('x', innerWidth / 2)
+        .attr('y', innerHeight / 2)
+        .attr('text-anchor', 'middle')
+        .text(missingCensus)
+      return null
+    }
+
+    const { bins } = facet
+    const xScale = d3.scaleLinear()
+      .domain([bins[0].x0, bins[bins.length - 1].x1])
+      .range([0, innerWidth])
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(bins, b => b.length) || 1])
+      .range([innerHeight, 0])
+      .nice()
+
+    g.append('g')
+      .attr('class', 'axis axis-x')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(xScale)
+        .ticks(Math.max(2, Math.floor(innerWidth / 50)))
+        .tickFormat(d3.format(facet.discrete ? 'd' : '.2~f')))
+
+    g.append('g')
+      .attr('class', 'axis axis-y')
+      .call(d3.axisLeft(yScale).ticks(3, '~s'))
+
+    const barX = (b) => xScale(b.x0) + 0.5
+    const barWidth = (b) => Math.max(0.5, xScale(b.x1) - xScale(b.x0) - 1)
+
+    g.append('g')
+      .attr('class', 'prism-bars')
+      .selectAll('rect')
+      .data(bins)
+      .join('rect')
+      .attr('x', barX)
+      .attr('width', barWidth)
+      .attr('y', b => yScale(b.length))
+      .attr('height', b => innerHeight - yScale(b.length))
+      .attr('fill', 'var(--color-text-muted)')
+      .attr('fill-opacity', 0.5)
+
+    // Highlight overlays, filled in by highlight
+    g.append('g').attr('class', 'prism-selected')
+    g.append('g').attr('class', 'prism-hovered')
+
+    // Nodes in the bins overlapping [x0, x1] (px)
+    const nodesIn = (x0, x1) => {
+      const a = xScale.invert(x0)
+      const b = xScale.invert(x1)
+      return bins
+        .filter(bin => bin.x1 > a && bin.x0 <= b)
+        .flatMap(bin => bin)
+    }
+
+    const brush = d3.brushX()
+      .extent([[0, 0], [innerWidth, innerHeight]])
+      .on('brush', (event) => {
+        if (event.selection) hoverNodes(nodesIn(...event.selection))
+      })
+      .on('end', (event) => {
+        if (!event.sourceEvent) return
+        if (event.selection) {
+          selectNodes(nodesIn(...event.selection))
+          brushGroup.call(brush.clear)
+        } else {
+          // A click: select the bar under the pointer
+          const [x] = d3.pointer(event.sourceEvent, g.node())
+          const nodes = nodesIn(x, x)
+          if (nodes.length > 0) selectNodes(nodes)
+        }
+        clearHoveredNodes()
+      })
+
+    const brushGroup = g.append('g')
+      .attr('class', 'prism-brush')
+      .call(brush)
+
+    return { g, bins, barX, barWidth, yScale, innerHeight }
+  })
+
+  plots.set(content.node(), drawn)
+}
+
+// Stack the counts of hovered and selected nodes over each histogram
+function highlight({ content, selection }) {
+  const drawn = plots.get(content.node())
+  if (!drawn) return
+
+  drawn.forEach(facet => {
+    if (!facet) return
+    const { g, bins, barX, barWidth, yScale, innerHeight } = facet
+    const overlay = (className, nodes, color) => {
+      const counts = nodes.size > 0
+        ? bins.map(bin => bin.reduce((count, u) => count + (nodes.has(u) ? 1 : 0), 0))
+        : bins.map(() => 0)
+      g.select(`.${className}`)
+        .selectAll('rect')
+        .data(bins)
+        .join('rect')
+        .attr('x', barX)
+        .attr('width', barWidth)
+        .attr('y', (b, i) => yScale(counts[i]))
+        .attr('height', (b, i) => innerHeight - yScale(counts[i]))
+        .attr('fill', color)
+        .attr('pointer-events', 'none')
+    }
+    overlay('prism-selected', selection.selectedNodes, 'var(--color-node-selected)')
+    overlay('prism-hovered', selection.hoveredNodes, 'var(--color-node-hover)')
+  })
+}
+
+const GraphPrismPane = {
+  id: 'graphprism',
+  title: 'Graph Prism',
+  accentColor: ACCENT_COLOR,
+  requires: ['nodeLink'],
+  zoom: false,
+  render,
+  highlight
+}
+
+export default GraphPrismPane
@@ -0,0 +1,593 @@
+import { useRef, useEffect, useMemo, useState, useId } from 'react'
+import * as d3 from 'd3'
+import Pane from '../ui/Pane'
+import { useSelection } from '../../contexts/SelectionContext'
+import { usePaneZoom } from '../../hooks/usePaneZoom'
+import { useIndexHighlight } from '../../hooks/useIndexHighlight'
+import { CONSTITUENTS, censusDiameter, cumulativeValues } from '../../utils/hopCensus'
+import { lineDensity, densityCanvas } from '../../utils/lineDensity'
+import './HopCensusPane.css'
+
+/**
+ * HopCensusPane - Hop-Census invariant plot visualization
+ *
+ * From the paper: "The Hop-Census plot encodes the Census data structure,
+ * which is composed of one vector of integers per node. Each vector is
+ * visually encoded as a polyline in a shared coordinate system."
+ *
+ * - X-axis: hop distance, always 0 .. diameter
+ * - Y-axis: count of constituents (nodes, stubs or edges) at each hop, or
+ *   within each hop when cumulative
+ * - Each polyline represents one node's census vector
+ *
+ * Dragging selects nodes (added to the shared selection, previewed as
+ * hover while dragging), depending on the drag mode:
+ * - box: nodes whose polyline passes through the rectangle at one of the
+ *   hops it spans (or at the hop nearest to it, if it spans none)
+ * - angle: parallel-coordinates angular brush between two adjacent hops;
+ *   nodes whose segment there has the slope of the drag, within
+ *   ANGLE_TOLERANCE, wherever it lies
+ *
+ * Above `densityThreshold` nodes (or when chosen) the polylines are drawn
+ * as a density heatmap (see utils/lineDensity) instead of one SVG path
+ * each; hovered and selected lines are drawn crisply on top, and hovering
+ * picks the line nearest to the pointer.
+ *
+ * This creates an "absolute coordinate system" that makes comparison
+ * across graphs possible (a key advantage of invariant plots). The
+ * normalized scale divides counts by the node count n, so graphs of
+ * different sizes share a y range too.
+ */
+
+const ACCENT_COLOR = 'var(--color-accent-hopcensus)'
+
+const Y_SCALES = [
+  { value: 'linear', label: 'linear' },
+  { value: 'log', label: 'log' },
+  { value: 'normalized', label: '÷ n' }
+]
+
+const RENDER_MODES = [
+  { value: 'auto', label: 'auto' },
+  { value: 'lines', label: 'lines' },
+  { value: 'density', label: 'density' }
+]
+
+// Node count above which 'auto' renders a density heatmap
+const DENSITY_THRESHOLD = 1000
+
+// Color ramp of the density heatmap
+const DENSITY_RAMP = d3.interpolateInferno
+
+// Farthest (px) the pointer may be from a line to hover it in density mode
+const HOVER_DISTANCE = 6
+
+const DRAG_MODES = [
+  { value: 'pan', label: 'pan' },
+  { value: 'box', label: 'box brush' },
+  { value: 'angle', label: 'angle brush' }
+]
+
+// Half-width of the angular brush, in radians
+const ANGLE_TOLERANCE = Math.PI / 36
+
+// Shortest drag (px) that defines an angle
+const MIN_ANGLE_DRAG = 4
+
+/**
+ * Nodes whose polyline lies within [y0, y1] (pixels) at any of `hops`.
+ */
+function linesInBox(lines, yScale, hops, y0, y1) {
+  return lines
+    .filter(({ values }) => hops.some(h => {
+      if (!(h < values.length) || !isFinite(yScale(values[h]))) return false
+      const y = yScale(values[h])
+      return y >= y0 && y <= y1
+    }))
+    .map(d => d.node_idx)
+}
+
+/**
+ * Nodes whose segment from hop h to h + 1 makes an angle (radians, in
+ * pixel space, counterclockwise from the x axis) within ANGLE_TOLERANCE
+ * of `angle`.
+ */
+function linesAtAngle(lines, xScale, yScale, h, angle) {
+  const dx = xScale(h + 1) - xScale(h)
+  return lines
+    .filter(({ values }) => {
+      if (!(h + 1 < values.length)) return false
+      const dy = yScale(values[h]) - yScale(values[h + 1])
+      if (!isFinite(dy)) return false
+      return Math.abs(Math.atan2(dy, dx) - angle) <= ANGLE_TOLERANCE
+    })
+    .map(d => d.node_idx)
+}
+
+function HopCensusPane({
+  data,
+  networkName,
+  viewId = null,
+  constituent = 'stub',
+  onConstituentChange = null,
+  progress = null,
+  densityThreshold = DENSITY_THRESHOLD
+}) {
+  const containerRef = useRef(null)
+  // Clip path ids must be unique per pane instance
+  const clipId = `hopcensus-clip-${useId().replace(/:/g, '')}`
+  const svgRef = useRef(null)
+  const plotRef = useRef(null)
+
+  // Bumped by every redraw, so the effects working on the drawn plot
+  // (brushes, highlighting, events) follow it
+  const [plotVersion, setPlotVersion] = useState(0)
+  const [size, setSize] = useState(null)
+  const [cumulative, setCumulative] = useState(false)
+  const [yScaleType, setYScaleType] = useState('linear')
+  const [dragMode, setDragMode] = useState('pan')
+  const [renderMode, setRenderMode] = useState('auto')
+
+  const {
+    hoverNode,
+    hoverNodes,
+    clearHover,
+    clearHoveredNodes,
+    toggleNodeSelection,
+    selectNodes
+  } = useSelection()
+
+  const {
+    zoomContainerRef,
+    boundsRef,
+    setFilter,
+    zoomControls
+  } = usePaneZoom(svgRef, { scaleExtent: [0.5, 4], viewId, resetOn: data })
+
+  // Polylines to draw: per-hop or cumulative counts, optionally / n
+  const series = useMemo(() => {
+    if (!data) return null
+    const diameter = censusDiameter(data.vectors)
+    const n = data.vectors.length
+    const lines = data.vectors.map(({ node_idx, values }) => {
+      let points = cumulative ? cumulativeValues(values, diameter + 1) : values
+      if (yScaleType === 'normalized') points = points.map(v => v / n)
+      return { node_idx, values: points }
+    })
+    return { lines, diameter }
+  }, [data, cumulative, yScaleType])
+
+  const dense = Boolean(series) && (renderMode === 'density' ||
+    (renderMode === 'auto' && series.lines.length > densityThreshold))
+
+  // Track the container size, to re-layout on resize
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        const { width, height } = entry.contentRect
+        if (width > 0 && height > 0) {
+          setSize(prev => prev?.width === width && prev?.height === height ? prev : { width, height })
+        }
+      }
+    })
+    resizeObserver.observe(container)
+
+    return () => {
+      resizeObserver.disconnect()
+    }
+  }, [data])
+
+  // Initialize visualization
+  useEffect(() => {
+    if (!containerRef.current || !series) return
+
+    const container = containerRef.current
+    const { width, height } = container.getBoundingClientRect()
+    if (width === 0 || height === 0) return
+
+    // Clear previous
+    d3.select(container).selectAll('*').remove()
+
+    // Margins for axes
+    const margin = { top: 20, right: 20, bottom: 40, left: 50 }
+    const innerWidth = width - margin.left - margin.right
+    const innerHeight = height - margin.top - margin.bottom
+
+    // Store bounds for fit-to-content
+    boundsRef.current = {
+      x: margin.left,
+      y: margin.top,
+      width: innerWidth,
+      height: innerHeight
+    }
+
+    // Create SVG
+    const svg = d3.select(container)
+      .append('svg')
+      .attr('width', width)
+      .attr('height', height)
+
+    svgRef.current = svg.node()
+
+    // Create clip path for content area
+    svg.append('defs')
+      .append('clipPath')
+      .attr('id', clipId)
+      .append('rect')
+      .attr('x', margin.left)
+      .attr('y', margin.top)
+      .attr('width', innerWidth)
+      .attr('height', innerHeight)
+
+    // Calculate scales
+    // X: hop distance (0 to diameter)
+    const { lines, diameter } = series
+    const xScale = d3.scaleLinear()
+      .domain([0, Math.max(1, diameter)])
+      .range([0, innerWidth])
+
+    // Y: counts; the log scale starts at the smallest nonzero count and
+    // leaves gaps where a count is zero
+    const maxCount = d3.max(lines, d => d3.max(d.values)) || 1
+    const isLog = yScaleType === 'log'
+    const minCount = isLog
+      ? d3.min(lines, d => d3.min(d.values, v => v > 0 ? v : undefined)) || 1
+      : 0
+    const yScale = (isLog ? d3.scaleLog() : d3.scaleLinear())
+      .domain([minCount, maxCount > minCount ? maxCount : minCount + 1])
+      .range([innerHeight, 0])
+
+    // Create line generator
+    const line = d3.line()
+      .defined(d => !isLog || d > 0)
+      .x((d, i) => xScale(i))
+      .y(d => yScale(d))
+      .curve(d3.curveMonotoneX)
+
+    // Draw axes (outside zoom container - fixed position)
+    const axesGroup = svg.append('g')
+      .attr('class', 'axes')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+
+    const xAxis = d3.axisBottom(xScale)
+      .ticks(Math.min(Math.max(1, diameter), 10))
+      .tickFormat(d3.format('d'))
+
+    const yAxis = d3.axisLeft(yScale)
+      .ticks(5, yScaleType === 'normalized' ? '~g' : '~s')
+
+    axesGroup.append('g')
+      .attr('class', 'axis axis-x')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(xAxis)
+
+    axesGroup.append('g')
+      .attr('class', 'axis axis-y')
+      .call(yAxis)
+
+    // Axis labels
+    axesGroup.append('text')
+      .attr('class', 'axis-label')
+      .attr('x', innerWidth / 2)
+      .attr('y', innerHeight + 35)
+      .attr('text-anchor', 'middle')
+      .text('Hop distance')
+
+    axesGroup.append('text')
+      .attr('class', 'axis-label')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -innerHeight / 2)
+      .attr('y', -40)
+      .attr('text-anchor', 'middle')
+      .text(`${constituent}s ${cumulative ? 'within' : 'at'} h${yScaleType === 'normalized' ? ' / n' : ''}`)
+
+    // Create zoom container (clipped to content area)
+    const zoomContainer = svg.append('g')
+      .attr('class', 'zoom-container')
+      .attr('clip-path', `url(#${clipId})`)
+
+    zoomContainerRef.current = zoomContainer.node()
+
+    // Content group inside zoom container
+    const contentGroup = zoomContainer.append('g')
+      .attr('class', 'content')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+
+    // Draw polylines group
+    const linesGroup = contentGroup.append('g').attr('class', 'census-lines')
+
+    if (dense) {
+      // Density heatmap, rasterized at device resolution
+      const scale = window.devicePixelRatio || 1
+      const density = lineDensity(
+        lines.map(d => d.values),
+        line,
+        Math.ceil(innerWidth * scale),
+        Math.ceil(innerHeight * scale),
+        scale
+      )
+      linesGroup.append('image')
+        .attr('class', 'census-density')
+        .attr('width', innerWidth)
+        .attr('height', innerHeight)
+        .attr('preserveAspectRatio', 'none')
+        .attr('href', densityCanvas(density, DENSITY_RAMP).toDataURL())
+    } else {
+      // Draw each census vector as a polyline
+      linesGroup.selectAll('.census-line')
+        .data(lines)
+        .join('path')
+        .attr('class', 'census-line')
+        .attr('data-node-idx', d => d.node_idx)
+        .attr('d', d => line(d.values))
+        .attr('fill', 'none')
+        .attr('stroke', 'var(--color-text-muted)')
+        .attr('stroke-width', 1)
+        .attr('stroke-opacity', 0.3)
+    }
+
+    // Hovered and selected lines over the heatmap
+    contentGroup.append('g').attr('class', 'census-highlights')
+
+    // Scales and content group, for the brushes
+    plotRef.current = {
+      content: contentGroup.node(),
+      xScale,
+      yScale,
+      line,
+      lines,
+      diameter,
+      innerWidth,
+      innerHeight
+    }
+    setPlotVersion(version => version + 1)
+  }, [series, dense, size, clipId])
+
+  // Brushes: drag to select instead of panning (wheel zoom still works)
+  useEffect(() => {
+    const plot = plotRef.current
+    setFilter((event) => event.type === 'wheel' || dragMode === 'pan')
+    if (!series || !plot || dragMode === 'pan') return
+
+    const { xScale, yScale, lines, diameter, innerWidth, innerHeight } = plot
+    const brushGroup = d3.select(plot.content)
+      .append('g')
+      .attr('class', 'census-brush')
+
+    if (dragMode === 'box') {
+      // Hops spanned by [x0, x1], or the one nearest to it
+      const hopsIn = (x0, x1) => {
+        const first = Math.max(0, Math.ceil(xScale.invert(x0)))
+        const last = Math.min(diameter, Math.floor(xScale.invert(x1)))
+        if (first <= last) return d3.range(first, last + 1)
+        return [Math.max(0, Math.min(diameter, Math.round(xScale.invert((x0 + x1) / 2))))]
+      }
+      const matches = (selection) => {
+        const [[x0, y0], [x1, y1]] = selection
+        return linesInBox(lines, yScale, hopsIn(x0, x1), y0, y1)
+      }
+
+      const brush = d3.brush()
+        .extent([[0, 0], [innerWidth, innerHeight]])
+        .on('brush', (event) => {
+          if (event.selection) hoverNodes(matches(event.selection))
+        })
+        .on('end', (event) => {
+          if (!event.selection) return
+          selectNodes(matches(event.selection))
+          clearHoveredNodes()
+          brushGroup.call(brush.clear)
+        })
+
+      brushGroup.call(brush)
+    } else if (diameter > 0) {
+      // Angular brush: a wedge from the drag start, in one hop gap
+      const gap = brushGroup.append('rect')
+        .attr('class', 'census-angle-gap')
+        .attr('y', 0)
+        .attr('height', innerHeight)
+        .attr('display', 'none')
+      const wedge = brushGroup.append('path')
+        .attr('class', 'census-angle-wedge')
+      let start = null
+      let h = 0
+      let angle = null
+
+      brushGroup.append('rect')
+        .attr('class', 'census-angle-overlay')
+        .attr('width', innerWidth)
+        .attr('height', innerHeight)
+        .call(d3.drag()
+          .container(plot.content)
+          .on('start', (event) => {
+            start = [event.x, event.y]
+            h = Math.max(0, Math.min(diameter - 1, Math.floor(xScale.invert(event.x))))
+            angle = null
+            gap
+              .attr('x', xScale(h))
+              .attr('width', xScale(h + 1) - xScale(h))
+              .attr('display', null)
+          })
+          .on('drag', (event) => {
+            let dx = event.x - start[0]
+            let dy = start[1] - event.y
+            const length = Math.hypot(dx, dy)
+            if (length < MIN_ANGLE_DRAG) return
+            // Slopes have no direction: dragging left means the same as right
+            if (dx < 0) {
+              dx = -dx
+              dy = -dy
+            }
+            angle = Math.atan2(dy, dx)
+            const ray = (a) => `L${start[0] + length * Math.cos(a)},${start[1] - length * Math.sin(a)}`
+            wedge.attr('d', `M${start[0]},${start[1]}${ray(angle - ANGLE_TOLERANCE)}` +
+              `M${start[0]},${start[1]}${ray(angle + ANGLE_TOLERANCE)}`)
+            hoverNodes(linesAtAngle(lines, xScale, yScale, h, angle))
+          })
+          .on('end', () => {
+            if (angle !== null) selectNodes(linesAtAngle(lines, xScale, yScale, h, angle))
+            clearHoveredNodes()
+            gap.attr('display', 'none')
+            wedge.attr('d', null)
+          }))
+    }
+
+    return () => {
+      brushGroup.remove()
+    }
+  }, [series, plotVersion, dragMode, setFilter, hoverNodes, clearHoveredNodes, selectNodes])
+
+  // Update highlighting: the census-line classes, or in density mode the
+  // highlighted lines drawn over the heatmap (selected ones on top)
+  useIndexHighlight(containerRef, [plotVersion], ({ hoveredNodes, selectedNodes }) => {
+    if (!dense || !plotRef.current || !svgRef.current) return
+    const { line, lines } = plotRef.current
+    const highlighted = lines
+      .filter(d => hoveredNodes.has(d.node_idx) || selectedNodes.has(d.node_idx))
+      .sort((a, b) => selectedNodes.has(a.node_idx) - selectedNodes.has(b.node_idx))
+    d3.select(svgRef.current).select('.census-highlights')
+      .selectAll('.census-highlight')
+      .data(highlighted, d => d.node_idx)
+      .join('path')
+      .attr('class', 'census-highlight')
+      .attr('d', d => line(d.values))
+      .attr('fill', 'none')
+      .attr('stroke', d => selectedNodes.has(d.node_idx)
+        ? 'var(--color-node-selected)'
+        : 'var(--color-node-hover)')
+      .attr('stroke-width', 2)
+      .order()
+  })
+
+  // Set up event handlers
+  useEffect(() => {
+    if (!svgRef.current) return
+
+    const svg = d3.select(svgRef.current)
+
+    if (dense && plotRef.current) {
+      // Hover the line nearest to the pointer at the nearest hop
+      const { xScale, yScale, lines, diameter } = plotRef.current
+      const nearestLine = (event) => {
+        const [x, y] = d3.pointer(event)
+        const h = Math.max(0, Math.min(diameter, Math.round(xScale.invert(x))))
+        let nearest = null
+        let best = HOVER_DISTANCE
+        lines.forEach(({ node_idx, values }) => {
+          if (!(h < values.length)) return
+          const distance = Math.abs(yScale(values[h]) - y)
+          if (distance <= best) {
+            best = distance
+            nearest = node_idx
+          }
+        })
+        return nearest
+      }
+
+      svg.select('.census-density')
+        .on('mousemove', (event) => {
+          const nodeIdx = nearestLine(event)
+          if (nodeIdx === null) clearHover()
+          else hoverNode(nodeIdx)
+        })
+        .on('mouseleave', clearHover)
+        .on('click', (event) => {
+          event.stopPropagation()
+          const nodeIdx = nearestLine(event)
+          if (nodeIdx !== null) toggleNodeSelection(nodeIdx)
+        })
+      return
+    }
+
+    svg.selectAll('.census-line')
+      .on('mouseenter', function () {
+        const nodeIdx = +d3.select(this).attr('data-node-idx')
+        hoverNode(nodeIdx)
+      })
+      .on('mouseleave', clearHover)
+      .on('click', function (event) {
+        event.stopPropagation()
+        const nodeIdx = +d3.select(this).attr('data-node-idx')
+        toggleNodeSelection(nodeIdx)
+      })
+
+  }, [plotVersion, dense, hoverNode, clearHover, toggleNodeSelection])
+
+  return (
+    <Pane
+      title="Hop-Census"
+      accentColor={ACCENT_COLOR}
+      isEmpty={!data}
+      emptyMessage={progress !== null ? `COMPUTING ${constituent.toUpperCase()} CENSUS ${Math.round(progress * 100)}%` : 'NO DATA'}
+      toolbar={
+        <>
+          <select
+            className="pane-select"
+            value={constituent}
+            onChange={(e) => onConstituentChange?.(e.target.value)}
+            disabled={!onConstituentChange}
+            aria-label="Census constituent"
+          >
+            {CONSTITUENTS.map(c => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          <select
+            className="pane-select"
+            value={cumulative ? 'cumulative' : 'per-hop'}
+            onChange={(e) => setCumulative(e.target.value === 'cumulative')}
+            aria-label="Counts"
+          >
+            <option value="per-hop">per hop</option>
+            <option value="cumulative">cumulative</option>
+          </select>
+          <select
+            className="pane-select"
+            value={yScaleType}
+            onChange={(e) => setYScaleType(e.target.value)}
+            aria-label="Y scale"
+          >
+            {Y_SCALES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            className="pane-select"
+            value={renderMode}
+            onChange={(e) => setRenderMode(e.target.value)}
+            aria-label="Rendering"
+            title={`auto: density above ${densityThreshold} nodes`}
+          >
+            {RENDER_MODES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            className="pane-select"
+            value={dragMode}
+            onChange={(e) => setDragMode(e.target.value)}
+            aria-label="Drag mode"
+          >
+            {DRAG_MODES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </>
+      }
+      zoomControls={zoomControls}
+    >
+      <div
+        ref={containerRef}
+        className="pane-visualization"
+        tabIndex={0}
+        role="img"
+        aria-label="Hop-Census visualization. Use +/- to zoom, drag to pan or brush."
+      />
+    </Pane>
+  )
+}
+
+export default HopCensusPane
@@ -1,33 +1,69 @@
-import { useRef, useEffect, useCallback } from 'react'
+import { useRef, useEffect, useState, useId } from 'react'
 import * as d3 from 'd3'
 import Pane from '../ui/Pane'
 import { useSelection } from '../../contexts/SelectionContext'
-import { useZoomPan } from '../../hooks/useZoomPan'
+import { usePaneZoom } from '../../hooks/usePaneZoom'
+import { useIndexHighlight } from '../../hooks/useIndexHighlight'
 import './KSnakesPane.css'
 
 /**
  * KSnakesPane - k-Snakes invariant plot visualization
  *
- * NOTE: This is a placeholder implementation. The exact visualization
- * depends on the data structure from Matt's precomputation.
+ * Shows the k-core peeling of the network (see utils/kCore):
+ * - X-axis: peeling step (one node is removed per step)
+ * - Y-axis: residual degree
+ * - Each node is a snake: a step polyline tracing its residual degree
+ *   from its full degree at step 0 down to the step where it is peeled,
+ *   which is marked by the snake's head (the interactive circle)
+ * - The core line traces the core level k reached at each step
  *
- * From the specs doc, k-Snakes appears to be related to k-core
- * decomposition, showing how nodes relate to different core levels.
- *
- * TODO: Confirm data structure and implement visualization
+ * The axes sit outside the zoomed content and follow the zoom, showing
+ * the visible range. Resizing the pane re-lays out the plot in the same
+ * SVG, so the zoom is kept. Hovering a snake head shows the node's
+ * values; `labels` (see utils/attributes) name the nodes.
  */
 
 const ACCENT_COLOR = 'var(--color-accent-ksnakes)'
 
-function KSnakesPane({ data, networkName }) {
+// Offset (px) of the tooltip from the pointer
+const TOOLTIP_OFFSET = 12
+
+// Steps and (unweighted) degrees are whole numbers
+const integerTick = (d) => Number.isInteger(d) ? d : ''
+
+/**
+ * Scale showing the part of `scale` visible through a zoom transform,
+ * for an axis drawn at `offset` (px) from the zoomed content's origin.
+ */
+function visibleScale(scale, transform, offset, vertical) {
+  const [r0, r1] = scale.range()
+  const k = transform.k
+  const t = vertical ? transform.y : transform.x
+  const unzoom = (r) => (r + offset - t) / k - offset
+  return scale.copy().domain([scale.invert(unzoom(r0)), scale.invert(unzoom(r1))])
+}
+
+/**
+ * Redraw the axes for the current zoom transform.
+ */
+function zoomAxes({ xAxis, yAxis, xScale, yScale, margin, group }, transform) {
+  group.select('.axis-x').call(xAxis.scale(visibleScale(xScale, transform, margin.left, false)))
+  group.select('.axis-y').call(yAxis.scale(visibleScale(yScale, transform, margin.top, true)))
+}
+
+function KSnakesPane({ data, networkName, viewId = null, labels = null }) {
   const containerRef = useRef(null)
+  // Clip path ids must be unique per pane instance
+  const clipId = `ksnakes-clip-${useId().replace(/:/g, '')}`
   const svgRef = useRef(null)
-  const zoomContainerRef = useRef(null)
-  const boundsRef = useRef(null)
+  const axesRef = useRef(null)
+  // Radius of the snake heads, set when they are drawn
+  const radiusRef = useRef(4)
+
+  const [size, setSize] = useState(null)
+  const [tooltip, setTooltip] = useState(null)
 
   const {
-    hoveredNodes,
-    selectedNodes,
     hoverNode,
     clearHover,
     toggleNodeSelection
@@ -35,64 +71,35 @@ function KSnakesPane({ data, networkName }) {
 
   const {
     transform,
-    zoomIn,
-    zoomOut,
-    resetZoom,
-    fitToContent,
-    zoomPercent
-  } = useZoomPan(svgRef, { scaleExtent: [0.5, 4] })
-
-  // Apply zoom transform to the zoom container
-  useEffect(() => {
-    if (zoomContainerRef.current) {
-      d3.select(zoomContainerRef.current).attr('transform', transform)
-    }
-  }, [transform])
+    zoomContainerRef,
+    boundsRef,
+    zoomControls
+  } = usePaneZoom(svgRef, { scaleExtent: [0.5, 4], viewId, resetOn: data })
 
-  // Reset zoom when data changes
+  // Follow the zoom on the axes
   useEffect(() => {
-    resetZoom()
-  }, [data, resetZoom])
-
-  // Calculate bounds for fit-to-content
-  const handleFitContent = useCallback(() => {
-    if (boundsRef.current) {
-      fitToContent(boundsRef.current)
-    }
-  }, [fitToContent])
+    if (axesRef.current) zoomAxes(axesRef.current, transform)
+  }, [transform])
 
-  // Keyboard shortcuts
+  // Track the container size, to re-layout on resize
   useEffect(() => {
     const container = containerRef.current
     if (!container) return
 
-    const handleKeyDown = (event) => {
-      if (document.activeElement !== container) return
-
-      switch (event.key) {
-        case '+':
-        case '=':
-          event.preventDefault()
-          zoomIn()
-          break
-        case '-':
-          event.preventDefault()
-          zoomOut()
-          break
-        case 'Home':
-          event.preventDefault()
-          resetZoom()
-          break
-        case '0':
-          event.preventDefault()
-          handleFitContent()
-          break
+    const resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        const { width, height } = entry.contentRect
+        if (width > 0 && height > 0) {
+          setSize(prev => prev?.width === width && prev?.height === height ? prev : { width, height })
+        }
       }
-    }
+    })
+    resizeObserver.observe(container)
 
-    container.addEventListener('keydown', handleKeyDown)
-    return () => container.removeEventListener('keydown', handleKeyDown)
-  }, [zoomIn, zoomOut, resetZoom, handleFitContent])
+    return () => {
+      resizeObserver.disconnect()
+    }
+  }, [data])
 
   // Initialize visualization
   useEffect(() => {
@@ -102,8 +109,7 @@ function KSnakesPane({ data, networkName }) {
     const { width, height } = container.getBoundingClientRect()
     if (width === 0 || height === 0) return
 
-    // Clear previous
-    d3.select(container).selectAll('*').remove()
+    setTooltip(null)
 
     // Base margins
     const baseMargin = { top: 20, right: 20, bottom: 40, left: 50 }
@@ -129,7 +135,7 @@ function KSnakesPane({ data, networkName }) {
 
     // Calculate node radius based on plot size
     const baseRadius = plotSize / 200 // Scale with plot size
-    const hoverRadius = baseRadius * 1.5
+    radiusRef.current = baseRadius
 
     // Store bounds for fit-to-content
     boundsRef.current = {
@@ -139,18 +145,21 @@ function KSnakesPane({ data, networkName }) {
       height: innerHeight
     }
 
-    // Create SVG
-    const svg = d3.select(container)
-      .append('svg')
+    // Create the SVG, or clear it on re-layout (keeps its zoom state)
+    if (!svgRef.current || svgRef.current.parentNode !== container) {
+      d3.select(container).selectAll('*').remove()
+      svgRef.current = d3.select(container).append('svg').node()
+    }
+    const svg = d3.select(svgRef.current)
       .attr('width', width)
       .attr('height', height)
-
-    svgRef.current = svg.node()
+    svg.selectAll('*').remove()
+    axesRef.current = null
 
     // Create clip path for content area
     svg.append('defs')
       .append('clipPath')
-      .attr('id', 'ksnakes-clip')
+      .attr('id', clipId)
       .append('rect')
       .attr('x', margin.left)
       .attr('y', margin.top)
@@ -158,74 +167,74 @@ function KSnakesPane({ data, networkName }) {
       .attr('height', innerHeight)
 
     if (data.nodes && data.nodes.length > 0) {
-      // // X: node index or position
-      // const xScale = d3.scaleLinear()
-      //   .domain([0, data.nodes.length - 1])
-      //   .range([0, innerWidth])
-
-      // // Y: k-core value
-      // const maxK = d3.max(data.nodes, d => d.degree || d.k || 1)
-      // const yScale = d3.scaleLinear()
-      //   .domain([0, maxK])
-      //   .range([innerHeight, 0])
-
-      // Sort nodes by k-core for snake visualization
-      const sortedNodes = [...data.nodes].sort((a, b) =>
-        (a.degree || a.k || 0) - (b.degree || b.k || 0)
-      )
+      const nodeCount = data.nodes.length
+
+      // Snake heads in peeling order
+      const sortedNodes = [...data.nodes].sort((a, b) => a.order - b.order)
 
       // X dimension padding
       const nodePadding = 20
       const xScale = d3.scaleLinear()
-        .domain([0, data.nodes.length - 1])
+        .domain([0, Math.max(1, nodeCount - 1)])
         .range([nodePadding, innerWidth - nodePadding])
 
       // Y dimension padding
-      const maxK = d3.max(data.nodes, d => d.degree || d.k || 1)
+      const maxDegree = d3.max(data.nodes, d => d.degree) || 1
       const yScale = d3.scaleLinear()
-        .domain([0, maxK])
+        .domain([0, maxDegree])
         .range([innerHeight - nodePadding, nodePadding])
 
-      // // Create line generator
-      // const line = d3.line()
-      //   .x((d, i) => xScale(i))
-      //   .y(d => yScale(d.degree || d.k || 0))
-      //   .curve(d3.curveMonotoneX)
-
-      // // Draw axes (outside zoom container - fixed position)
-      // const axesGroup = svg.append('g')
-      //   .attr('class', 'axes')
-      //   .attr('transform', `translate(${margin.left},${margin.top})`)
-
-      // axesGroup.append('g')
-      //   .attr('class', 'axis axis-x')
-      //   .attr('transform', `translate(0,${innerHeight})`)
-      //   .call(d3.axisBottom(xScale).ticks(5))
-
-      // axesGroup.append('g')
-      //   .attr('class', 'axis axis-y')
-      //   .call(d3.axisLeft(yScale).ticks(maxK))
-
-      // // Axis labels
-      // axesGroup.append('text')
-      //   .attr('class', 'axis-label')
-      //   .attr('x', innerWidth / 2)
-      //   .attr('y', innerHeight + 35)
-      //   .attr('text-anchor', 'middle')
-      //   .text('Node (sorted by k-core)')
-
-      // axesGroup.append('text')
-      //   .attr('class', 'axis-label')
-      //   .attr('transform', 'rotate(-90)')
-      //   .attr('x', -innerHeight / 2)
-      //   .attr('y', -40)
-      //   .attr('text-anchor', 'middle')
-      //   .text('k-core')
+      // Snake line generator (degree holds until the next change point)
+      const line = d3.line()
+        .x(d => xScale(d[0]))
+        .y(d => yScale(d[1]))
+        .curve(d3.curveStepAfter)
+
+      // Core level reached at each step
+      const coreSteps = sortedNodes.map(d => [d.order, d.core])
+
+      // Draw axes (outside zoom container - fixed position, following the zoom)
+      const axesGroup = svg.append('g')
+        .attr('class', 'axes')
+        .attr('transform', `translate(${margin.left},${margin.top})`)
+
+      const xAxis = d3.axisBottom(xScale).ticks(5).tickFormat(integerTick)
+      const yAxis = d3.axisLeft(yScale).ticks(5)
+        .tickFormat(data.metadata?.weighted ? d3.format('~g') : integerTick)
+
+      axesGroup.append('g')
+        .attr('class', 'axis axis-x')
+        .attr('transform', `translate(0,${innerHeight})`)
+        .call(xAxis)
+
+      axesGroup.append('g')
+        .attr('class', 'axis axis-y')
+        .call(yAxis)
+
+      // Axis labels
+      axesGroup.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', innerWidth / 2)
+        .attr('y', innerHeight + 35)
+        .attr('text-anchor', 'middle')
+        .text('Peeling step')
+
+      axesGroup.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -innerHeight / 2)
+        .attr('y', -40)
+        .attr('text-anchor', 'middle')
+        .text(data.metadata?.weighted ? 'Residual strength' : 'Residual degree')
+
+      axesRef.current = { xAxis, yAxis, xScale, yScale, margin, group: axesGroup }
+      zoomAxes(axesRef.current, d3.zoomTransform(svg.node()))
 
       // Create zoom container (clipped to content area)
       const zoomContainer = svg.append('g')
         .attr('class', 'zoom-container')
-        .attr('clip-path', 'url(#ksnakes-clip)')
+        .attr('clip-path', `url(#${clipId})`)
+        .attr('transform', d3.zoomTransform(svg.node()))
 
       zoomContainerRef.current = zoomContainer.node()
 
@@ -234,84 +243,51 @@ function KSnakesPane({ data, networkName }) {
         .attr('class', 'content')
         .attr('transform', `translate(${margin.left},${margin.top})`)
 
-      // // Draw the snake line
-      // contentGroup.append('path')
-      //   .datum(sortedNodes)
-      //   .attr('class', 'snake-line')
-      //   .attr('d', line)
-      //   .attr('fill', 'none')
-      //   .attr('stroke', 'var(--color-accent-ksnakes)')
-      //   .attr('stroke-width', 2)
-      //   .attr('stroke-opacity', 0.6)
+      // Draw the snakes
+      contentGroup.append('g')
+        .attr('class', 'snake-lines')
+        .selectAll('.snake-line')
+        .data(sortedNodes)
+        .join('path')
+        .attr('class', 'snake-line')
+        .attr('data-node-idx', d => d.node_idx)
+        .attr('d', d => line(d.trajectory))
+        .attr('fill', 'none')
+        .attr('stroke', 'var(--color-text-muted)')
+        .attr('stroke-width', 1)
+        .attr('stroke-opacity', 0.3)
+
+      // Draw the core level line
+      contentGroup.append('path')
+        .datum(coreSteps)
+        .attr('class', 'snake-core-line')
+        .attr('d', line)
+        .attr('fill', 'none')
+        .attr('stroke', 'var(--color-accent-ksnakes)')
+        .attr('stroke-width', 1.5)
 
       // Draw node points
       const nodesGroup = contentGroup.append('g').attr('class', 'snake-nodes')
 
-      // Add red border around nodes group
-      const nodesBBox = { x: 0, y: 0, width: innerWidth, height: innerHeight }
-      nodesGroup.append('rect')
-        .attr('x', nodesBBox.x)
-        .attr('y', nodesBBox.y)
-        .attr('width', nodesBBox.width)
-        .attr('height', nodesBBox.height)
-        .attr('fill', 'none')
-        .attr('stroke', 'tomato')
-        .attr('stroke-width', 0.5)
-        .attr('pointer-events', 'none')
-
       nodesGroup.selectAll('.snake-node')
         .data(sortedNodes)
         .join('circle')
         .attr('class', 'snake-node')
         .attr('data-node-idx', d => d.node_idx)
-        .attr('cx', (d, i) => xScale(i))
-        .attr('cy', d => yScale(d.degree || d.k || 0))
+        .attr('cx', d => xScale(d.order))
+        .attr('cy', d => yScale(d.trajectory[d.trajectory.length - 1][1]))
         .attr('r', baseRadius)
         .attr('fill', 'var(--color-text-secondary)')
     }
+  }, [data, size, clipId])
 
-    // Handle resize
-    const resizeObserver = new ResizeObserver(() => {
-      // Re-render on resize
-    })
-    resizeObserver.observe(container)
-
-    return () => {
-      resizeObserver.disconnect()
-    }
-  }, [data])
-
-  // Update highlighting
-  useEffect(() => {
+  // Update highlighting: the snake classes, and enlarged heads
+  useIndexHighlight(containerRef, [data, size], ({ hoveredNodes, selectedNodes }) => {
     if (!svgRef.current) return
-
-    const svg = d3.select(svgRef.current)
-
-    // Get the base radius from the first node
-    const firstNode = svg.select('.snake-node')
-    const baseRadius = firstNode.empty() ? 4 : +firstNode.attr('r')
-    const hoverRadius = baseRadius * 1.5
-
-    svg.selectAll('.snake-node')
-      .attr('fill', function () {
-        const nodeIdx = +d3.select(this).attr('data-node-idx')
-        if (selectedNodes.has(nodeIdx)) return 'var(--color-node-selected)'
-        if (hoveredNodes.has(nodeIdx)) return 'var(--color-node-hover)'
-        return 'var(--color-text-secondary)'
-      })
-      .attr('r', function () {
-        const nodeIdx = +d3.select(this).attr('data-node-idx')
-        if (selectedNodes.has(nodeIdx) || hoveredNodes.has(nodeIdx)) return hoverRadius
-        return baseRadius
-      })
-      .each(function () {
-        const nodeIdx = +d3.select(this).attr('data-node-idx')
-        if (selectedNodes.has(nodeIdx) || hoveredNodes.has(nodeIdx)) {
-          d3.select(this).raise()
-        }
-      })
-
-  }, [hoveredNodes, selectedNodes])
+    const radius = radiusRef.current
+    d3.select(svgRef.current).selectAll('.snake-node')
+      .attr('r', d => selectedNodes.has(d.node_idx) || hoveredNodes.has(d.node_idx) ? radius * 1.5 : radius)
+  })
 
   // Set up event handlers
   useEffect(() => {
@@ -320,31 +296,33 @@ function KSnakesPane({ data, networkName }) {
     const svg = d3.select(svgRef.current)
 
     svg.selectAll('.snake-node')
-      .on('mouseenter', function () {
-        const nodeIdx = +d3.select(this).attr('data-node-idx')
-        hoverNode(nodeIdx)
+      .on('mouseenter', function (event, d) {
+        hoverNode(d.node_idx)
+        const [x, y] = d3.pointer(event, containerRef.current)
+        // Keep the tooltip inside the pane: open it leftwards on the right half
+        const flip = x > containerRef.current.clientWidth / 2
+        setTooltip({ x, y, flip, node: d })
+      })
+      .on('mouseleave', () => {
+        clearHover()
+        setTooltip(null)
       })
-      .on('mouseleave', clearHover)
       .on('click', function (event) {
         event.stopPropagation()
         const nodeIdx = +d3.select(this).attr('data-node-idx')
         toggleNodeSelection(nodeIdx)
       })
 
-  }, [data, hoverNode, clearHover, toggleNodeSelection])
+  }, [data, size, hoverNode, clearHover, toggleNodeSelection])
+
+  const valueName = data?.metadata?.weighted ? 'strength' : 'degree'
 
   return (
     <Pane
       title="k-Snakes"
       accentColor={ACCENT_COLOR}
       isEmpty={!data}
-      zoomControls={{
-        onZoomIn: zoomIn,
-        onZoomOut: zoomOut,
-        onReset: resetZoom,
-        onFitContent: handleFitContent,
-        zoomPercent
-      }}
+      zoomControls={zoomControls}
     >
       <div
         ref={containerRef}
@@ -353,6 +331,24 @@ function KSnakesPane({ data, networkName }) {
         role="img"
         aria-label="k-Snakes visualization. Use +/- to zoom, drag to pan."
       />
+      {tooltip && (
+        <div
+          className="pane-tooltip"
+          style={{
+            top: tooltip.y + TOOLTIP_OFFSET,
+            ...(tooltip.flip
+              ? { right: containerRef.current.clientWidth - tooltip.x + TOOLTIP_OFFSET }
+              : { left: tooltip.x + TOOLTIP_OFFSET })
+          }}
+        >
+          <div className="pane-tooltip-title">
+            {labels?.[tooltip.node.node_idx] ?? `Node ${tooltip.node.node_idx}`}
+          </div>
+          <div>{valueName}: {tooltip.node.degree}</div>
+          <div>core: {tooltip.node.core}</div>
+          <div>peeled at step: {tooltip.node.order}</div>
+        </div>
+      )}
     </Pane>
   )
 }
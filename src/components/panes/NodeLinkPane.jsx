@@ -1,8 +1,16 @@
-import { useRef, useEffect, useCallback } from 'react'
+import { useRef, useEffect, useId } from 'react'
 import * as d3 from 'd3'
 import Pane from '../ui/Pane'
 import { useSelection } from '../../contexts/SelectionContext'
-import { useZoomPan } from '../../hooks/useZoomPan'
+import { usePaneZoom } from '../../hooks/usePaneZoom'
+import { useIndexHighlight } from '../../hooks/useIndexHighlight'
+import { getEdgeArrays, getAdjacency, isDirected } from '../../utils/graph'
+import {
+  edgeGeometry,
+  readNodeLinkColors,
+  drawNodeLink,
+  createNodeLinkHitTester
+} from '../../utils/nodeLinkCanvas'
 import './NodeLinkPane.css'
 
 /**
@@ -12,24 +20,101 @@ import './NodeLinkPane.css'
  * - Nodes are circles positioned by force simulation
  * - Edges are lines connecting nodes
  *
+ * Directed and weighted networks:
+ * - Arcs end in arrowheads; reciprocal arcs (u -> v and v -> u) curve
+ *   to either side so both stay visible
+ * - Edge weight sets stroke width and how strongly the edge pulls its
+ *   endpoints together
+ *
  * Selection highlighting:
  * - Hovered nodes/edges get muted highlight color
  * - Selected nodes/edges get solid highlight color
  * - Selected elements are raised to front (z-order)
  *
+ * Large networks (more than CANVAS_EDGE_THRESHOLD edges) are drawn on a
+ * canvas instead of as SVG elements (see utils/nodeLinkCanvas), with the
+ * same colors, zoom and interactions; quadtrees find the node or edge
+ * under the pointer for hover, click and drag.
+ *
  * Zoom/Pan:
  * - Scroll wheel zooms at cursor position
  * - Drag empty space to pan
  * - Drag nodes to reposition them (filtered from pan)
+ *
+ * Layout:
+ * - Starts from `layout` ({ x, y } arrays by node_idx) when one is given,
+ *   otherwise from random positions
+ * - Reports positions through `onLayoutChange` whenever the simulation
+ *   settles, so the layout can be cached, and registers a reader of the
+ *   current positions through `registerLayout` (for session snapshots
+ *   taken while it is still settling)
+ *
+ * `labels` (node labels by node_idx, see utils/attributes) become the
+ * nodes' tooltips.
+ *
+ * `viewId` identifies the pane's zoom in ViewContext (URL state)
  */
 
 const ACCENT_COLOR = 'var(--color-accent-nodelink)'
 
-function NodeLinkPane({ data, networkName }) {
+const NODE_RADIUS = 3
+const HIGHLIGHT_RADIUS = 5
+
+// Above this many edges, draw on a canvas
+const CANVAS_EDGE_THRESHOLD = 4000
+
+// Pointer distance (screen px) within which a node or edge is hit on the canvas
+const HIT_TOLERANCE = 3
+
+// Stroke width range for weighted edges (unweighted edges are 1 wide)
+const WEIGHT_WIDTH_RANGE = [0.5, 4]
+
+// Curvature of reciprocal arcs, as a fraction of their length
+const RECIPROCAL_BEND = 0.15
+
+// Arrowhead markers, one per edge state (markers can't inherit the stroke)
+const ARROW_COLORS = {
+  default: 'var(--color-border)',
+  hover: 'var(--color-edge-hover)',
+  selected: 'var(--color-edge-selected)'
+}
+
+/**
+ * SVG path of an edge: straight, or a quadratic curve bent to the right
+ * of the direction of travel. The end is pulled back by `inset` along
+ * the incoming tangent, so arrowheads touch the node's rim.
+ */
+function edgePath(source, target, bend, inset) {
+  const { cx, cy, x2, y2 } = edgeGeometry(source, target, bend, inset)
+  return bend
+    ? `M${source.x},${source.y}Q${cx},${cy} ${x2},${y2}`
+    : `M${source.x},${source.y}L${x2},${y2}`
+}
+
+function NodeLinkPane({ data, networkName, layout = null, onLayoutChange = null, registerLayout = null, labels = null, viewId = null }) {
   const containerRef = useRef(null)
-  const svgRef = useRef(null)
-  const zoomContainerRef = useRef(null)
+  // The SVG, or the canvas of large networks: the zoom target
+  const surfaceRef = useRef(null)
   const simulationRef = useRef(null)
+  // Canvas rendering ({ canvas, scheduleDraw, hitTest }), null for SVG
+  const canvasViewRef = useRef(null)
+
+  // Per-edge base stroke width and whether arcs get arrowheads, set when
+  // the edges are drawn and read by the highlighting
+  const edgeWidthRef = useRef(null)
+  const directedRef = useRef(false)
+
+  // Marker ids must be unique per pane instance
+  const markerId = `arrow-${useId().replace(/:/g, '')}`
+
+  // Read when the simulation starts; kept out of its effect dependencies
+  // so that saving a layout doesn't restart the simulation
+  const layoutRef = useRef(layout)
+  const onLayoutChangeRef = useRef(onLayoutChange)
+  const registerLayoutRef = useRef(registerLayout)
+  layoutRef.current = layout
+  onLayoutChangeRef.current = onLayoutChange
+  registerLayoutRef.current = registerLayout
 
   const {
     hoveredNodes,
@@ -43,82 +128,42 @@ function NodeLinkPane({ data, networkName }) {
     toggleEdgeSelection
   } = useSelection()
 
-  const {
-    transform,
-    zoomIn,
-    zoomOut,
-    resetZoom,
-    fitToContent,
-    setFilter,
-    zoomPercent
-  } = useZoomPan(svgRef, { scaleExtent: [0.1, 4] })
-
-  // Apply zoom transform to the zoom container
-  useEffect(() => {
-    if (zoomContainerRef.current) {
-      d3.select(zoomContainerRef.current).attr('transform', transform)
-    }
-  }, [transform])
-
-  // Reset zoom when data changes
-  useEffect(() => {
-    resetZoom()
-  }, [data, resetZoom])
-
-  // Calculate bounds for fit-to-content based on node positions
-  const handleFitContent = useCallback(() => {
-    const simulation = simulationRef.current
-    if (!simulation) return
-
-    const nodes = simulation.nodes()
-    if (!nodes || nodes.length === 0) return
+  // Fit-to-content bounds, from the node positions
+  const getBounds = () => {
+    const nodes = simulationRef.current?.nodes()
+    if (!nodes || nodes.length === 0) return null
 
     const padding = 20
     const xs = nodes.map(n => n.x)
     const ys = nodes.map(n => n.y)
 
-    const bounds = {
+    return {
       x: d3.min(xs) - padding,
       y: d3.min(ys) - padding,
       width: (d3.max(xs) - d3.min(xs)) + padding * 2,
       height: (d3.max(ys) - d3.min(ys)) + padding * 2
     }
+  }
 
-    fitToContent(bounds)
-  }, [fitToContent])
-
-  // Keyboard shortcuts
+  const {
+    transform,
+    zoomContainerRef,
+    setFilter,
+    zoomControls
+  } = usePaneZoom(surfaceRef, { scaleExtent: [0.1, 4], viewId, resetOn: data, getBounds })
+
+  // Latest zoom, selection and labels, for canvas drawing and hit-testing
+  const transformRef = useRef(transform)
+  const selectionRef = useRef(null)
+  const labelsRef = useRef(labels)
+  transformRef.current = transform
+  selectionRef.current = { hoveredNodes, hoveredEdges, selectedNodes, selectedEdges }
+  labelsRef.current = labels
+
+  // Redraw the canvas on zoom (usePaneZoom transforms the SVG's group)
   useEffect(() => {
-    const container = containerRef.current
-    if (!container) return
-
-    const handleKeyDown = (event) => {
-      if (document.activeElement !== container) return
-
-      switch (event.key) {
-        case '+':
-        case '=':
-          event.preventDefault()
-          zoomIn()
-          break
-        case '-':
-          event.preventDefault()
-          zoomOut()
-          break
-        case 'Home':
-          event.preventDefault()
-          resetZoom()
-          break
-        case '0':
-          event.preventDefault()
-          handleFitContent()
-          break
-      }
-    }
-
-    container.addEventListener('keydown', handleKeyDown)
-    return () => container.removeEventListener('keydown', handleKeyDown)
-  }, [zoomIn, zoomOut, resetZoom, handleFitContent])
+    canvasViewRef.current?.scheduleDraw()
+  }, [transform])
 
   // Initialize D3 visualization
   useEffect(() => {
@@ -130,41 +175,56 @@ function NodeLinkPane({ data, networkName }) {
 
     // Clear previous
     d3.select(container).selectAll('*').remove()
+    canvasViewRef.current = null
+    zoomContainerRef.current = null
 
-    // Create SVG
-    const svg = d3.select(container)
-      .append('svg')
-      .attr('width', width)
-      .attr('height', height)
-      .attr('viewBox', `0 0 ${width} ${height}`)
-
-    svgRef.current = svg.node()
-
-    // Create zoom container (all content goes here)
-    const zoomContainer = svg.append('g').attr('class', 'zoom-container')
-    zoomContainerRef.current = zoomContainer.node()
-
-    // Create groups for layering (edges below nodes)
-    const edgeGroup = zoomContainer.append('g').attr('class', 'edges')
-    const nodeGroup = zoomContainer.append('g').attr('class', 'nodes')
+    const directed = isDirected(data)
+    directedRef.current = directed
 
     // // Prepare data (clone to avoid mutation)
     // const nodes = data.nodes.map(d => ({ ...d }))
     // const edges = data.edges.map(d => ({ ...d }))
 
-    // Prepare data (clone to avoid mutation)
-    const nodes = data.nodes.map(d => ({ 
-      ...d,
-      x: Math.random() * width,
-      y: Math.random() * height
+    // Prepare simulation objects from the shared edge arrays (works for
+    // nodelink JSON and packed networks alike), starting from the cached
+    // layout if there is one for this network
+    const { nodeCount, sources, targets, weights } = getEdgeArrays(data)
+    const initialLayout = layoutRef.current
+    const hasLayout = initialLayout && initialLayout.x.length === nodeCount
+    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ 
+      node_idx: i,
+      x: hasLayout ? initialLayout.x[i] : Math.random() * width,
+      y: hasLayout ? initialLayout.y[i] : Math.random() * height
+    }))
+    // Arcs whose reverse arc also exists are drawn curved
+    const arcKeys = directed ? new Set(Array.from(sources, (s, i) => `${s}>${targets[i]}`)) : null
+    const edges = Array.from(sources, (source, i) => ({
+      edge_idx: i,
+      source,
+      target: targets[i],
+      bend: directed && arcKeys.has(`${targets[i]}>${source}`) ? RECIPROCAL_BEND : 0
     }))
-    const edges = data.edges.map(d => ({ ...d }))
+
+    // Weight to stroke width, and to link strength: d3's default strength
+    // (1 / smaller endpoint degree) scaled by weight relative to the
+    // heaviest edge, so heavy edges pull their endpoints closer
+    const widthScale = weights && d3.scaleSqrt()
+      .domain([0, d3.max(weights) || 1])
+      .range(WEIGHT_WIDTH_RANGE)
+    edgeWidthRef.current = weights ? Float32Array.from(weights, widthScale) : null
+    const { degree } = getAdjacency(data)
+    const maxWeight = weights ? d3.max(weights) || 1 : 1
+    const linkStrength = (d, i) => {
+      const base = 1 / Math.max(1, Math.min(degree[d.source.node_idx], degree[d.target.node_idx]))
+      return weights ? base * Math.max(0.1, weights[i] / maxWeight) : base
+    }
 
     // Create force simulation
     const simulation = d3.forceSimulation(nodes)
       .force('link', d3.forceLink(edges)
         .id(d => d.node_idx)
         .distance(30)
+        .strength(linkStrength)
       )
       .force('charge', d3.forceManyBody().strength(-100))
       .force('center', d3.forceCenter(width / 2, height / 2))
@@ -172,58 +232,223 @@ function NodeLinkPane({ data, networkName }) {
 
     simulationRef.current = simulation
 
-    // Draw edges
-    const edgeElements = edgeGroup.selectAll('line')
-      .data(edges)
-      .join('line')
-      .attr('class', 'edge')
-      .attr('data-edge-idx', d => d.edge_idx)
-      .attr('stroke', 'var(--color-border)')
-      .attr('stroke-width', 1)
-
-    // Draw nodes
-    const nodeElements = nodeGroup.selectAll('circle')
-      .data(nodes)
-      .join('circle')
-      .attr('class', 'node')
-      .attr('data-node-idx', d => d.node_idx)
-      .attr('r', 3)
-      .attr('fill', 'var(--color-text-secondary)')
-      .call(drag(simulation))
-
-    // Add tomato border around node group area
-
-
-    // Update positions on tick
-    simulation.on('tick', () => {
-      edgeElements
-        .attr('x1', d => d.source.x)
-        .attr('y1', d => d.source.y)
-        .attr('x2', d => d.target.x)
-        .attr('y2', d => d.target.y)
-
-      nodeElements
-        .attr('cx', d => d.x)
-        .attr('cy', d => d.y)
+    // A cached layout only needs to settle, not be found from scratch
+    if (hasLayout) simulation.alpha(0.05)
+
+    const readPositions = () => ({
+      x: Float32Array.from(nodes, n => n.x),
+      y: Float32Array.from(nodes, n => n.y)
     })
+    const unregisterLayout = registerLayoutRef.current?.(data, readPositions)
 
-    // Set zoom filter: allow wheel zoom, block pan when clicking on nodes
-    setFilter((event) => {
-      // Always allow wheel zoom
-      if (event.type === 'wheel') return true
-      // Block pan when starting drag on a node (let node drag handle it)
-      if (event.target.classList.contains('node')) return false
-      // Allow pan on empty space and edges
-      return true
+    simulation.on('end', () => {
+      if (!onLayoutChangeRef.current) return
+      onLayoutChangeRef.current(readPositions())
     })
 
+    const inset = directed ? NODE_RADIUS + 1 : 0
+
+    // SVG: one element per node and edge, updated on every tick
+    const drawSvg = () => {
+      const svg = d3.select(container)
+        .append('svg')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('viewBox', `0 0 ${width} ${height}`)
+
+      surfaceRef.current = svg.node()
+
+      // Create zoom container (all content goes here)
+      const zoomContainer = svg.append('g').attr('class', 'zoom-container')
+      zoomContainerRef.current = zoomContainer.node()
+
+      // Arrowheads for directed networks, sized in user space so they
+      // don't grow with the stroke width
+      if (directed) {
+        svg.append('defs')
+          .selectAll('marker')
+          .data(Object.entries(ARROW_COLORS))
+          .join('marker')
+          .attr('id', ([state]) => `${markerId}-${state}`)
+          .attr('viewBox', '0 -5 10 10')
+          .attr('refX', 10)
+          .attr('markerUnits', 'userSpaceOnUse')
+          .attr('markerWidth', 6)
+          .attr('markerHeight', 6)
+          .attr('orient', 'auto')
+          .append('path')
+          .attr('d', 'M0,-5L10,0L0,5')
+          .attr('fill', ([, color]) => color)
+      }
+
+      // Create groups for layering (edges below nodes)
+      const edgeGroup = zoomContainer.append('g').attr('class', 'edges')
+      const nodeGroup = zoomContainer.append('g').attr('class', 'nodes')
+
+      // Draw edges
+      const edgeElements = edgeGroup.selectAll('path')
+        .data(edges)
+        .join('path')
+        .attr('class', 'edge')
+        .attr('data-edge-idx', d => d.edge_idx)
+        .attr('stroke', 'var(--color-border)')
+        .attr('stroke-width', d => edgeWidthRef.current ? edgeWidthRef.current[d.edge_idx] : 1)
+        .attr('marker-end', directed ? `url(#${markerId}-default)` : null)
+
+      // Draw nodes
+      const nodeElements = nodeGroup.selectAll('circle')
+        .data(nodes)
+        .join('circle')
+        .attr('class', 'node')
+        .attr('data-node-idx', d => d.node_idx)
+        .attr('r', NODE_RADIUS)
+        .attr('fill', 'var(--color-text-secondary)')
+        .call(drag(simulation))
+
+      // Update positions on tick
+      simulation.on('tick', () => {
+        edgeElements
+          .attr('d', d => edgePath(d.source, d.target, d.bend, inset))
+
+        nodeElements
+          .attr('cx', d => d.x)
+          .attr('cy', d => d.y)
+      })
+
+      // Set zoom filter: allow wheel zoom, block pan when clicking on nodes
+      setFilter((event) => {
+        // Always allow wheel zoom
+        if (event.type === 'wheel') return true
+        // Block pan when starting drag on a node (let node drag handle it)
+        if (event.target.classList.contains('node')) return false
+        // Allow pan on empty space and edges
+        return true
+      })
+
+      return {
+        resize(width, height) {
+          svg.attr('width', width).attr('height', height)
+          svg.attr('viewBox', `0 0 ${width} ${height}`)
+        },
+        destroy() {}
+      }
+    }
+
+    // Canvas: the whole diagram redrawn at most once per frame, hit-tested
+    // through quadtrees
+    const drawCanvas = () => {
+      const canvas = d3.select(container)
+        .append('canvas')
+        .attr('class', 'node-link-canvas')
+        .node()
+      surfaceRef.current = canvas
+
+      const ctx = canvas.getContext('2d')
+      const colors = readNodeLinkColors(canvas)
+      const scene = {
+        nodes,
+        edges,
+        widths: edgeWidthRef.current,
+        directed,
+        inset,
+        nodeRadius: NODE_RADIUS,
+        highlightRadius: HIGHLIGHT_RADIUS
+      }
+      const hitTester = createNodeLinkHitTester(scene)
+      const size = { width, height, dpr: 1 }
+
+      const resize = (width, height) => {
+        size.width = width
+        size.height = height
+        size.dpr = window.devicePixelRatio || 1
+        canvas.width = Math.round(width * size.dpr)
+        canvas.height = Math.round(height * size.dpr)
+        canvas.style.width = `${width}px`
+        canvas.style.height = `${height}px`
+      }
+      resize(width, height)
+
+      let frame = null
+      const scheduleDraw = () => {
+        if (frame !== null) return
+        frame = requestAnimationFrame(() => {
+          frame = null
+          drawNodeLink(ctx, scene, {
+            ...size,
+            transform: transformRef.current,
+            colors,
+            ...selectionRef.current
+          })
+        })
+      }
+
+      // Node or edge under the pointer: { node } or { edge }, or null
+      const hitTest = (event) => {
+        const transform = transformRef.current
+        const [x, y] = transform.invert(d3.pointer(event, canvas))
+        const tolerance = HIT_TOLERANCE / transform.k
+        const node = hitTester.nodeAt(x, y, NODE_RADIUS + tolerance)
+        if (node !== null) return { node }
+        const edge = hitTester.edgeAt(x, y, tolerance)
+        return edge !== null ? { edge } : null
+      }
+
+      simulation.on('tick', () => {
+        hitTester.invalidate()
+        scheduleDraw()
+      })
+
+      // Drag the node under the pointer; pan elsewhere
+      d3.select(canvas).call(d3.drag()
+        .subject((event) => {
+          const hit = hitTest(event)
+          return hit?.node !== undefined ? nodes[hit.node] : null
+        })
+        .on('start', (event) => {
+          if (!event.active) simulation.alphaTarget(0.3).restart()
+          event.subject.fx = event.subject.x
+          event.subject.fy = event.subject.y
+        })
+        .on('drag', (event) => {
+          const [x, y] = transformRef.current.invert(d3.pointer(event, canvas))
+          event.subject.fx = x
+          event.subject.fy = y
+        })
+        .on('end', (event) => {
+          if (!event.active) simulation.alphaTarget(0)
+          event.subject.fx = null
+          event.subject.fy = null
+        })
+      )
+
+      setFilter((event) => {
+        if (event.type === 'wheel') return true
+        return hitTest(event)?.node === undefined
+      })
+
+      canvasViewRef.current = { canvas, scheduleDraw, hitTest }
+      scheduleDraw()
+
+      return {
+        resize(width, height) {
+          resize(width, height)
+          scheduleDraw()
+        },
+        destroy() {
+          if (frame !== null) cancelAnimationFrame(frame)
+          d3.select(canvas).on('.drag', null)
+        }
+      }
+    }
+
+    const draw = edges.length > CANVAS_EDGE_THRESHOLD ? drawCanvas() : drawSvg()
+
     // Handle resize
     const resizeObserver = new ResizeObserver((entries) => {
       for (const entry of entries) {
         const { width, height } = entry.contentRect
         if (width > 0 && height > 0) {
-          svg.attr('width', width).attr('height', height)
-          svg.attr('viewBox', `0 0 ${width} ${height}`)
+          draw.resize(width, height)
           simulation.force('center', d3.forceCenter(width / 2, height / 2))
           simulation.alpha(0.3).restart()
         }
@@ -234,63 +459,92 @@ function NodeLinkPane({ data, networkName }) {
     return () => {
       simulation.stop()
       resizeObserver.disconnect()
+      draw.destroy()
+      unregisterLayout?.()
     }
-  }, [data, setFilter])
+  }, [data, setFilter, markerId])
 
-  // Update highlighting based on selection state
+  // Node tooltips (the canvas sets its title on hover instead)
   useEffect(() => {
-    if (!svgRef.current) return
+    if (!surfaceRef.current || canvasViewRef.current) return
+    d3.select(surfaceRef.current).selectAll('.node')
+      .selectAll('title')
+      .data(function () {
+        const nodeIdx = +d3.select(this).attr('data-node-idx')
+        return labels ? [labels[nodeIdx] ?? `Node ${nodeIdx}`] : []
+      })
+      .join('title')
+      .text(d => d)
+  }, [data, labels])
+
+  // Update highlighting: the node and edge classes (colors), then sizes
+  // and arrowheads, or a canvas redraw
+  useIndexHighlight(containerRef, [data, markerId], ({ hoveredNodes, hoveredEdges, selectedNodes, selectedEdges }) => {
+    if (canvasViewRef.current) {
+      canvasViewRef.current.scheduleDraw()
+      return
+    }
+    if (!surfaceRef.current) return
 
-    const svg = d3.select(svgRef.current)
+    const svg = d3.select(surfaceRef.current)
 
-    // Update node styles
     svg.selectAll('.node')
-      .attr('fill', function () {
-        const nodeIdx = +d3.select(this).attr('data-node-idx')
-        if (selectedNodes.has(nodeIdx)) return 'var(--color-node-selected)'
-        if (hoveredNodes.has(nodeIdx)) return 'var(--color-node-hover)'
-        return 'var(--color-text-secondary)'
-      })
-      .attr('r', function () {
-        const nodeIdx = +d3.select(this).attr('data-node-idx')
-        if (selectedNodes.has(nodeIdx) || hoveredNodes.has(nodeIdx)) return 5
-        return 3
-      })
-      .each(function () {
-        const nodeIdx = +d3.select(this).attr('data-node-idx')
-        // Raise selected/hovered nodes to front
-        if (selectedNodes.has(nodeIdx) || hoveredNodes.has(nodeIdx)) {
-          d3.select(this).raise()
-        }
-      })
+      .attr('r', d => selectedNodes.has(d.node_idx) || hoveredNodes.has(d.node_idx) ? HIGHLIGHT_RADIUS : NODE_RADIUS)
+
+    const edgeState = (edgeIdx) => {
+      if (selectedEdges.has(edgeIdx)) return 'selected'
+      if (hoveredEdges.has(edgeIdx)) return 'hover'
+      return 'default'
+    }
+    const widths = edgeWidthRef.current
 
-    // Update edge styles
     svg.selectAll('.edge')
-      .attr('stroke', function () {
-        const edgeIdx = +d3.select(this).attr('data-edge-idx')
-        if (selectedEdges.has(edgeIdx)) return 'var(--color-edge-selected)'
-        if (hoveredEdges.has(edgeIdx)) return 'var(--color-edge-hover)'
-        return 'var(--color-border)'
+      .attr('stroke-width', d => {
+        const width = widths ? widths[d.edge_idx] : 1
+        return edgeState(d.edge_idx) === 'default' ? width : width + 1
       })
-      .attr('stroke-width', function () {
-        const edgeIdx = +d3.select(this).attr('data-edge-idx')
-        if (selectedEdges.has(edgeIdx) || hoveredEdges.has(edgeIdx)) return 2
-        return 1
-      })
-      .each(function () {
-        const edgeIdx = +d3.select(this).attr('data-edge-idx')
-        if (selectedEdges.has(edgeIdx) || hoveredEdges.has(edgeIdx)) {
-          d3.select(this).raise()
-        }
-      })
-
-  }, [hoveredNodes, hoveredEdges, selectedNodes, selectedEdges])
+      .attr('marker-end', d => directedRef.current ? `url(#${markerId}-${edgeState(d.edge_idx)})` : null)
+  })
 
   // Set up event handlers
   useEffect(() => {
-    if (!svgRef.current) return
+    if (canvasViewRef.current) {
+      const { canvas, hitTest } = canvasViewRef.current
+      let hovered = null // key of the hovered node or edge
+
+      d3.select(canvas)
+        .on('mousemove.canvas', (event) => {
+          const hit = hitTest(event)
+          const key = hit ? (hit.node !== undefined ? `n${hit.node}` : `e${hit.edge}`) : null
+          if (key === hovered) return
+          hovered = key
+          canvas.style.cursor = hit ? 'pointer' : null
+          const labels = labelsRef.current
+          canvas.title = labels && hit?.node !== undefined ? labels[hit.node] ?? `Node ${hit.node}` : ''
+          if (!hit) clearHover()
+          else if (hit.node !== undefined) hoverNode(hit.node)
+          else hoverEdge(hit.edge)
+        })
+        .on('mouseleave.canvas', () => {
+          if (hovered === null) return
+          hovered = null
+          canvas.style.cursor = null
+          clearHover()
+        })
+        .on('click.canvas', (event) => {
+          const hit = hitTest(event)
+          if (!hit) return
+          if (hit.node !== undefined) toggleNodeSelection(hit.node)
+          else toggleEdgeSelection(hit.edge)
+        })
+
+      return () => {
+        d3.select(canvas).on('.canvas', null)
+      }
+    }
+    if (!surfaceRef.current) return
 
-    const svg = d3.select(svgRef.current)
+    const svg = d3.select(surfaceRef.current)
 
     // Node events
     svg.selectAll('.node')
@@ -325,13 +579,7 @@ function NodeLinkPane({ data, networkName }) {
       title="Node-Link"
       accentColor={ACCENT_COLOR}
       isEmpty={!data}
-      zoomControls={{
-        onZoomIn: zoomIn,
-        onZoomOut: zoomOut,
-        onReset: resetZoom,
-        onFitContent: handleFitContent,
-        zoomPercent
-      }}
+      zoomControls={zoomControls}
     >
       <div
         ref={containerRef}
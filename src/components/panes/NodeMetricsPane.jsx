@@ -0,0 +1,359 @@
+import { useRef, useEffect, useMemo, useState, useCallback } from 'react'
+import * as d3 from 'd3'
+import Pane from '../ui/Pane'
+import { useSelection } from '../../contexts/SelectionContext'
+import { NODE_METRICS } from '../../utils/nodeMetrics'
+import './NodeMetricsPane.css'
+
+/**
+ * NodeMetricsPane - Table of per-node metrics
+ *
+ * One row per node: its index and label, the metrics computed by
+ * NetworkContext (see utils/nodeMetrics) and the node attributes.
+ *
+ * - Clicking a column header sorts by it (again to reverse the order)
+ * - The filter row keeps matching rows: numbers take a comparison
+ *   (>5, <=0.2, =3, or a range 2..10), text a case-insensitive substring
+ * - Only the visible rows are rendered, so large networks scroll smoothly
+ *
+ * Hovering a row hovers its node; clicking toggles its selection, and
+ * shift-clicking selects every row from the last clicked one. Rows of
+ * selected nodes are highlighted, and a selection made in another pane
+ * scrolls its first row into view.
+ */
+
+const ACCENT_COLOR = 'var(--color-accent-metrics)'
+
+const ROW_HEIGHT = 22
+// Rows rendered beyond each edge of the viewport
+const OVERSCAN = 8
+
+const COLUMN_WIDTH = { index: 56, label: 140, number: 84, text: 120 }
+
+const formatInteger = d3.format('d')
+const formatReal = d3.format('.3~g')
+
+/**
+ * Row predicate of a filter string, or null for an empty one.
+ */
+function parseFilter(text, numeric) {
+  const query = text.trim()
+  if (query === '') return null
+  if (!numeric) {
+    const needle = query.toLowerCase()
+    return (value) => value !== null && String(value).toLowerCase().includes(needle)
+  }
+
+  const range = query.match(/^(-?[\d.e]+)\s*\.\.\s*(-?[\d.e]+)$/)
+  if (range) {
+    const [low, high] = [+range[1], +range[2]]
+    return (value) => value !== null && value >= low && value <= high
+  }
+  const comparison = query.match(/^(<=|>=|<|>|=)?\s*(-?[\d.e]+)$/)
+  if (!comparison || Number.isNaN(+comparison[2])) return () => false
+  const bound = +comparison[2]
+  switch (comparison[1]) {
+    case '<': return (value) => value !== null && value < bound
+    case '<=': return (value) => value !== null && value <= bound
+    case '>': return (value) => value !== null && value > bound
+    case '>=': return (value) => value !== null && value >= bound
+    default: return (value) => value === bound
+  }
+}
+
+function NodeMetricsPane({
+  data,
+  networkName,
+  metrics = null,
+  progress = null,
+  error = null,
+  attributes = null,
+  attributeSchema = null,
+  labels = null
+}) {
+  const scrollRef = useRef(null)
+  // Last clicked node, the anchor of shift-click ranges
+  const anchorRef = useRef(null)
+  // Whether the latest selection change came from this table
+  const ownSelectionRef = useRef(false)
+  const previousSelectionRef = useRef(new Set())
+
+  const [sort, setSort] = useState({ column: 'index', descending: false })
+  const [filters, setFilters] = useState({})
+  const [viewport, setViewport] = useState({ top: 0, height: 0 })
+
+  const {
+    hoveredNodes,
+    selectedNodes,
+    hoverNode,
+    clearHover,
+    toggleNodeSelection,
+    selectNodes
+  } = useSelection()
+
+  // Column definitions: { id, label, numeric, width, value(u), format(value) }
+  const columns = useMemo(() => {
+    if (!metrics) return []
+    const result = [{
+      id: 'index',
+      label: '#',
+      numeric: true,
+      width: COLUMN_WIDTH.index,
+      value: (u) => u,
+      format: formatInteger
+    }]
+    if (labels) {
+      result.push({
+        id: 'label',
+        label: 'Label',
+        numeric: false,
+        width: COLUMN_WIDTH.label,
+        value: (u) => labels[u],
+        format: String
+      })
+    }
+    NODE_METRICS.forEach(({ id, label, integer }) => {
+      result.push({
+        id,
+        label,
+        numeric: true,
+        width: COLUMN_WIDTH.number,
+        value: (u) => metrics[id][u],
+        format: integer ? formatInteger : formatReal
+      })
+    })
+    attributeSchema?.nodes.forEach(({ name, type }) => {
+      const column = attributes.nodes[name]
+      const numeric = type === 'number'
+      result.push({
+        id: `attr:${name}`,
+        label: name,
+        numeric,
+        width: numeric ? COLUMN_WIDTH.number : COLUMN_WIDTH.text,
+        value: (u) => column[u],
+        format: numeric ? formatReal : String
+      })
+    })
+    return result
+  }, [metrics, labels, attributes, attributeSchema])
+
+  // Drop filters and sorting of columns the network doesn't have
+  useEffect(() => {
+    const ids = new Set(columns.map(c => c.id))
+    setFilters(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => ids.has(id))))
+    setSort(prev => ids.has(prev.column) ? prev : { column: 'index', descending: false })
+    anchorRef.current = null
+  }, [columns])
+
+  // Node indices of the rows, filtered and sorted
+  const rows = useMemo(() => {
+    if (!metrics) return []
+    const n = metrics.degree.length
+    const predicates = columns
+      .map(column => ({ column, test: parseFilter(filters[column.id] || '', column.numeric) }))
+      .filter(({ test }) => test)
+    const kept = d3.range(n).filter(u => predicates.every(({ column, test }) => test(column.value(u))))
+
+    const column = columns.find(c => c.id === sort.column)
+    if (column) {
+      const direction = sort.descending ? -1 : 1
+      kept.sort((a, b) => {
+        const va = column.value(a)
+        const vb = column.value(b)
+        // Missing values last, whatever the direction
+        if (va === null || vb === null) return (va === null) - (vb === null)
+        const order = column.numeric ? va - vb : String(va).localeCompare(String(vb))
+        return order * direction || a - b
+      })
+    }
+    return kept
+  }, [metrics, columns, filters, sort])
+
+  // Position of each node among the rows (-1 when filtered out)
+  const rowOf = useMemo(() => {
+    if (!metrics) return null
+    const positions = new Int32Array(metrics.degree.length).fill(-1)
+    rows.forEach((u, i) => { positions[u] = i })
+    return positions
+  }, [metrics, rows])
+
+  // Track the viewport, to render only the visible rows
+  useEffect(() => {
+    const scroll = scrollRef.current
+    if (!scroll) return
+
+    const resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        const { height } = entry.contentRect
+        setViewport(prev => prev.height === height ? prev : { ...prev, height })
+      }
+    })
+    resizeObserver.observe(scroll)
+
+    return () => {
+      resizeObserver.disconnect()
+    }
+  }, [metrics])
+
+  const handleScroll = useCallback((event) => {
+    const top = event.currentTarget.scrollTop
+    setViewport(prev => prev.top === top ? prev : { ...prev, top })
+  }, [])
+
+  // Scroll to the selection when it changes elsewhere
+  useEffect(() => {
+    const previous = previousSelectionRef.current
+    previousSelectionRef.current = selectedNodes
+    if (ownSelectionRef.current) {
+      ownSelectionRef.current = false
+      return
+    }
+    const scroll = scrollRef.current
+    if (!scroll || !rowOf || selectedNodes.size === 0) return
+
+    // First row of the newly selected nodes, or of the whole selection
+    let target = -1
+    const consider = (onlyNew) => {
+      selectedNodes.forEach(u => {
+        if (onlyNew && previous.has(u)) return
+        const i = rowOf[u]
+        if (i !== -1 && (target === -1 || i < target)) target = i
+      })
+    }
+    consider(true)
+    if (target === -1) consider(false)
+    if (target === -1) return
+
+    // Rows start below the sticky header and filter row
+    const headerHeight = 2 * ROW_HEIGHT
+    const rowTop = target * ROW_HEIGHT
+    const visibleHeight = scroll.clientHeight - headerHeight
+    if (rowTop < scroll.scrollTop || rowTop + ROW_HEIGHT > scroll.scrollTop + visibleHeight) {
+      scroll.scrollTop = Math.max(0, rowTop - visibleHeight / 2)
+    }
+  }, [selectedNodes, rowOf])
+
+  const handleSort = (columnId) => {
+    setSort(prev => ({
+      column: columnId,
+      descending: prev.column === columnId ? !prev.descending : false
+    }))
+  }
+
+  const handleFilter = (columnId, text) => {
+    setFilters(prev => ({ ...prev, [columnId]: text }))
+  }
+
+  const handleRowClick = (event, u) => {
+    ownSelectionRef.current = true
+    const anchor = anchorRef.current
+    if (event.shiftKey && anchor !== null && rowOf[anchor] !== -1) {
+      const [from, to] = d3.extent([rowOf[anchor], rowOf[u]])
+      selectNodes(rows.slice(from, to + 1))
+    } else {
+      toggleNodeSelection(u)
+    }
+    anchorRef.current = u
+  }
+
+  const totalWidth = d3.sum(columns, c => c.width)
+  const gridTemplate = columns.map(c => `${c.width}px`).join(' ')
+  const first = Math.max(0, Math.floor(viewport.top / ROW_HEIGHT) - OVERSCAN)
+  const last = Math.min(rows.length, Math.ceil((viewport.top + viewport.height) / ROW_HEIGHT) + OVERSCAN)
+
+  let emptyMessage = 'NO DATA'
+  if (data && error) emptyMessage = 'NODE METRICS FAILED'
+  else if (data && progress !== null) emptyMessage = `COMPUTING NODE METRICS ${Math.round(progress * 100)}%`
+
+  return (
+    <Pane
+      title="Node Metrics"
+      accentColor={ACCENT_COLOR}
+      isEmpty={!data || !metrics}
+      emptyMessage={emptyMessage}
+      toolbar={
+        <span className="metrics-count">
+          {rows.length === metrics?.degree.length
+            ? `${rows.length} nodes`
+            : `${rows.length} / ${metrics?.degree.length} nodes`}
+        </span>
+      }
+    >
+      <div
+        ref={scrollRef}
+        className="metrics-scroll"
+        onScroll={handleScroll}
+        role="grid"
+        aria-rowcount={rows.length}
+        aria-label="Node metrics table. Click a header to sort, click rows to select nodes."
+      >
+        <div className="metrics-head" style={{ width: totalWidth }}>
+          <div className="metrics-row metrics-header" style={{ gridTemplateColumns: gridTemplate }}>
+            {columns.map(column => (
+              <div
+                key={column.id}
+                className={`metrics-cell${column.numeric ? ' metrics-numeric' : ''}`}
+                onClick={() => handleSort(column.id)}
+                role="columnheader"
+                aria-sort={sort.column === column.id ? (sort.descending ? 'descending' : 'ascending') : 'none'}
+                title={column.label}
+              >
+                {column.label}
+                {sort.column === column.id && (sort.descending ? ' ▼' : ' ▲')}
+              </div>
+            ))}
+          </div>
+          <div className="metrics-row metrics-filters" style={{ gridTemplateColumns: gridTemplate }}>
+            {columns.map(column => (
+              <input
+                key={column.id}
+                className="metrics-filter"
+                value={filters[column.id] || ''}
+                onChange={(e) => handleFilter(column.id, e.target.value)}
+                placeholder={column.numeric ? '>0, 2..9' : 'contains'}
+                aria-label={`Filter ${column.label}`}
+              />
+            ))}
+          </div>
+        </div>
+        <div
+          className="metrics-body"
+          style={{ height: rows.length * ROW_HEIGHT, width: totalWidth }}
+          onMouseLeave={clearHover}
+        >
+          {rows.slice(first, last).map((u, i) => {
+            const classes = ['metrics-row']
+            if (selectedNodes.has(u)) classes.push('selected')
+            if (hoveredNodes.has(u)) classes.push('hovered')
+            return (
+              <div
+                key={u}
+                className={classes.join(' ')}
+                style={{ top: (first + i) * ROW_HEIGHT, gridTemplateColumns: gridTemplate }}
+                onMouseEnter={() => hoverNode(u)}
+                onClick={(event) => handleRowClick(event, u)}
+                role="row"
+                aria-selected={selectedNodes.has(u)}
+              >
+                {columns.map(column => {
+                  const value = column.value(u)
+                  return (
+                    <div
+                      key={column.id}
+                      className={`metrics-cell${column.numeric ? ' metrics-numeric' : ''}`}
+                      role="gridcell"
+                    >
+                      {value === null ? '' : column.format(value)}
+                    </div>
+                  )
+                })}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </Pane>
+  )
+}
+
+export default NodeMetricsPane
@@ -0,0 +1,248 @@
+import { useRef, useEffect, useMemo, useState } from 'react'
+import * as d3 from 'd3'
+import Pane from '../ui/Pane'
+import { useSelection } from '../../contexts/SelectionContext'
+import { usePaneZoom } from '../../hooks/usePaneZoom'
+import { useIndexHighlight } from '../../hooks/useIndexHighlight'
+import { DATA_REQUIREMENTS } from './registry'
+import './RegisteredPane.css'
+
+/**
+ * RegisteredPane - Host of the render-hook panes of the registry
+ *
+ * Provides everything but the drawing (see components/panes/registry):
+ * the Pane wrapper with its empty and progress messages, the option
+ * selects, zoom and pan with their controls and keyboard shortcuts (see
+ * usePaneZoom), and hover / click handling and highlighting (see
+ * useIndexHighlight) of the elements carrying data-node-idx or
+ * data-edge-idx. The pane's render hook draws into the zoomed group of
+ * an SVG that fills the pane.
+ */
+
+const DEFAULT_SCALE_EXTENT = [0.1, 4]
+
+// Pane data handed to the hooks (see ./registry); progress and the
+// shared controls of the built-in panes change too often to redraw on
+const DRAW_DATA_KEYS = [...Object.keys(DATA_REQUIREMENTS), 'networkName', 'labels', 'attributes', 'attributeSchema']
+
+// Closest element of an event target carrying a node or edge index
+function indexedTarget(event, attribute) {
+  const element = event.target.closest?.(`[${attribute}]`)
+  return element ? +element.getAttribute(attribute) : null
+}
+
+function RegisteredPane({ definition, data, viewId = null }) {
+  const containerRef = useRef(null)
+  const svgRef = useRef(null)
+
+  const [size, setSize] = useState(null)
+  const [options, setOptions] = useState(() => Object.fromEntries(
+    definition.options.map(option => [option.id, option.default ?? option.values[0].value])
+  ))
+
+  const {
+    hoverNode,
+    hoverNodes,
+    clearHoveredNodes,
+    hoverEdge,
+    clearHover,
+    toggleNodeSelection,
+    selectNodes,
+    deselectNodes,
+    toggleEdgeSelection,
+    selectEdges,
+    setSelection
+  } = useSelection()
+
+  // Stable selection actions for the render hook
+  const actions = useMemo(() => ({
+    hoverNode,
+    hoverNodes,
+    clearHoveredNodes,
+    hoverEdge,
+    clearHover,
+    toggleNodeSelection,
+    selectNodes,
+    deselectNodes,
+    toggleEdgeSelection,
+    selectEdges,
+    setSelection
+  }), [
+    hoverNode, hoverNodes, clearHoveredNodes, hoverEdge, clearHover,
+    toggleNodeSelection, selectNodes, deselectNodes, toggleEdgeSelection,
+    selectEdges, setSelection
+  ])
+
+  // Data of the hooks, a new object only when one of its entries changes
+  const drawData = useMemo(
+    () => Object.fromEntries(DRAW_DATA_KEYS.map(key => [key, data[key]])),
+    DRAW_DATA_KEYS.map(key => data[key])
+  )
+
+  // Fit-to-content bounds, from the drawing
+  const getBounds = () => {
+    if (!contentRef.current) return null
+    const { x, y, width, height } = contentRef.current.getBBox()
+    return { x, y, width, height }
+  }
+
+  const zoomable = definition.zoom !== false
+  const {
+    zoomContainerRef: contentRef,
+    setFilter,
+    zoomControls
+  } = usePaneZoom(svgRef, {
+    scaleExtent: definition.zoom?.scaleExtent ?? DEFAULT_SCALE_EXTENT,
+    viewId: zoomable ? viewId : null,
+    resetOn: data.nodeLink,
+    getBounds,
+    padding: 10
+  })
+
+  // Required data still missing, and the message shown meanwhile
+  const missing = definition.requires.find(key => !data[key]) || null
+  let emptyMessage = 'NO DATA'
+  if (missing && data.nodeLink) {
+    const label = DATA_REQUIREMENTS[missing].label.toUpperCase()
+    const progress = data.progress[missing]
+    emptyMessage = progress !== null && progress !== undefined
+      ? `COMPUTING ${label} ${Math.round(progress * 100)}%`
+      : `NO ${label}`
+  }
+  const isEmpty = !data.nodeLink || missing !== null
+
+  // Fixed views ignore zoom gestures
+  useEffect(() => {
+    setFilter(zoomable ? (event => (!event.ctrlKey || event.type === 'wheel') && !event.button) : () => false)
+  }, [zoomable, setFilter])
+
+  // Track the container size, to redraw on resize
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        const { width, height } = entry.contentRect
+        if (width > 0 && height > 0) {
+          setSize(prev => prev?.width === width && prev?.height === height ? prev : { width, height })
+        }
+      }
+    })
+    resizeObserver.observe(container)
+
+    return () => {
+      resizeObserver.disconnect()
+    }
+  }, [isEmpty])
+
+  // Draw with the pane's render hook
+  useEffect(() => {
+    if (isEmpty || !size || !svgRef.current || !contentRef.current) return
+
+    const content = d3.select(contentRef.current)
+    content.selectAll('*').remove()
+
+    const cleanup = definition.render({
+      svg: d3.select(svgRef.current),
+      content,
+      width: size.width,
+      height: size.height,
+      data: drawData,
+      options,
+      selection: actions
+    })
+
+    return () => {
+      if (typeof cleanup === 'function') cleanup()
+    }
+  }, [definition, drawData, options, size, isEmpty, actions])
+
+  // Update highlighting: default restyling, then the pane's own
+  useIndexHighlight(contentRef, [definition, drawData, options, size, isEmpty], (current) => {
+    if (isEmpty || !svgRef.current) return
+    definition.highlight?.({
+      svg: d3.select(svgRef.current),
+      content: d3.select(contentRef.current),
+      data: drawData,
+      selection: current
+    })
+  })
+
+  // Hover and click on indexed elements, delegated to the SVG
+  useEffect(() => {
+    if (isEmpty || !svgRef.current) return
+    const svg = d3.select(svgRef.current)
+
+    svg
+      .on('mouseover.registered', (event) => {
+        const nodeIdx = indexedTarget(event, 'data-node-idx')
+        if (nodeIdx !== null) return hoverNode(nodeIdx)
+        const edgeIdx = indexedTarget(event, 'data-edge-idx')
+        if (edgeIdx !== null) hoverEdge(edgeIdx)
+      })
+      .on('mouseout.registered', (event) => {
+        if (indexedTarget(event, 'data-node-idx') !== null || indexedTarget(event, 'data-edge-idx') !== null) {
+          clearHover()
+        }
+      })
+      .on('click.registered', (event) => {
+        const nodeIdx = indexedTarget(event, 'data-node-idx')
+        if (nodeIdx !== null) return toggleNodeSelection(nodeIdx)
+        const edgeIdx = indexedTarget(event, 'data-edge-idx')
+        if (edgeIdx !== null) toggleEdgeSelection(edgeIdx)
+      })
+
+    return () => {
+      svg.on('.registered', null)
+    }
+  }, [isEmpty, hoverNode, hoverEdge, clearHover, toggleNodeSelection, toggleEdgeSelection])
+
+  const toolbar = definition.options.length > 0 ? (
+    <>
+      {definition.options.map(option => (
+        <select
+          key={option.id}
+          className="pane-select"
+          value={options[option.id]}
+          onChange={(e) => {
+            const { value } = e.target
+            setOptions(prev => ({ ...prev, [option.id]: value }))
+          }}
+          aria-label={option.label}
+        >
+          {option.values.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      ))}
+    </>
+  ) : null
+
+  return (
+    <Pane
+      title={definition.title}
+      accentColor={definition.accentColor}
+      isEmpty={isEmpty}
+      emptyMessage={emptyMessage}
+      toolbar={toolbar}
+      zoomControls={zoomable ? zoomControls : null}
+    >
+      <div
+        ref={containerRef}
+        className="pane-visualization registered-pane"
+        tabIndex={0}
+        role="img"
+        aria-label={zoomable
+          ? `${definition.title} visualization. Use +/- to zoom, drag to pan.`
+          : `${definition.title} visualization.`}
+      >
+        <svg ref={svgRef}>
+          <g ref={contentRef} />
+        </svg>
+      </div>
+    </Pane>
+  )
+}
+
+export default RegisteredPane
@@ -0,0 +1,23 @@
+import { getPane } from './index'
+import Pane from '../ui/Pane'
+import RegisteredPane from './RegisteredPane'
+
+/**
+ * SlotPane - The pane registered for a slot's type (see ./registry),
+ * given the pane data of usePaneData. Shown in the slots of PaneLayout
+ * and in detached windows.
+ */
+
+function SlotPane({ slot, data }) {
+  const definition = getPane(slot.pane)
+  if (!definition) {
+    return <Pane title={slot.pane} isEmpty emptyMessage={`UNKNOWN PANE "${slot.pane}"`} />
+  }
+  if (definition.component) {
+    const Component = definition.component
+    return <Component {...definition.props(data, slot)} />
+  }
+  return <RegisteredPane key={slot.pane} definition={definition} data={data} viewId={slot.id} />
+}
+
+export default SlotPane
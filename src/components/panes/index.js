@@ -0,0 +1,100 @@
+import { registerPane } from './registry'
+import NodeLinkPane from './NodeLinkPane'
+import KSnakesPane from './KSnakesPane'
+import HopCensusPane from './HopCensusPane'
+import AdjacencyMatrixPane from './AdjacencyMatrixPane'
+import CensusCensusPane from './CensusCensusPane'
+import GraphPrismPane from './GraphPrismPane'
+import DegreeDistributionPane from './DegreeDistributionPane'
+import NodeMetricsPane from './NodeMetricsPane'
+
+/**
+ * Built-in panes, in the order of the pane type picker (see ./registry).
+ * The Graph Prism and Degree Distribution panes are render-hook panes;
+ * the others are component panes, whose props come from the pane data
+ * assembled by PaneLayout.
+ */
+
+const censusProps = (data, slot) => ({
+  data: data.census,
+  networkName: data.networkName,
+  viewId: slot.id,
+  constituent: data.censusConstituent,
+  onConstituentChange: data.setCensusConstituent,
+  progress: data.progress.census
+})
+
+registerPane({
+  id: 'nodelink',
+  title: 'Node-Link',
+  component: NodeLinkPane,
+  props: (data, slot) => ({
+    data: data.nodeLink,
+    networkName: data.networkName,
+    viewId: slot.id,
+    layout: data.nodeLinkLayout,
+    onLayoutChange: data.saveNodeLinkLayout,
+    registerLayout: data.registerNodeLinkLayout,
+    labels: data.labels
+  })
+})
+
+registerPane({
+  id: 'ksnakes',
+  title: 'k-Snakes',
+  component: KSnakesPane,
+  props: (data, slot) => ({
+    data: data.cores,
+    networkName: data.networkName,
+    viewId: slot.id,
+    labels: data.labels
+  })
+})
+
+registerPane({
+  id: 'hopcensus',
+  title: 'Hop-Census',
+  component: HopCensusPane,
+  props: censusProps
+})
+
+registerPane({
+  id: 'matrix',
+  title: 'Adjacency Matrix',
+  component: AdjacencyMatrixPane,
+  props: (data, slot) => ({
+    data: data.nodeLink,
+    networkName: data.networkName,
+    viewId: slot.id,
+    labels: data.labels
+  })
+})
+
+registerPane({
+  id: 'censuscensus',
+  title: 'Census-Census',
+  component: CensusCensusPane,
+  props: censusProps
+})
+
+registerPane(GraphPrismPane)
+
+registerPane(DegreeDistributionPane)
+
+registerPane({
+  id: 'metrics',
+  title: 'Node Metrics',
+  component: NodeMetricsPane,
+  props: (data) => ({
+    data: data.nodeLink,
+    networkName: data.networkName,
+    metrics: data.metrics,
+    progress: data.progress.metrics,
+    error: data.errors.metrics,
+    attributes: data.attributes,
+    attributeSchema: data.attributeSchema,
+    labels: data.labels
+  })
+})
+
+export { registerPane, unregisterPane, getPane, getPaneTypes, DATA_REQUIREMENTS } from './registry'
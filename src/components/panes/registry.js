@@ -0,0 +1,99 @@
+/**
+ * registry - Pane types available to the pane layout
+ *
+ * Every pane type is registered here once, under the id stored in the
+ * layout's slots (see utils/paneLayout). A definition is either
+ *
+ * - a component pane, which renders itself in the Pane wrapper (and
+ *   gets the same zoom, shortcuts and highlighting from usePaneZoom,
+ *   useIndexHighlight and Pane):
+ *
+ *     { id, title, component, props: (data, slot) => props }
+ *
+ * - or a render-hook pane, hosted by RegisteredPane, which gets the
+ *   Pane wrapper, empty and loading states, zoom and pan (with controls
+ *   and the +/-/Home/0 shortcuts), and hover / select handling and
+ *   highlighting of every element carrying data-node-idx or
+ *   data-edge-idx, and only draws:
+ *
+ *     {
+ *       id, title, accentColor,
+ *       requires: ['nodeLink', 'census'],   // see DATA_REQUIREMENTS
+ *       zoom: { scaleExtent: [0.5, 8] },    // or false for a fixed view
+ *       options: [{ id, label, values: [{ value, label }], default }],
+ *       render: ({ svg, content, width, height, data, options, selection }) => cleanup?,
+ *       highlight: ({ svg, content, data, selection }) => {}   // optional
+ *     }
+ *
+ * render draws into `content` (the zoomed group of `svg`) and runs again
+ * when the data, the options or the pane size change; highlight runs
+ * after it and whenever the hovered or selected nodes and edges change,
+ * for highlighting beyond the default restyling (the is-hovered and
+ * is-selected classes, highlighted elements raised to the top). `data` holds every entry of DATA_REQUIREMENTS
+ * plus networkName, labels, attributes and attributeSchema. `selection`
+ * holds the SelectionContext actions (hoverNodes, selectNodes, ...) in
+ * render, and the whole SelectionContext value, with the hovered and
+ * selected sets, in highlight. Option values are strings.
+ *
+ * Registering under an existing id replaces the definition, so a plugin
+ * can override a built-in pane.
+ */
+
+/**
+ * Data a pane can require; the pane shows its empty (or progress)
+ * message until every required entry is loaded.
+ */
+export const DATA_REQUIREMENTS = {
+  nodeLink: { label: 'network' },
+  census: { label: 'Hop-Census' },
+  cores: { label: 'k-Snakes' },
+  metrics: { label: 'node metrics' }
+}
+
+const panes = new Map()
+const listeners = new Set()
+let paneTypes = []
+
+function notify() {
+  paneTypes = Array.from(panes.values(), ({ id, title }) => ({ id, label: title }))
+  listeners.forEach(listener => listener())
+}
+
+/**
+ * Register a pane type (see module doc).
+ */
+export function registerPane(definition) {
+  const { id, title, component, render } = definition
+  if (!id || !title) throw new Error('A pane needs an id and a title')
+  if (!component && !render) throw new Error(`Pane "${id}" needs a component or a render hook`)
+  const unknown = (definition.requires || []).filter(key => !DATA_REQUIREMENTS[key])
+  if (unknown.length > 0) throw new Error(`Pane "${id}" requires unknown data: ${unknown.join(', ')}`)
+
+  panes.set(id, { requires: [], zoom: {}, options: [], ...definition })
+  notify()
+}
+
+export function unregisterPane(id) {
+  if (panes.delete(id)) notify()
+}
+
+/**
+ * Definition of a pane type, or null.
+ */
+export function getPane(id) {
+  return panes.get(id) || null
+}
+
+/**
+ * Registered pane types, in registration order: [{ id, label }]. The
+ * array only changes when a pane is (un)registered.
+ */
+export function getPaneTypes() {
+  return paneTypes
+}
+
+// Listen to registrations; returns an unsubscribe function
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
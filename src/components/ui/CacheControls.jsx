@@ -0,0 +1,103 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useNetwork } from '../../contexts/NetworkContext'
+import './CacheControls.css'
+
+/**
+ * CacheControls - Network cache size settings and "clear cache" action
+ *
+ * The cache itself lives in NetworkContext (see utils/networkCache).
+ * IndexedDB failures (private browsing, quota, a blocked upgrade) are
+ * shown in the panel.
+ */
+function CacheControls() {
+  const { cacheSettings, setCacheSettings, clearCache, getCacheStats } = useNetwork()
+  const [isOpen, setIsOpen] = useState(false)
+  const [stats, setStats] = useState(null)
+  const [error, setError] = useState(null)
+
+  const showError = (action) => (err) => {
+    console.error(`Failed to ${action}:`, err)
+    setError(`Failed to ${action}: ${err?.message || err}`)
+  }
+
+  const refreshStats = useCallback(() => {
+    getCacheStats()
+      .then(setStats)
+      .catch(showError('read the cache'))
+  }, [getCacheStats])
+
+  useEffect(() => {
+    if (isOpen) refreshStats()
+  }, [isOpen, refreshStats])
+
+  const handleLimitChange = (key) => async (e) => {
+    const value = Math.max(0, Math.floor(Number(e.target.value) || 0))
+    setError(null)
+    try {
+      await setCacheSettings({ [key]: value })
+    } catch (err) {
+      showError('apply the cache limits')(err)
+    }
+    refreshStats()
+  }
+
+  const handleClear = async () => {
+    setError(null)
+    try {
+      await clearCache()
+    } catch (err) {
+      showError('clear the cache')(err)
+    }
+    refreshStats()
+  }
+
+  return (
+    <div className="cache-controls">
+      <button
+        className="control-button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+      >
+        Cache
+      </button>
+
+      {isOpen && (
+        <div className="cache-popover" role="dialog" aria-label="Network cache">
+          <label className="cache-field">
+            <span className="control-label">In memory</span>
+            <input
+              type="number"
+              min="0"
+              className="cache-input"
+              value={cacheSettings.memoryEntries}
+              onChange={handleLimitChange('memoryEntries')}
+            />
+            <span className="cache-stat">
+              {stats ? `${stats.memoryEntries} cached` : ''}
+            </span>
+          </label>
+          <label className="cache-field">
+            <span className="control-label">Stored</span>
+            <input
+              type="number"
+              min="0"
+              className="cache-input"
+              value={cacheSettings.storedEntries}
+              onChange={handleLimitChange('storedEntries')}
+              disabled={stats && !stats.persistent}
+            />
+            <span className="cache-stat">
+              {stats && (stats.persistent ? `${stats.storedEntries} stored` : 'unavailable')}
+            </span>
+          </label>
+          <button className="control-button" onClick={handleClear}>
+            Clear cache
+          </button>
+          {error && <span className="control-error">{error}</span>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CacheControls
@@ -1,6 +1,15 @@
-import { useEffect } from 'react'
+import { useMemo, useState } from 'react'
 import { useNetwork } from '../../contexts/NetworkContext'
 import { useSelection } from '../../contexts/SelectionContext'
+import NetworkImporter from './NetworkImporter'
+import GeneratorDialog from './GeneratorDialog'
+import ValidationReport from './ValidationReport'
+import CacheControls from './CacheControls'
+import SessionControls from './SessionControls'
+import LayoutControls from './LayoutControls'
+import { CONSTITUENTS } from '../../utils/hopCensus'
+import { DIRECTIONS } from '../../utils/graph'
+import { groupByTag, matchesQuery } from '../../utils/catalog'
 import './ControlPanel.css'
 
 function ControlPanel() {
@@ -10,7 +19,21 @@ function ControlPanel() {
     currentNetwork,
     isLoading, 
     error,
-    loadNetwork 
+    validationReport,
+    loadNetwork,
+    networkData,
+    hopCensus,
+    hopCensusConstituent,
+    hopCensusProgress,
+    isComputingHopCensus,
+    hopCensusError,
+    setHopCensusConstituent,
+    cancelHopCensus,
+    recomputeHopCensus,
+    networkDirected,
+    networkWeighted,
+    invariantVariant,
+    setInvariantVariant
   } = useNetwork()
   
   const { 
@@ -19,11 +42,23 @@ function ControlPanel() {
     clearAllSelections 
   } = useSelection()
 
-  useEffect(() => {
-    if (!currentNetworkId && availableNetworks.length > 0) {
-      loadNetwork('karate-club')
-    }
-  }, [availableNetworks, currentNetworkId, loadNetwork])
+  const [query, setQuery] = useState('')
+
+  // Picker options: filtered by the search box, grouped by primary tag.
+  // The current network always stays listed so the select keeps its value.
+  const networkGroups = useMemo(() => {
+    const matching = availableNetworks.filter(network =>
+      network.id === currentNetworkId || matchesQuery(network, query)
+    )
+    return groupByTag(matching)
+  }, [availableNetworks, currentNetworkId, query])
+
+  const networkDetails = currentNetwork && [
+    currentNetwork.description,
+    currentNetwork.source && `Source: ${currentNetwork.source}`,
+    currentNetwork.citation,
+    currentNetwork.license && `License: ${currentNetwork.license}`,
+  ].filter(Boolean).join('\n')
 
   const handleNetworkChange = (e) => {
     const networkId = e.target.value
@@ -49,16 +84,30 @@ function ControlPanel() {
           disabled={isLoading}
         >
           {/* <option value="">Available network datasets:</option> */}
-          {availableNetworks.map(network => (
-            <option key={network.id} value={network.id}>
-              {network.name}
-            </option>
+          {networkGroups.map(group => (
+            <optgroup key={group.tag} label={group.tag}>
+              {group.networks.map(network => (
+                <option key={network.id} value={network.id}>
+                  {network.name}
+                </option>
+              ))}
+            </optgroup>
           ))}
         </select>
+        <input
+          type="search"
+          className="control-search"
+          placeholder="Search..."
+          aria-label="Search networks"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <NetworkImporter />
+        <GeneratorDialog />
       </div>
 
       {currentNetwork && (
-        <div className="control-info">
+        <div className="control-info" title={networkDetails}>
           <span className="info-stat">
             <span className="info-value">{currentNetwork.nodes}</span>
             <span className="info-label">nodes</span>
@@ -71,6 +120,86 @@ function ControlPanel() {
         </div>
       )}
 
+      <ValidationReport report={validationReport} />
+
+      <SessionControls />
+
+      <LayoutControls />
+
+      <CacheControls />
+
+      {networkData?.nodeLink && (
+        <div className="control-group">
+          <label htmlFor="census-constituent" className="control-label">
+            Census:
+          </label>
+          <select
+            id="census-constituent"
+            className="control-select control-select--compact"
+            value={hopCensusConstituent}
+            onChange={(e) => setHopCensusConstituent(e.target.value)}
+          >
+            {CONSTITUENTS.map(constituent => (
+              <option key={constituent} value={constituent}>
+                {constituent}
+              </option>
+            ))}
+          </select>
+          {isComputingHopCensus && (
+            <>
+              <span className="control-status">
+                {Math.round(hopCensusProgress * 100)}%
+              </span>
+              <button className="control-button" onClick={cancelHopCensus}>
+                Cancel
+              </button>
+            </>
+          )}
+          {!isComputingHopCensus && !hopCensus && (
+            <button className="control-button" onClick={recomputeHopCensus}>
+              Compute
+            </button>
+          )}
+          {hopCensusError && (
+            <span className="control-error">{hopCensusError}</span>
+          )}
+        </div>
+      )}
+
+      {(networkDirected || networkWeighted) && (
+        <div className="control-group" title="Variant of the Hop-Census and k-Snakes">
+          {networkDirected && (
+            <>
+              <label htmlFor="invariant-direction" className="control-label">
+                Direction:
+              </label>
+              <select
+                id="invariant-direction"
+                className="control-select control-select--compact"
+                value={invariantVariant.direction}
+                onChange={(e) => setInvariantVariant({ direction: e.target.value })}
+              >
+                {DIRECTIONS.map(direction => (
+                  <option key={direction} value={direction}>
+                    {direction}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+          {networkWeighted && (
+            <label className="control-label control-checkbox">
+              <input
+                type="checkbox"
+                checked={invariantVariant.weighted}
+                onChange={(e) => setInvariantVariant({ weighted: e.target.checked })}
+              />
+              Weighted
+            </label>
+          )}
+        </div>
+      )}
+
       {hasSelections && (
         <div className="control-group">
           <div className="selection-info">
@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { useNetwork } from '../../contexts/NetworkContext'
+import { useSelection } from '../../contexts/SelectionContext'
+import { GENERATORS, defaultParams } from '../../utils/generators'
+import './GeneratorDialog.css'
+
+/**
+ * GeneratorDialog - Parameters and seed for synthetic graph families
+ *
+ * Generation itself happens in NetworkContext.generateNetwork (see
+ * utils/generators); the result is loaded like an imported network.
+ */
+
+const randomSeed = () => Math.floor(Math.random() * 1e6)
+
+function GeneratorDialog() {
+  const { generateNetwork, isLoading } = useNetwork()
+  const { clearAllSelections } = useSelection()
+  const [isOpen, setIsOpen] = useState(false)
+  const [generatorId, setGeneratorId] = useState(GENERATORS[0].id)
+  const [paramsById, setParamsById] = useState({})
+  const [seed, setSeed] = useState(1)
+
+  const generator = GENERATORS.find(g => g.id === generatorId)
+  const params = paramsById[generatorId] || defaultParams(generator)
+
+  const setParam = (key, value) => {
+    setParamsById(prev => ({ ...prev, [generatorId]: { ...params, [key]: value } }))
+  }
+
+  const handleGenerate = (event) => {
+    event.preventDefault()
+    clearAllSelections()
+    if (generateNetwork(generatorId, params, seed)) setIsOpen(false)
+  }
+
+  return (
+    <div className="generator-dialog">
+      <button
+        className="control-button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        disabled={isLoading}
+      >
+        Generate
+      </button>
+
+      {isOpen && (
+        <form
+          className="generator-popover"
+          role="dialog"
+          aria-label="Generate a synthetic graph"
+          onSubmit={handleGenerate}
+        >
+          <label className="generator-field">
+            <span className="control-label">Family</span>
+            <select
+              className="control-select control-select--compact"
+              value={generatorId}
+              onChange={(e) => setGeneratorId(e.target.value)}
+            >
+              {GENERATORS.map(g => (
+                <option key={g.id} value={g.id}>{g.name}</option>
+              ))}
+            </select>
+          </label>
+
+          {generator.params.map(spec => (
+            <label key={spec.key} className="generator-field">
+              <span className="control-label">{spec.label}</span>
+              {spec.type === 'bool' ? (
+                <input
+                  type="checkbox"
+                  checked={Boolean(params[spec.key])}
+                  onChange={(e) => setParam(spec.key, e.target.checked)}
+                />
+              ) : (
+                <input
+                  type="number"
+                  className="generator-input"
+                  min={spec.min}
+                  max={spec.max}
+                  step={spec.step}
+                  value={params[spec.key]}
+                  onChange={(e) => setParam(spec.key, e.target.value)}
+                />
+              )}
+            </label>
+          ))}
+
+          <label className="generator-field">
+            <span className="control-label">Seed</span>
+            <span className="generator-seed">
+              <input
+                type="number"
+                className="generator-input"
+                step="1"
+                value={seed}
+                onChange={(e) => setSeed(Math.floor(Number(e.target.value)) || 0)}
+                disabled={!generator.random}
+              />
+              <button
+                type="button"
+                className="control-button"
+                onClick={() => setSeed(randomSeed())}
+                disabled={!generator.random}
+                title="Random seed"
+              >
+                ↻
+              </button>
+            </span>
+          </label>
+
+          <button type="submit" className="control-button">
+            Generate
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default GeneratorDialog
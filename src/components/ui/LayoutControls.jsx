@@ -0,0 +1,78 @@
+import { useState } from 'react'
+import { useLayout } from '../../contexts/LayoutContext'
+import { BUILTIN_PRESETS } from '../../utils/paneLayout'
+import './LayoutControls.css'
+
+/**
+ * LayoutControls - Pane layout presets
+ *
+ * Switches to a named layout (built-in or saved), saves the current
+ * layout under a name and deletes saved ones. The layout itself lives in
+ * LayoutContext (see utils/paneLayout).
+ */
+function LayoutControls() {
+  const { presets, userPresets, applyPreset, savePreset, deletePreset } = useLayout()
+  const [isOpen, setIsOpen] = useState(false)
+  const [name, setName] = useState('')
+
+  const handleSave = (event) => {
+    event.preventDefault()
+    const trimmed = name.trim()
+    if (!trimmed) return
+    savePreset(trimmed)
+    setName('')
+  }
+
+  return (
+    <div className="layout-controls">
+      <button
+        className="control-button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+      >
+        Layout
+      </button>
+
+      {isOpen && (
+        <div className="layout-popover" role="dialog" aria-label="Pane layout presets">
+          <ul className="layout-presets">
+            {Object.keys(presets).map(preset => (
+              <li key={preset} className="layout-preset">
+                <button
+                  className="layout-preset-name"
+                  onClick={() => applyPreset(preset)}
+                  title="Switch to this layout"
+                >
+                  {preset}
+                </button>
+                {userPresets[preset] && (
+                  <button
+                    className="layout-preset-delete"
+                    onClick={() => deletePreset(preset)}
+                    title={BUILTIN_PRESETS[preset] ? 'Delete (restores the built-in layout)' : 'Delete'}
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <form className="layout-save" onSubmit={handleSave}>
+            <input
+              className="layout-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Preset name"
+              aria-label="Preset name"
+            />
+            <button className="control-button" type="submit" disabled={!name.trim()}>
+              Save layout
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LayoutControls
@@ -0,0 +1,82 @@
+import { useRef, useState } from 'react'
+import { useNetwork } from '../../contexts/NetworkContext'
+import { useSelection } from '../../contexts/SelectionContext'
+import { IMPORT_ACCEPT } from '../../utils/graphParsers'
+import './NetworkImporter.css'
+
+/**
+ * NetworkImporter - Drop zone and file picker for local graph files
+ *
+ * Accepts edge lists, CSV, GraphML, GML, Pajek and nodelink JSON.
+ * Parsing and registration are handled by NetworkContext.importNetwork;
+ * parse errors surface through the context's error state.
+ */
+function NetworkImporter() {
+  const { importNetwork, isLoading } = useNetwork()
+  const { clearAllSelections } = useSelection()
+  const inputRef = useRef(null)
+  const [isDragOver, setIsDragOver] = useState(false)
+
+  // One file after another: each import opens its network, so
+  // concurrent ones would race on the loading state and current network
+  const importFiles = async (files) => {
+    if (files.length === 0) return
+    clearAllSelections()
+    for (const file of Array.from(files)) {
+      await importNetwork(file)
+    }
+  }
+
+  const handleDragOver = (event) => {
+    event.preventDefault()
+    event.dataTransfer.dropEffect = 'copy'
+    setIsDragOver(true)
+  }
+
+  const handleDragLeave = () => {
+    setIsDragOver(false)
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setIsDragOver(false)
+    if (isLoading) return
+    importFiles(event.dataTransfer.files)
+  }
+
+  const handleFileChange = (event) => {
+    importFiles(event.target.files)
+    // Reset so selecting the same file again still fires onChange
+    event.target.value = ''
+  }
+
+  return (
+    <div
+      className={`network-importer${isDragOver ? ' network-importer--active' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      title="Edge list, CSV, GraphML, GML, Pajek or nodelink JSON"
+    >
+      <span className="network-importer-text">Drop graph file or</span>
+      <button
+        className="control-button"
+        onClick={() => inputRef.current?.click()}
+        disabled={isLoading}
+      >
+        Browse
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={IMPORT_ACCEPT}
+        multiple
+        className="visually-hidden"
+        onChange={handleFileChange}
+        tabIndex={-1}
+      />
+    </div>
+  )
+}
+
+export default NetworkImporter
@@ -1,26 +1,50 @@
 import ZoomControls from './ZoomControls'
+import { usePaneSlot } from '../../contexts/PaneSlotContext'
 import './Pane.css'
 
 /**
  * Pane is a wrapper component that provides consistent structure
  * for all visualization panes, including:
  * - Header with title and accent color
- * - Optional zoom controls
+ * - Optional toolbar (pane-specific view options) and zoom controls,
+ *   with their keyboard shortcuts on the focused visualization (the
+ *   .pane-visualization element): +/- zoom, Home resets, 0 fits
+ * - Detach / re-dock button, inside a pane slot (see PaneSlotContext)
  * - Scrollable content area
  * - Empty state when no data is loaded
  */
 
+// Zoom control run by each shortcut key
+const ZOOM_KEYS = {
+  '+': 'onZoomIn',
+  '=': 'onZoomIn',
+  '-': 'onZoomOut',
+  Home: 'onReset',
+  0: 'onFitContent'
+}
+
 function Pane({
   title,
   accentColor,
   children,
   isEmpty = false,
   emptyMessage = 'NO DATA',
+  toolbar = null,
   zoomControls = null
 }) {
+  const paneSlot = usePaneSlot()
+  const showZoom = zoomControls && !isEmpty
+
+  const handleKeyDown = (event) => {
+    const control = ZOOM_KEYS[event.key]
+    if (!showZoom || !control || !event.target.classList.contains('pane-visualization')) return
+    event.preventDefault()
+    zoomControls[control]()
+  }
+
   return (
     <div className="pane">
-      <div className="pane-content">
+      <div className="pane-content" onKeyDown={handleKeyDown}>
         {isEmpty ? (
           <div className="pane-empty">
             <span className="pane-empty-text">{emptyMessage}</span>
@@ -37,9 +61,34 @@ function Pane({
           <span className="pane-accent-bar" />
           <h2 className="pane-title">{title}</h2>
         </div> */}
-        {zoomControls && !isEmpty && (
+        {toolbar && !isEmpty && (
+          <div className="pane-toolbar">
+            {toolbar}
+          </div>
+        )}
+        {(showZoom || paneSlot) && (
           <div className="pane-header-right">
-            <ZoomControls {...zoomControls} />
+            {showZoom && <ZoomControls {...zoomControls} />}
+            {paneSlot?.detach && (
+              <button
+                className="pane-window-btn"
+                onClick={paneSlot.detach}
+                aria-label="Detach pane"
+                title="Open in a new window"
+              >
+                ⧉
+              </button>
+            )}
+            {paneSlot?.redock && (
+              <button
+                className="pane-window-btn"
+                onClick={paneSlot.redock}
+                aria-label="Re-dock pane"
+                title="Bring back into the main window"
+              >
+                Re-dock
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,76 @@
+import { useLayout } from '../../contexts/LayoutContext'
+import { usePaneTypes } from '../../hooks/usePaneTypes'
+import './PaneSlotBar.css'
+
+/**
+ * PaneSlotBar - Controls of one slot of the pane layout
+ *
+ * Picks the pane shown in the slot (any registered pane type), splits the slot side by side or
+ * stacked (the new slot starts with the same pane), moves it among the
+ * slots of its split and removes it (see utils/paneLayout).
+ */
+function PaneSlotBar({ slot, direction, isFirst, isLast, canRemove }) {
+  const { setPaneType, splitSlot, moveSlot, removeSlot } = useLayout()
+  const paneTypes = usePaneTypes()
+  const horizontal = direction === 'horizontal'
+
+  return (
+    <div className="pane-slot-bar">
+      <select
+        className="pane-select pane-slot-type"
+        value={slot.pane}
+        onChange={(e) => setPaneType(slot.id, e.target.value)}
+        aria-label="Pane type"
+      >
+        {paneTypes.map(({ id, label }) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+        {!paneTypes.some(type => type.id === slot.pane) && (
+          <option value={slot.pane} disabled>{slot.pane}</option>
+        )}
+      </select>
+      <div className="pane-slot-actions">
+        <button
+          className="pane-slot-button"
+          onClick={() => moveSlot(slot.id, -1)}
+          disabled={isFirst}
+          title={horizontal ? 'Move left' : 'Move up'}
+        >
+          {horizontal ? '←' : '↑'}
+        </button>
+        <button
+          className="pane-slot-button"
+          onClick={() => moveSlot(slot.id, 1)}
+          disabled={isLast}
+          title={horizontal ? 'Move right' : 'Move down'}
+        >
+          {horizontal ? '→' : '↓'}
+        </button>
+        <button
+          className="pane-slot-button"
+          onClick={() => splitSlot(slot.id, 'horizontal', slot.pane)}
+          title="Split side by side"
+        >
+          ◫
+        </button>
+        <button
+          className="pane-slot-button"
+          onClick={() => splitSlot(slot.id, 'vertical', slot.pane)}
+          title="Split stacked"
+        >
+          ⊟
+        </button>
+        <button
+          className="pane-slot-button"
+          onClick={() => removeSlot(slot.id)}
+          disabled={!canRemove}
+          title="Remove pane"
+        >
+          ×
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default PaneSlotBar
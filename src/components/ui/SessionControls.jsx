@@ -0,0 +1,54 @@
+import { useRef } from 'react'
+import { useNetwork } from '../../contexts/NetworkContext'
+import { useSession } from '../../hooks/useSession'
+import { SESSION_EXTENSION } from '../../utils/session'
+import './SessionControls.css'
+
+/**
+ * SessionControls - "Save session" and "Open session" actions
+ *
+ * Sessions are single JSON files written and read by hooks/useSession.
+ */
+function SessionControls() {
+  const { currentNetworkId, isLoading } = useNetwork()
+  const { saveSession, openSession, isOpening, error } = useSession()
+  const inputRef = useRef(null)
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0]
+    if (file) openSession(file)
+    // Reset so opening the same file again still fires onChange
+    event.target.value = ''
+  }
+
+  return (
+    <div className="session-controls">
+      <button
+        className="control-button"
+        onClick={saveSession}
+        disabled={!currentNetworkId || isLoading}
+        title="Save network, layout, selection, panes and invariants to a file"
+      >
+        Save session
+      </button>
+      <button
+        className="control-button"
+        onClick={() => inputRef.current?.click()}
+        disabled={isLoading || isOpening}
+      >
+        Open session
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={`${SESSION_EXTENSION},.json,application/json`}
+        className="visually-hidden"
+        onChange={handleFileChange}
+        tabIndex={-1}
+      />
+      {error && <span className="control-error">{error}</span>}
+    </div>
+  )
+}
+
+export default SessionControls
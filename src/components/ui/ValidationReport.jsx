@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import { DATA_FILES } from '../../utils/catalog'
+import './ValidationReport.css'
+
+/**
+ * ValidationReport - Badge summarizing the loaded network's validation
+ * report, expanding into the list of issues on click.
+ *
+ * Invariant files with errors have been discarded by NetworkContext (the
+ * invariant is computed in the browser instead), which is noted per file.
+ */
+function ValidationReport({ report }) {
+  const [isOpen, setIsOpen] = useState(false)
+
+  if (!report || report.issues.length === 0) return null
+
+  const { errorCount, warningCount } = report
+  const summary = [
+    errorCount > 0 && `${errorCount} error${errorCount !== 1 ? 's' : ''}`,
+    warningCount > 0 && `${warningCount} warning${warningCount !== 1 ? 's' : ''}`,
+  ].filter(Boolean).join(', ')
+
+  const discarded = Object.entries(report.files)
+    .filter(([key, status]) => key !== report.graphFile && status === 'invalid')
+    .map(([key]) => DATA_FILES[key])
+
+  return (
+    <div className="validation-report">
+      <button
+        className={`validation-badge validation-badge--${errorCount > 0 ? 'error' : 'warning'}`}
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+      >
+        {summary}
+      </button>
+
+      {isOpen && (
+        <div className="validation-popover" role="dialog" aria-label="Validation report">
+          <ul className="validation-issues">
+            {report.issues.map((issue, i) => (
+              <li key={i} className={`validation-issue validation-issue--${issue.severity}`}>
+                <span className="validation-issue-file">{DATA_FILES[issue.file]}</span>
+                <span className="validation-issue-message">{issue.message}</span>
+                {issue.examples.length > 0 && (
+                  <ul className="validation-examples">
+                    {issue.examples.map((example, j) => (
+                      <li key={j}>{String(example)}</li>
+                    ))}
+                    {issue.count > issue.examples.length && (
+                      <li>… and {issue.count - issue.examples.length} more</li>
+                    )}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+          {discarded.length > 0 && (
+            <p className="validation-note">
+              Discarded {discarded.join(', ')}; computed in the browser instead.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ValidationReport
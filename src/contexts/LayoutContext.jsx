@@ -0,0 +1,229 @@
+import { createContext, useContext, useState, useCallback, useMemo, useEffect, useRef } from 'react'
+import {
+  BUILTIN_PRESETS,
+  loadLayout,
+  storeLayout,
+  loadUserPresets,
+  storeUserPresets,
+  setPaneType as setLayoutPaneType,
+  splitSlot as splitLayoutSlot,
+  removeSlot as removeLayoutSlot,
+  moveSlot as moveLayoutSlot,
+  setSplitSizes,
+  layoutSlots,
+  isValidLayout
+} from '../utils/paneLayout'
+import { detachedPaneUrl, postWindowMessage, onWindowMessage } from '../utils/windowSync'
+
+/**
+ * LayoutContext holds the arrangement of the panes (see utils/paneLayout):
+ * which pane fills each slot, and how the slots split the window.
+ *
+ * PaneLayout renders the layout and edits it from each slot's controls
+ * (pane type, split, move, remove); the control panel switches between
+ * named presets and saves the current layout as a new one. The layout
+ * and the user's presets persist in localStorage.
+ *
+ * A slot's pane can be detached into a window of its own (see
+ * components/DetachedPane); the slot stays in the layout, holding its
+ * place until the pane is re-docked, from either window. Closing the
+ * detached window re-docks it too, and changing the slot's pane type or
+ * removing the slot closes it.
+ *
+ * Split sizes change continuously while a handle is dragged, so they are
+ * kept in a ref (as in ViewContext) and folded into the layout before it
+ * is edited, saved or stored. Consumers that follow the whole layout
+ * (the URL sync) read it with getLayout and subscribe to its changes.
+ */
+
+const LayoutContext = createContext(null)
+
+export function LayoutProvider({ children }) {
+  const [layout, setLayout] = useState(loadLayout)
+  const [userPresets, setUserPresets] = useState(loadUserPresets)
+  // Pane type of each detached slot, by slot id
+  const [detachedSlots, setDetachedSlots] = useState(() => new Map())
+  // Latest sizes of each split, by split id
+  const splitSizesRef = useRef(new Map())
+  const layoutRef = useRef(layout)
+  layoutRef.current = layout
+  const listenersRef = useRef(new Set())
+
+  const notify = useCallback(() => {
+    listenersRef.current.forEach(listener => listener())
+  }, [])
+
+  // Listen to layout changes, sizes included; returns an unsubscribe function
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener)
+    return () => listenersRef.current.delete(listener)
+  }, [])
+
+  // The layout with the given (by default, the latest) split sizes
+  const withSizes = useCallback((current, splitSizes = splitSizesRef.current) => {
+    let next = current
+    splitSizes.forEach((sizes, splitId) => {
+      next = setSplitSizes(next, splitId, sizes)
+    })
+    return next
+  }, [])
+
+  // Apply an edit to the layout with its latest sizes
+  const editLayout = useCallback((edit) => {
+    const splitSizes = new Map(splitSizesRef.current)
+    splitSizesRef.current.clear()
+    setLayout(prev => edit(withSizes(prev, splitSizes)))
+  }, [withSizes])
+
+  // Persist the current layout, also when leaving the page
+  useEffect(() => {
+    notify()
+    storeLayout(withSizes(layout))
+    const handlePageHide = () => storeLayout(withSizes(layout))
+    window.addEventListener('pagehide', handlePageHide)
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide)
+    }
+  }, [layout, withSizes, notify])
+
+  const setPaneType = useCallback((slotId, pane) => {
+    editLayout(prev => setLayoutPaneType(prev, slotId, pane))
+  }, [editLayout])
+
+  const splitSlot = useCallback((slotId, direction, pane) => {
+    editLayout(prev => splitLayoutSlot(prev, slotId, direction, pane))
+  }, [editLayout])
+
+  const removeSlot = useCallback((slotId) => {
+    editLayout(prev => removeLayoutSlot(prev, slotId))
+  }, [editLayout])
+
+  const moveSlot = useCallback((slotId, offset) => {
+    editLayout(prev => moveLayoutSlot(prev, slotId, offset))
+  }, [editLayout])
+
+  // Called by PaneLayout as the panel groups resize
+  const reportSplitSizes = useCallback((splitId, sizes) => {
+    splitSizesRef.current.set(splitId, sizes)
+    notify()
+  }, [notify])
+
+  // The current layout with its latest sizes
+  const getLayout = useCallback(() => withSizes(layoutRef.current), [withSizes])
+
+  // Replace the layout by one from a link or a session; false if invalid
+  const restoreLayout = useCallback((next) => {
+    if (!isValidLayout(next)) return false
+    editLayout(() => next)
+    return true
+  }, [editLayout])
+
+  // Open a slot's pane in a new window; false if the browser blocked it
+  const detachSlot = useCallback((slot) => {
+    const popup = window.open(detachedPaneUrl(slot), `syndesmoscope-${slot.id}`, 'popup,width=960,height=720')
+    if (!popup) return false
+    setDetachedSlots(prev => new Map(prev).set(slot.id, slot.pane))
+    return true
+  }, [])
+
+  const forgetDetached = useCallback((slotId) => {
+    setDetachedSlots(prev => {
+      if (!prev.has(slotId)) return prev
+      const next = new Map(prev)
+      next.delete(slotId)
+      return next
+    })
+  }, [])
+
+  // Close the detached window of a slot, showing the pane in the slot again
+  const redockSlot = useCallback((slotId) => {
+    postWindowMessage({ type: 'close', slotId })
+    forgetDetached(slotId)
+  }, [forgetDetached])
+
+  // Re-dock when asked by (or when closing) the detached window
+  useEffect(() => {
+    return onWindowMessage('redock', ({ slotId }) => forgetDetached(slotId))
+  }, [forgetDetached])
+
+  // Re-dock slots that were removed or given another pane type
+  useEffect(() => {
+    const panes = new Map(layoutSlots(layout).map(slot => [slot.id, slot.pane]))
+    detachedSlots.forEach((pane, slotId) => {
+      if (panes.get(slotId) !== pane) redockSlot(slotId)
+    })
+  }, [layout, detachedSlots, redockSlot])
+
+  // Detached windows close with the main window
+  useEffect(() => {
+    const handlePageHide = () => {
+      detachedSlots.forEach((pane, slotId) => postWindowMessage({ type: 'close', slotId }))
+    }
+    window.addEventListener('pagehide', handlePageHide)
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide)
+    }
+  }, [detachedSlots])
+
+  // Presets: built-in ones, then the user's (which may shadow them)
+  const presets = useMemo(() => ({ ...BUILTIN_PRESETS, ...userPresets }), [userPresets])
+
+  const applyPreset = useCallback((name) => {
+    if (presets[name]) editLayout(() => presets[name])
+  }, [presets, editLayout])
+
+  const savePreset = useCallback((name) => {
+    const saved = withSizes(layout)
+    setUserPresets(prev => {
+      const next = { ...prev, [name]: saved }
+      storeUserPresets(next)
+      return next
+    })
+  }, [layout, withSizes])
+
+  const deletePreset = useCallback((name) => {
+    setUserPresets(prev => {
+      const { [name]: removed, ...next } = prev
+      storeUserPresets(next)
+      return next
+    })
+  }, [])
+
+  const value = useMemo(() => ({
+    layout,
+    setPaneType,
+    splitSlot,
+    removeSlot,
+    moveSlot,
+    reportSplitSizes,
+    subscribe,
+    getLayout,
+    restoreLayout,
+    presets,
+    userPresets,
+    applyPreset,
+    savePreset,
+    deletePreset,
+    detachedSlots,
+    detachSlot,
+    redockSlot,
+  }), [
+    layout, setPaneType, splitSlot, removeSlot, moveSlot, reportSplitSizes,
+    subscribe, getLayout, restoreLayout, presets, userPresets, applyPreset, savePreset, deletePreset,
+    detachedSlots, detachSlot, redockSlot
+  ])
+
+  return (
+    <LayoutContext.Provider value={value}>
+      {children}
+    </LayoutContext.Provider>
+  )
+}
+
+export function useLayout() {
+  const context = useContext(LayoutContext)
+  if (!context) {
+    throw new Error('useLayout must be used within a LayoutProvider')
+  }
+  return context
+}
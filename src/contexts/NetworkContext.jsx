@@ -1,80 +1,66 @@
-import { createContext, useContext, useState, useCallback, useMemo } from 'react'
+import { createContext, useContext, useState, useCallback, useMemo, useRef, useEffect } from 'react'
+import { CATALOG_URL, DATA_FILES, normalizeCatalog } from '../utils/catalog'
+import { detectFormat, parseGraph } from '../utils/graphParsers'
+import { generateGraph } from '../utils/generators'
+import { useHopCensus } from '../hooks/useHopCensus'
+import { useNodeMetrics } from '../hooks/useNodeMetrics'
+import { computeKSnakes, hasPeeling } from '../utils/kCore'
+import { isDirected, isWeighted } from '../utils/graph'
+import { censusKey, censusVariant, DEFAULT_VARIANT } from '../utils/hopCensus'
+import { getAttributes, buildAttributeSchema, nodeLabels as labelNodes } from '../utils/attributes'
+import { validateNetwork, checkPacked } from '../utils/validation'
+import { decodePackedGraph } from '../utils/packedGraph'
+import { NetworkCache, cacheSignature, mergeDerived } from '../utils/networkCache'
 
 /**
  * NetworkContext manages the currently loaded network data.
  * 
  * Networks are precomputed and stored as JSON files. This context
  * handles loading and provides the data to all visualization panes.
+ *
+ * The list of bundled datasets comes from the /data/index.json manifest
+ * (see utils/catalog), which is loaded once at startup. Every loaded
+ * network is validated (see utils/validation): the resulting report is
+ * exposed as validationReport, invalid invariant files are discarded,
+ * and a network with an invalid graph file is not loaded at all.
+ *
+ * The graph is read from network.bin when a dataset provides one (see
+ * utils/packedGraph), in which case networkData.nodeLink holds typed
+ * arrays rather than node and edge objects; read it through the
+ * accessors in utils/graph.
+ *
+ * Local files can also be imported (see utils/graphParsers), and
+ * synthetic graphs generated (see utils/generators). Both are kept in
+ * memory and listed after the bundled datasets.
+ *
+ * Loaded networks and their derived data (node-link layout, invariants
+ * computed in the browser) are kept in an LRU cache backed by IndexedDB
+ * (see utils/networkCache), so switching back to a network or reloading
+ * the page doesn't refetch or recompute anything.
+ *
+ * getNetworkSnapshot / restoreNetworkSnapshot capture and reopen the
+ * current network with its layout and invariants, for session files
+ * (see hooks/useSession).
+ *
+ * The Hop-Census is taken from hopcensus.json when it matches the loaded
+ * network and the selected constituent, and is otherwise computed in a
+ * Web Worker (see hooks/useHopCensus). k-Snakes (core decomposition) are
+ * computed on the main thread, as peeling is linear in the graph size.
+ * Per-node metrics (centralities, clustering, components; see
+ * utils/nodeMetrics) are computed in a Web Worker for every loaded
+ * network (see hooks/useNodeMetrics) and cached with the invariants.
+ *
+ * Node and edge attributes (any fields beyond the structural ones, see
+ * utils/attributes) are exposed as columns, together with their schema
+ * and the node labels derived from them, for coloring, filtering and
+ * tooltips.
+ *
+ * Both invariants follow invariantVariant: the direction (out, in or
+ * total) of directed networks and whether weighted networks use their
+ * edge weights. The variant only applies where the loaded network has
+ * direction or weights; otherwise it is the total, unweighted one.
  */
 
-// Available precomputed networks (MVP set)
-export const AVAILABLE_NETWORKS = [
-  {
-    id: 'karate-club',
-    name: 'Karate Club',
-    description: "###",
-    nodes: 34,
-    edges: 78
-  },
-  {
-    id: 'les-miserables',
-    name: 'Les Misérables',
-    description: "###",
-    nodes: 77,
-    edges: 254
-  },
-  {
-    id: 'game-thrones',
-    name: 'Game of Thrones',
-    description: "###",
-    nodes: 107,
-    edges: 352
-  },
-  {
-    id: 'tree-7-binomial',
-    name: 'Binomial Tree',
-    description: "###",
-    nodes: 128,
-    edges: 127
-  },
-  {
-    id: 'grid-14-by-14',
-    name: 'Square Grid',
-    description: "###",
-    nodes: 196,
-    edges: 364
-  },
-  {
-    id: 'network-science',
-    name: 'Network Science',
-    description: '###',
-    nodes: 379,
-    edges: 914
-  },
-  {
-    id: 'fibonacci-sunflower',
-    name: 'Fibonacci Sunflower',
-    description: '###',
-    nodes: 987,
-    edges: 2924
-  },
-  {
-    id: 'polblogs',
-    name: 'Political Blogs',
-    description: "###",
-    nodes: 1222,
-    edges: 16714
-  },
-  {
-    id: 'stanford-bunny',
-    name: 'Stanford Bunny',
-    description: "###",
-    nodes: 2503,
-    edges: 7048
-  },
-
-]
-
 const NetworkContext = createContext(null)
 
 export function NetworkProvider({ children }) {
@@ -82,56 +68,456 @@ export function NetworkProvider({ children }) {
   const [networkData, setNetworkData] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [validationReport, setValidationReport] = useState(null)
+  const [catalog, setCatalog] = useState([])
+  const [defaultNetworkId, setDefaultNetworkId] = useState(null)
+  const [importedNetworks, setImportedNetworks] = useState([])
+  const [hopCensusConstituent, setHopCensusConstituent] = useState('stub')
+  const [variantChoice, setVariantChoice] = useState(DEFAULT_VARIANT)
+
+  // Derived data of the current network, restored from the cache
+  const [derived, setDerived] = useState(null)
+
+  // Parsed data of imported networks, keyed by network id
+  const importedDataRef = useRef(new Map())
+
+  // Latest layout reported by NodeLinkPane ({ networkId, positions })
+  const latestLayoutRef = useRef(null)
+  // Readers of the live positions of the node-link panes, by the
+  // network data they show (see registerLayoutSource)
+  const layoutSourcesRef = useRef(new Map())
+
+  const cacheRef = useRef(null)
+  if (!cacheRef.current) cacheRef.current = new NetworkCache()
+  const [cacheSettings, setCacheSettingsState] = useState(cacheRef.current.settings)
+
+  // Load the dataset manifest
+  useEffect(() => {
+    let cancelled = false
+
+    fetch(CATALOG_URL)
+      .then(r => {
+        if (!r.ok) throw new Error(`Failed to load dataset manifest (${r.status})`)
+        return r.json()
+      })
+      .then(manifest => {
+        if (cancelled) return
+        const { networks, defaultId } = normalizeCatalog(manifest)
+        setCatalog(networks)
+        setDefaultNetworkId(defaultId)
+      })
+      .catch(err => {
+        if (cancelled) return
+        console.error('Failed to load dataset manifest:', err)
+        setError(err.message || 'Failed to load dataset manifest')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const availableNetworks = useMemo(() => {
+    return [...catalog, ...importedNetworks]
+  }, [catalog, importedNetworks])
 
   // Get current network metadata
   const currentNetwork = useMemo(() => {
-    return AVAILABLE_NETWORKS.find(n => n.id === currentNetworkId) || null
-  }, [currentNetworkId])
+    return availableNetworks.find(n => n.id === currentNetworkId) || null
+  }, [availableNetworks, currentNetworkId])
+
+  // Load a network's data; resolves to whether the network is now loaded.
+  // `derived` (e.g. from a session file) replaces the cached derived data.
+  const loadNetwork = useCallback(async (networkId, { derived: restored = null } = {}) => {
+    const cache = cacheRef.current
+    const withRestored = (base) => restored ? mergeDerived(base, restored) : base
 
-  // Load a network's data
-  const loadNetwork = useCallback(async (networkId) => {
     if (networkId === currentNetworkId && networkData) {
-      return // Already loaded
+      if (!restored) return true // Already loaded
+      cache.updateDerived(networkId, restored)
+      setDerived(prev => withRestored(prev || {}))
+      // New nodeLink identity, so the panes restart from the restored layout
+      setNetworkData(prev => ({ ...prev, nodeLink: { ...prev.nodeLink } }))
+      return true
+    }
+
+    const entry = catalog.find(n => n.id === networkId)
+    const signature = cacheSignature(entry)
+
+    // Imported networks have no files to fetch
+    if (importedDataRef.current.has(networkId)) {
+      const cached = await cache.get(networkId, signature)
+      setError(null)
+      setValidationReport(null)
+      if (restored) cache.updateDerived(networkId, restored)
+      setNetworkData(importedDataRef.current.get(networkId))
+      setDerived(withRestored(cached?.derived || {}))
+      setCurrentNetworkId(networkId)
+      return true
     }
 
     setIsLoading(true)
     setError(null)
 
     try {
-      // Load all visualization data files for this network
-      // In production, these would be fetched from /data/{networkId}/
-      const [nodeLink, hopCensus, kSnakes] = await Promise.all([
-        fetch(`/data/${networkId}/nodelink.json`).then(r => r.ok ? r.json() : null),
-        fetch(`/data/${networkId}/hopcensus.json`).then(r => r.ok ? r.json() : null),
-        fetch(`/data/${networkId}/ksnakes.json`).then(r => r.ok ? r.json() : null),
+      const cached = await cache.get(networkId, signature)
+      if (cached) {
+        setValidationReport(cached.validationReport)
+        if (restored) cache.updateDerived(networkId, restored)
+        setNetworkData(cached.networkData)
+        setDerived(withRestored(cached.derived))
+        setCurrentNetworkId(networkId)
+        return true
+      }
+
+      // Load the data files the manifest lists for this network.
+      // Files that are absent resolve to null; files that exist but can't
+      // be read are recorded for the validation report.
+      const files = entry ? entry.files : Object.keys(DATA_FILES)
+      const fetchErrors = {}
+      const fetchFile = async (key) => {
+        if (!files.includes(key)) return null
+        const response = await fetch(`/data/${networkId}/${DATA_FILES[key]}`)
+        // The dev server answers unknown paths with index.html
+        const type = response.headers.get('content-type') || ''
+        const isExpected = key === 'packed' ? !type.includes('html') : type.includes('json')
+        if (response.status === 404 || (response.ok && !isExpected)) return null
+        if (!response.ok) {
+          fetchErrors[key] = `HTTP ${response.status}`
+          return null
+        }
+        try {
+          return key === 'packed'
+            ? decodePackedGraph(await response.arrayBuffer())
+            : await response.json()
+        } catch (err) {
+          fetchErrors[key] = err.message || 'Invalid JSON'
+          return null
+        }
+      }
+
+      // Prefer the packed graph (no per-element parsing); fall back to
+      // nodelink.json when there is none or it is damaged
+      let packed = await fetchFile('packed')
+      if (packed && checkPacked(packed).length > 0) {
+        fetchErrors.packed = 'Damaged adjacency data'
+        packed = null
+      }
+
+      const [jsonNodeLink, hopCensus, kSnakes] = await Promise.all([
+        packed ? null : fetchFile('nodelink'),
+        fetchFile('hopcensus'),
+        fetchFile('ksnakes'),
       ])
+      const nodeLink = packed || jsonNodeLink
+
+      const report = validateNetwork({ nodeLink, hopCensus, kSnakes }, entry, fetchErrors)
+      setValidationReport(report)
 
-      setNetworkData({
+      const { graphFile } = report
+      if (report.files[graphFile] !== 'ok') {
+        throw new Error(`${networkId}: ${DATA_FILES[graphFile]} is ${report.files[graphFile]}`)
+      }
+
+      const data = {
         nodeLink,
-        // hopCensus,
-        kSnakes,
-        // Future: adjacencyMatrix, censusCensus, graphPrism
-      })
+        hopCensus: report.files.hopcensus === 'ok' ? hopCensus : null,
+        kSnakes: report.files.ksnakes === 'ok' ? kSnakes : null,
+      }
+      cache.set(networkId, signature, data, report)
+      if (restored) cache.updateDerived(networkId, restored)
+
+      setNetworkData(data)
+      setDerived(withRestored({}))
       setCurrentNetworkId(networkId)
+      return true
     } catch (err) {
       console.error('Failed to load network:', err)
       setError(err.message || 'Failed to load network data')
       setNetworkData(null)
+      return false
+    } finally {
+      setIsLoading(false)
+    }
+  }, [catalog, currentNetworkId, networkData])
+
+  // Register a parsed node-link graph as an imported network and load it
+  const addImportedNetwork = useCallback((nodeLink, { name, source, description, tags = ['imported'] }, restored = null) => {
+    // Unique id, so re-importing a file with the same name keeps both
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    let networkId = `imported-${slug || 'network'}`
+    for (let i = 2; importedDataRef.current.has(networkId); i++) {
+      networkId = `imported-${slug || 'network'}-${i}`
+    }
+
+    const data = { nodeLink, hopCensus: null, kSnakes: null }
+    importedDataRef.current.set(networkId, data)
+    cacheRef.current.set(networkId, cacheSignature(null), data, null, { transient: true })
+    if (restored) cacheRef.current.updateDerived(networkId, restored)
+    setValidationReport(null)
+    setDerived(mergeDerived({}, restored || {}))
+
+    setImportedNetworks(prev => [...prev, {
+      id: networkId,
+      name,
+      description,
+      source,
+      citation: null,
+      license: null,
+      tags,
+      directed: Boolean(nodeLink.metadata.directed),
+      files: [],
+      nodes: nodeLink.metadata.nodes,
+      edges: nodeLink.metadata.edges,
+      imported: true
+    }])
+    setNetworkData(data)
+    setCurrentNetworkId(networkId)
+    return networkId
+  }, [])
+
+  // Parse a local graph file and register it as a loaded network
+  const importNetwork = useCallback(async (file) => {
+    setError(null)
+
+    const format = detectFormat(file.name)
+    if (!format) {
+      setError(`${file.name}: unrecognised file type`)
+      return
+    }
+
+    setIsLoading(true)
+
+    try {
+      const text = await file.text()
+      const name = file.name.replace(/\.[^.]+$/, '')
+      const nodeLink = parseGraph(text, format, name)
+      addImportedNetwork(nodeLink, {
+        name,
+        source: file.name,
+        description: `Imported from ${file.name}`
+      })
+    } catch (err) {
+      console.error('Failed to import network:', err)
+      setError(`${file.name}: ${err.message || 'Failed to parse file'}`)
     } finally {
       setIsLoading(false)
     }
-  }, [currentNetworkId, networkData])
+  }, [addImportedNetwork])
+
+  // Generate a synthetic graph and register it like an imported network
+  const generateNetwork = useCallback((generatorId, params, seed) => {
+    setError(null)
+    try {
+      const { nodeLink, name, description } = generateGraph(generatorId, params, seed)
+      addImportedNetwork(nodeLink, {
+        name,
+        source: 'Synthetic',
+        description,
+        tags: ['generated']
+      })
+      return true
+    } catch (err) {
+      console.error('Failed to generate network:', err)
+      setError(err.message || 'Failed to generate network')
+      return false
+    }
+  }, [addImportedNetwork])
+
+  // Store derived data of the current network in the cache
+  const updateDerived = useCallback((patch) => {
+    if (!currentNetworkId) return
+    cacheRef.current.updateDerived(currentNetworkId, patch)
+    setDerived(prev => ({
+      ...prev,
+      ...patch,
+      hopCensus: { ...prev?.hopCensus, ...patch.hopCensus }
+    }))
+  }, [currentNetworkId])
+
+  // Attributes of the loaded network
+  const nodeLink = networkData?.nodeLink
+  const attributes = useMemo(() => nodeLink ? getAttributes(nodeLink) : null, [nodeLink])
+  const attributeSchema = useMemo(() => attributes ? buildAttributeSchema(attributes) : null, [attributes])
+  const nodeLabels = useMemo(() => {
+    return attributes ? labelNodes(attributes, attributeSchema) : null
+  }, [attributes, attributeSchema])
+
+  // Invariant variant, limited to what the loaded network has
+  const networkDirected = Boolean(nodeLink && isDirected(nodeLink))
+  const networkWeighted = Boolean(nodeLink && isWeighted(nodeLink))
+  const invariantVariant = useMemo(() => ({
+    direction: networkDirected ? variantChoice.direction : 'total',
+    weighted: networkWeighted && variantChoice.weighted
+  }), [networkDirected, networkWeighted, variantChoice])
+  const isDefaultVariant = invariantVariant.direction === 'total' && !invariantVariant.weighted
+
+  const setInvariantVariant = useCallback((patch) => {
+    setVariantChoice(prev => ({ ...prev, ...patch }))
+  }, [])
+
+  // Hop-Census for the loaded network (cached, precomputed or worker-computed)
+  const cachedHopCensus = derived?.hopCensus?.[censusKey(hopCensusConstituent, invariantVariant)] ||
+    networkData?.hopCensus
+
+  const handleHopCensusComputed = useCallback((census) => {
+    const { constituent } = census.metadata
+    updateDerived({ hopCensus: { [censusKey(constituent, censusVariant(census.metadata))]: census } })
+  }, [updateDerived])
+
+  const {
+    census: hopCensus,
+    progress: hopCensusProgress,
+    isComputing: isComputingHopCensus,
+    error: hopCensusError,
+    cancel: cancelHopCensus,
+    recompute: recomputeHopCensus
+  } = useHopCensus(nodeLink, hopCensusConstituent, cachedHopCensus, handleHopCensusComputed, invariantVariant)
+
+  // k-Snakes: use ksnakes.json only if it already carries peeling results.
+  // ksnakes.json and the cache hold the total, unweighted decomposition;
+  // other variants are recomputed (peeling is fast)
+  const cachedKSnakes = derived?.kSnakes
+  const kSnakes = useMemo(() => {
+    if (!isDefaultVariant && nodeLink) return computeKSnakes(nodeLink, invariantVariant)
+    if (hasPeeling(networkData?.kSnakes)) return networkData.kSnakes
+    if (cachedKSnakes) return cachedKSnakes
+    if (!nodeLink) return null
+    return computeKSnakes(nodeLink)
+  }, [networkData, nodeLink, cachedKSnakes, isDefaultVariant, invariantVariant])
+
+  useEffect(() => {
+    if (isDefaultVariant && kSnakes && kSnakes !== networkData?.kSnakes && kSnakes !== cachedKSnakes) {
+      updateDerived({ kSnakes })
+    }
+  }, [kSnakes, networkData, cachedKSnakes, isDefaultVariant, updateDerived])
+
+  // Node metrics, from the cache or computed in a worker
+  const cachedNodeMetrics = derived?.nodeMetrics || null
+
+  const handleNodeMetricsComputed = useCallback((nodeMetrics) => {
+    updateDerived({ nodeMetrics })
+  }, [updateDerived])
+
+  const {
+    metrics: nodeMetrics,
+    progress: nodeMetricsProgress,
+    error: nodeMetricsError
+  } = useNodeMetrics(nodeLink, cachedNodeMetrics, handleNodeMetricsComputed)
+
+  // Node-link layout: positions saved by NodeLinkPane once its
+  // simulation settles, restored as the starting layout next time
+  const layout = derived?.layout || null
+
+  const saveLayout = useCallback((positions) => {
+    if (!currentNetworkId) return
+    latestLayoutRef.current = { networkId: currentNetworkId, positions }
+    // Not stored in state: panes only read the layout when they start
+    cacheRef.current.updateDerived(currentNetworkId, { layout: positions })
+  }, [currentNetworkId])
+
+  // A node-link pane registers a reader of its current positions while
+  // it shows `nodeLink`; returns the function that unregisters it
+  const registerLayoutSource = useCallback((nodeLink, readPositions) => {
+    layoutSourcesRef.current.set(readPositions, nodeLink)
+    return () => layoutSourcesRef.current.delete(readPositions)
+  }, [])
+
+  // Everything needed to reopen the current network as it is now:
+  // its catalog entry, the graph itself for imported networks, the
+  // node-link positions at this moment and the invariants and metrics
+  // computed so far
+  const getNetworkSnapshot = useCallback(() => {
+    if (!currentNetwork || !networkData) return null
+    // Positions right now: from the most recently started node-link pane
+    // showing the network, else the last settled layout
+    const readers = Array.from(layoutSourcesRef.current)
+      .filter(([, shown]) => shown === networkData.nodeLink)
+    const latest = latestLayoutRef.current
+    const positions = readers.length > 0
+      ? readers[readers.length - 1][0]()
+      : latest?.networkId === currentNetworkId ? latest.positions : layout
+    return {
+      network: currentNetwork,
+      nodeLink: currentNetwork.imported ? networkData.nodeLink : null,
+      layout: positions,
+      hopCensus: derived?.hopCensus || {},
+      kSnakes: isDefaultVariant && hasPeeling(kSnakes) ? kSnakes : cachedKSnakes || null,
+      nodeMetrics: nodeMetrics || cachedNodeMetrics,
+    }
+  }, [currentNetwork, currentNetworkId, networkData, layout, derived, kSnakes, cachedKSnakes, isDefaultVariant,
+    nodeMetrics, cachedNodeMetrics])
+
+  /**
+   * Reopen a snapshot (see getNetworkSnapshot). Bundled networks are
+   * loaded by id; imported ones are re-registered from their embedded
+   * graph unless the same import is still open in this session.
+   *
+   * @returns {Promise<boolean>} - Whether the network is now loaded
+   */
+  const restoreNetworkSnapshot = useCallback(async ({ network, nodeLink, layout, hopCensus, kSnakes, nodeMetrics }) => {
+    // Invariants of a different size belong to an older version of the data
+    const nodeCount = network.imported
+      ? nodeLink?.nodes?.length
+      : catalog.find(n => n.id === network.id)?.nodes
+    const fits = (length) => nodeCount == null || length === nodeCount
+
+    const restored = { hopCensus: hopCensus || {} }
+    if (layout && fits(layout.x.length)) restored.layout = layout
+    if (hasPeeling(kSnakes) && fits(kSnakes.nodes.length)) restored.kSnakes = kSnakes
+    if (nodeMetrics?.degree && fits(nodeMetrics.degree.length)) restored.nodeMetrics = nodeMetrics
+
+    if (!network.imported) {
+      if (!catalog.some(n => n.id === network.id)) {
+        setError(`Network "${network.id}" is not in the dataset catalog`)
+        return false
+      }
+      return loadNetwork(network.id, { derived: restored })
+    }
+
+    const open = importedDataRef.current.get(network.id)
+    if (open && open.nodeLink.nodes.length === nodeLink?.nodes.length &&
+        open.nodeLink.edges.length === nodeLink?.edges.length) {
+      return loadNetwork(network.id, { derived: restored })
+    }
+
+    const report = validateNetwork({ nodeLink, hopCensus: null, kSnakes: null }, { files: ['nodelink'] })
+    if (report.files.nodelink !== 'ok') {
+      setError(`${network.name}: the embedded graph is ${report.files.nodelink}`)
+      return false
+    }
+    setError(null)
+    addImportedNetwork(nodeLink, network, restored)
+    return true
+  }, [catalog, loadNetwork, addImportedNetwork])
+
+  // Cache controls
+  const setCacheSettings = useCallback(async (settings) => {
+    try {
+      await cacheRef.current.setSettings(settings)
+    } finally {
+      // The limits apply even when storing them or evicting fails
+      setCacheSettingsState(cacheRef.current.settings)
+    }
+  }, [])
+
+  const clearCache = useCallback(() => cacheRef.current.clear(), [])
+
+  const getCacheStats = useCallback(() => cacheRef.current.stats(), [])
 
   // Clear loaded network
   const clearNetwork = useCallback(() => {
     setCurrentNetworkId(null)
     setNetworkData(null)
+    setValidationReport(null)
+    setDerived(null)
     setError(null)
   }, [])
 
   const value = useMemo(() => ({
-    // Available networks
-    availableNetworks: AVAILABLE_NETWORKS,
+    // Available networks (manifest + imported)
+    availableNetworks,
+    defaultNetworkId,
     
     // Current state
     currentNetworkId,
@@ -139,18 +525,93 @@ export function NetworkProvider({ children }) {
     networkData,
     isLoading,
     error,
+    validationReport,
+
+    // Computed invariants
+    kSnakes,
+    layout,
+    networkDirected,
+    networkWeighted,
+    invariantVariant,
+
+    // Attributes
+    attributes,
+    attributeSchema,
+    nodeLabels,
+
+    // Hop-Census
+    hopCensus,
+    hopCensusConstituent,
+    hopCensusProgress,
+    isComputingHopCensus,
+    hopCensusError,
+    
+    // Node metrics
+    nodeMetrics,
+    nodeMetricsProgress,
+    nodeMetricsError,
     
     // Actions
     loadNetwork,
+    importNetwork,
+    generateNetwork,
     clearNetwork,
+    setHopCensusConstituent,
+    setInvariantVariant,
+    cancelHopCensus,
+    recomputeHopCensus,
+    saveLayout,
+    registerLayoutSource,
+
+    // Sessions
+    getNetworkSnapshot,
+    restoreNetworkSnapshot,
+
+    // Cache
+    cacheSettings,
+    setCacheSettings,
+    clearCache,
+    getCacheStats,
   }), [
+    availableNetworks,
+    defaultNetworkId,
     currentNetworkId,
     currentNetwork,
     networkData,
     isLoading,
     error,
+    validationReport,
+    kSnakes,
+    layout,
+    networkDirected,
+    networkWeighted,
+    invariantVariant,
+    attributes,
+    attributeSchema,
+    nodeLabels,
+    hopCensus,
+    hopCensusConstituent,
+    hopCensusProgress,
+    isComputingHopCensus,
+    hopCensusError,
+    nodeMetrics,
+    nodeMetricsProgress,
+    nodeMetricsError,
     loadNetwork,
-    clearNetwork
+    importNetwork,
+    generateNetwork,
+    clearNetwork,
+    setInvariantVariant,
+    cancelHopCensus,
+    recomputeHopCensus,
+    saveLayout,
+    registerLayoutSource,
+    getNetworkSnapshot,
+    restoreNetworkSnapshot,
+    cacheSettings,
+    setCacheSettings,
+    clearCache,
+    getCacheStats
   ])
 
   return (
@@ -0,0 +1,22 @@
+import { createContext, useContext } from 'react'
+
+/**
+ * PaneSlotContext tells a Pane where it is shown, for the window actions
+ * of its header:
+ *
+ * - In a slot of the main window: { detach } opens the pane in a window
+ *   of its own (see components/DetachedPane)
+ * - In a detached window, or in the slot it left: { redock } brings it
+ *   back into the slot
+ *
+ * Panes rendered outside a slot get no actions.
+ */
+
+const PaneSlotContext = createContext(null)
+
+export const PaneSlotProvider = PaneSlotContext.Provider
+
+// Window actions of the enclosing slot, or null
+export function usePaneSlot() {
+  return useContext(PaneSlotContext)
+}
@@ -128,6 +128,12 @@ export function SelectionProvider({ children }) {
     setSelectedEdges(new Set())
   }, [])
 
+  // Replace the whole selection (e.g. when restoring a saved view)
+  const setSelection = useCallback((nodeIdxArray = [], edgeIdxArray = []) => {
+    setSelectedNodes(new Set(nodeIdxArray))
+    setSelectedEdges(new Set(edgeIdxArray))
+  }, [])
+
   // Helper to check if a node is highlighted (either hovered or selected)
   const isNodeHighlighted = useCallback((nodeIdx) => {
     return hoveredNodes.has(nodeIdx) || selectedNodes.has(nodeIdx)
@@ -170,6 +176,7 @@ export function SelectionProvider({ children }) {
     
     // Utilities
     clearAllSelections,
+    setSelection,
     isNodeHighlighted,
     isEdgeHighlighted,
   }), [
@@ -178,7 +185,7 @@ export function SelectionProvider({ children }) {
     hoverEdge, hoverEdges, clearHoveredEdges, clearHover,
     toggleNodeSelection, selectNodes, deselectNodes, clearSelectedNodes,
     toggleEdgeSelection, selectEdges, deselectEdges, clearSelectedEdges,
-    clearAllSelections, isNodeHighlighted, isEdgeHighlighted
+    clearAllSelections, setSelection, isNodeHighlighted, isEdgeHighlighted
   ])
 
   return (
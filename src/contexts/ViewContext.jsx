@@ -0,0 +1,135 @@
+import { createContext, useContext, useRef, useCallback, useMemo } from 'react'
+
+/**
+ * ViewContext tracks view state that lives outside React state:
+ * - Pane arrangement (panel sizes of the PanelGroup)
+ * - Zoom transform of each pane (by viewId, see useZoomPan)
+ *
+ * Both change continuously while the user drags or zooms, so they are
+ * kept in refs rather than state. Consumers that need to react (e.g. the
+ * URL sync) subscribe to change notifications instead of re-rendering.
+ *
+ * Restoring works imperatively: panes register their zoom behavior and
+ * PaneLayout registers its PanelGroup, and applyZoom / applyPaneSizes
+ * drive them directly. A zoom transform can also be deferred until the
+ * pane next binds a fresh SVG (i.e. after a network change has been
+ * rendered), since the pane resets its zoom when its data changes.
+ */
+
+const ViewContext = createContext(null)
+
+export function ViewProvider({ children }) {
+  const zoomTransformsRef = useRef(new Map())
+  const zoomTargetsRef = useRef(new Map())
+  const pendingZoomsRef = useRef(new Map())
+  const paneSizesRef = useRef(null)
+  const panelGroupRef = useRef(null)
+  const listenersRef = useRef(new Set())
+
+  const notify = useCallback((change) => {
+    listenersRef.current.forEach(listener => listener(change))
+  }, [])
+
+  // Listen to view changes; returns an unsubscribe function.
+  // Listeners receive 'zoom' or 'panes'.
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener)
+    return () => listenersRef.current.delete(listener)
+  }, [])
+
+  // Zoom transforms
+  const reportZoom = useCallback((viewId, transform) => {
+    zoomTransformsRef.current.set(viewId, transform)
+    notify('zoom')
+  }, [notify])
+
+  const getZoomTransforms = useCallback(() => {
+    return new Map(zoomTransformsRef.current)
+  }, [])
+
+  // Called by useZoomPan; `apply` sets a transform on the pane's SVG
+  const registerZoomTarget = useCallback((viewId, apply) => {
+    zoomTargetsRef.current.set(viewId, apply)
+    return () => {
+      if (zoomTargetsRef.current.get(viewId) === apply) {
+        zoomTargetsRef.current.delete(viewId)
+        zoomTransformsRef.current.delete(viewId)
+      }
+    }
+  }, [])
+
+  const applyZoom = useCallback((viewId, transform, { deferred = false } = {}) => {
+    const apply = zoomTargetsRef.current.get(viewId)
+    if (!deferred && apply) {
+      pendingZoomsRef.current.delete(viewId)
+      apply(transform)
+    } else {
+      pendingZoomsRef.current.set(viewId, transform)
+    }
+  }, [])
+
+  // Called by useZoomPan when it binds a new SVG
+  const takePendingZoom = useCallback((viewId) => {
+    const transform = pendingZoomsRef.current.get(viewId) || null
+    pendingZoomsRef.current.delete(viewId)
+    return transform
+  }, [])
+
+  // Pane arrangement
+  const registerPanelGroup = useCallback((api) => {
+    panelGroupRef.current = api
+    return () => {
+      if (panelGroupRef.current === api) panelGroupRef.current = null
+    }
+  }, [])
+
+  const reportPaneSizes = useCallback((sizes) => {
+    paneSizesRef.current = sizes
+    notify('panes')
+  }, [notify])
+
+  const getPaneSizes = useCallback(() => paneSizesRef.current, [])
+
+  const applyPaneSizes = useCallback((sizes) => {
+    const group = panelGroupRef.current
+    if (!group) return
+    // Ignore layouts for a different number of panes
+    if (group.getLayout().length !== sizes.length) return
+    group.setLayout(sizes)
+  }, [])
+
+  const value = useMemo(() => ({
+    subscribe,
+    reportZoom,
+    getZoomTransforms,
+    registerZoomTarget,
+    applyZoom,
+    takePendingZoom,
+    registerPanelGroup,
+    reportPaneSizes,
+    getPaneSizes,
+    applyPaneSizes,
+  }), [
+    subscribe, reportZoom, getZoomTransforms, registerZoomTarget, applyZoom,
+    takePendingZoom, registerPanelGroup, reportPaneSizes, getPaneSizes, applyPaneSizes
+  ])
+
+  return (
+    <ViewContext.Provider value={value}>
+      {children}
+    </ViewContext.Provider>
+  )
+}
+
+export function useView() {
+  const context = useContext(ViewContext)
+  if (!context) {
+    throw new Error('useView must be used within a ViewProvider')
+  }
+  return context
+}
+
+// Like useView, but returns null outside a ViewProvider (for reusable hooks)
+export function useOptionalView() {
+  return useContext(ViewContext)
+}
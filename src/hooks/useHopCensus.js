@@ -0,0 +1,146 @@
+import { useRef, useEffect, useState, useCallback } from "react";
+import { nodeCount, toEdgeArrays } from "../utils/graph";
+import { DEFAULT_VARIANT, censusKey, censusVariant } from "../utils/hopCensus";
+
+/**
+ * useHopCensus - Computes the Hop-Census of a network in a Web Worker
+ *
+ * A precomputed census (hopcensus.json) is used as-is when it covers
+ * every node for the requested constituent; otherwise the census is
+ * computed in the background, one BFS per node.
+ *
+ * The variant selects the direction (directed networks) and whether
+ * distances are weighted (see utils/hopCensus); callers pass the variant
+ * that applies to the network, e.g. 'total' for undirected ones.
+ *
+ * @param {Object} nodeLink - Loaded nodelink data
+ * @param {string} constituent - 'node' | 'stub' | 'edge'
+ * @param {Object} precomputed - Optional hopcensus.json contents (or a
+ *   previously computed census)
+ * @param {Function} onComputed - Optional, called with each census computed
+ *   by the worker (e.g. to cache it)
+ * @param {Object} variant - Optional { direction, weighted }
+ * @returns {Object} - { census, progress, isComputing, error, cancel, recompute }
+ *   progress is a fraction in [0, 1] while computing, otherwise null
+ */
+export function useHopCensus(
+  nodeLink,
+  constituent,
+  precomputed = null,
+  onComputed = null,
+  variant = DEFAULT_VARIANT
+) {
+  const { direction, weighted } = variant;
+  const workerRef = useRef(null);
+  const onComputedRef = useRef(onComputed);
+  onComputedRef.current = onComputed;
+  const [census, setCensus] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [runId, setRunId] = useState(0);
+
+  const stopWorker = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+
+  useEffect(() => {
+    setError(null);
+
+    if (!nodeLink) {
+      setCensus(null);
+      setProgress(null);
+      return;
+    }
+
+    if (
+      precomputed &&
+      precomputed.metadata?.constituent === constituent &&
+      censusKey(constituent, censusVariant(precomputed.metadata)) ===
+        censusKey(constituent, { direction, weighted }) &&
+      precomputed.vectors?.length === nodeCount(nodeLink)
+    ) {
+      setCensus(precomputed);
+      setProgress(null);
+      return;
+    }
+
+    setCensus(null);
+    setProgress(0);
+
+    // Report results through the callback of the render that started the
+    // run, so they are attributed to the right network
+    const notify = onComputedRef.current;
+
+    const worker = new Worker(
+      new URL("../workers/hopCensus.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    workerRef.current = worker;
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === "progress") {
+        setProgress(message.done / message.total);
+      } else if (message.type === "result") {
+        setCensus(message.census);
+        setProgress(null);
+        stopWorker();
+        if (notify) notify(message.census);
+      } else if (message.type === "error") {
+        setError(message.message);
+        setProgress(null);
+        stopWorker();
+      }
+    };
+
+    worker.onerror = (event) => {
+      setError(event.message || "Hop-Census worker failed");
+      setProgress(null);
+      stopWorker();
+    };
+
+    const { sources, targets, weights } = toEdgeArrays(nodeLink);
+    const transfer = [sources.buffer, targets.buffer];
+    if (weights) transfer.push(weights.buffer);
+    worker.postMessage(
+      {
+        nodeCount: nodeCount(nodeLink),
+        sources,
+        targets,
+        weights,
+        constituent,
+        direction,
+        weighted,
+        name: nodeLink.metadata?.name,
+      },
+      transfer
+    );
+
+    return stopWorker;
+  }, [nodeLink, constituent, direction, weighted, precomputed, runId, stopWorker]);
+
+  // Abort a running computation; the census stays empty until recompute()
+  const cancel = useCallback(() => {
+    stopWorker();
+    setProgress(null);
+  }, [stopWorker]);
+
+  // Run the computation again (e.g. after cancel)
+  const recompute = useCallback(() => {
+    setRunId((id) => id + 1);
+  }, []);
+
+  return {
+    census,
+    progress,
+    isComputing: progress !== null,
+    error,
+    cancel,
+    recompute,
+  };
+}
+
+export default useHopCensus;
@@ -0,0 +1,48 @@
+import { useRef, useEffect } from "react";
+import { useSelection } from "../contexts/SelectionContext";
+
+/**
+ * useIndexHighlight - Highlighting of the elements of a pane that carry
+ * data-node-idx or data-edge-idx
+ *
+ * Whenever the hovered or selected nodes and edges change, and after
+ * every change of `deps` (redraws), each such element below `rootRef`
+ * gets the is-hovered and is-selected classes of its node or edge, and
+ * highlighted elements are raised above their siblings. Panes style the
+ * classes in their CSS, which wins over the attributes set when drawing.
+ * `extra` then runs with the selection, for highlighting that classes
+ * can't express.
+ *
+ * @param {React.RefObject} rootRef - Element holding the indexed elements
+ * @param {Array} deps - Values whose change redraws the elements
+ * @param {Function} extra - Optional (selection) => {}
+ */
+export function useIndexHighlight(rootRef, deps = [], extra = null) {
+  const selection = useSelection();
+  const { hoveredNodes, hoveredEdges, selectedNodes, selectedEdges } = selection;
+
+  const extraRef = useRef(extra);
+  extraRef.current = extra;
+
+  useEffect(() => {
+    const root = rootRef.current;
+    if (!root) return;
+
+    const restyle = (attribute, hovered, selected) => {
+      root.querySelectorAll(`[${attribute}]`).forEach((element) => {
+        const idx = +element.getAttribute(attribute);
+        const isHovered = hovered.has(idx);
+        const isSelected = selected.has(idx);
+        element.classList.toggle("is-hovered", isHovered);
+        element.classList.toggle("is-selected", isSelected);
+        if (isHovered || isSelected) element.parentNode.appendChild(element);
+      });
+    };
+    restyle("data-node-idx", hoveredNodes, selectedNodes);
+    restyle("data-edge-idx", hoveredEdges, selectedEdges);
+
+    extraRef.current?.(selection);
+  }, [hoveredNodes, hoveredEdges, selectedNodes, selectedEdges, ...deps]);
+}
+
+export default useIndexHighlight;
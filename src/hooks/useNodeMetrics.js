@@ -0,0 +1,115 @@
+import { useRef, useEffect, useState, useCallback } from "react";
+import { nodeCount, toEdgeArrays } from "../utils/graph";
+
+/**
+ * useNodeMetrics - Computes the per-node metrics of a network in a Web
+ * Worker (see utils/nodeMetrics)
+ *
+ * Previously computed metrics (e.g. from the network cache) are used
+ * as-is when they cover every node; otherwise they are computed in the
+ * background, one BFS per node.
+ *
+ * @param {Object} nodeLink - Loaded nodelink data
+ * @param {Object} precomputed - Optional { [metricId]: Float64Array }
+ * @param {Function} onComputed - Optional, called with the metrics
+ *   computed by the worker (e.g. to cache them)
+ * @returns {Object} - { metrics, progress, isComputing, error, cancel, recompute }
+ *   progress is a fraction in [0, 1] while computing, otherwise null
+ */
+export function useNodeMetrics(nodeLink, precomputed = null, onComputed = null) {
+  const workerRef = useRef(null);
+  const onComputedRef = useRef(onComputed);
+  onComputedRef.current = onComputed;
+  const [metrics, setMetrics] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [runId, setRunId] = useState(0);
+
+  const stopWorker = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+
+  useEffect(() => {
+    setError(null);
+
+    if (!nodeLink) {
+      setMetrics(null);
+      setProgress(null);
+      return;
+    }
+
+    if (precomputed && precomputed.degree?.length === nodeCount(nodeLink)) {
+      setMetrics(precomputed);
+      setProgress(null);
+      return;
+    }
+
+    setMetrics(null);
+    setProgress(0);
+
+    // Report results through the callback of the render that started the
+    // run, so they are attributed to the right network
+    const notify = onComputedRef.current;
+
+    const worker = new Worker(
+      new URL("../workers/nodeMetrics.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    workerRef.current = worker;
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === "progress") {
+        setProgress(message.done / message.total);
+      } else if (message.type === "result") {
+        setMetrics(message.metrics);
+        setProgress(null);
+        stopWorker();
+        if (notify) notify(message.metrics);
+      } else if (message.type === "error") {
+        setError(message.message);
+        setProgress(null);
+        stopWorker();
+      }
+    };
+
+    worker.onerror = (event) => {
+      setError(event.message || "Node metrics worker failed");
+      setProgress(null);
+      stopWorker();
+    };
+
+    const { sources, targets } = toEdgeArrays(nodeLink);
+    worker.postMessage(
+      { nodeCount: nodeCount(nodeLink), sources, targets },
+      [sources.buffer, targets.buffer]
+    );
+
+    return stopWorker;
+  }, [nodeLink, precomputed, runId, stopWorker]);
+
+  // Abort a running computation; the metrics stay empty until recompute()
+  const cancel = useCallback(() => {
+    stopWorker();
+    setProgress(null);
+  }, [stopWorker]);
+
+  // Run the computation again (e.g. after cancel)
+  const recompute = useCallback(() => {
+    setRunId((id) => id + 1);
+  }, []);
+
+  return {
+    metrics,
+    progress,
+    isComputing: progress !== null,
+    error,
+    cancel,
+    recompute,
+  };
+}
+
+export default useNodeMetrics;
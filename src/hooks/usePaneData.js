@@ -0,0 +1,56 @@
+import { useMemo } from "react";
+import { useNetwork } from "../contexts/NetworkContext";
+
+/**
+ * usePaneData - Everything panes draw from (see components/panes/registry),
+ * assembled from NetworkContext: the data of DATA_REQUIREMENTS, progress
+ * and errors of their computations, the network's name, labels and
+ * attributes, and the shared controls of the built-in panes.
+ *
+ * @returns {Object} - Pane data, a new object only when an entry changes
+ */
+export function usePaneData() {
+  const {
+    networkData,
+    hopCensus,
+    hopCensusConstituent,
+    hopCensusProgress,
+    setHopCensusConstituent,
+    kSnakes,
+    layout: nodeLinkLayout,
+    saveLayout,
+    registerLayoutSource,
+    currentNetwork,
+    nodeLabels,
+    attributes,
+    attributeSchema,
+    nodeMetrics,
+    nodeMetricsProgress,
+    nodeMetricsError,
+  } = useNetwork();
+
+  return useMemo(() => ({
+    nodeLink: networkData?.nodeLink || null,
+    census: hopCensus,
+    cores: kSnakes,
+    metrics: nodeMetrics,
+    progress: { census: hopCensusProgress, metrics: nodeMetricsProgress },
+    errors: { metrics: nodeMetricsError },
+    networkName: currentNetwork?.name,
+    labels: nodeLabels,
+    attributes,
+    attributeSchema,
+    // Shared controls of the built-in panes
+    nodeLinkLayout,
+    saveNodeLinkLayout: saveLayout,
+    registerNodeLinkLayout: registerLayoutSource,
+    censusConstituent: hopCensusConstituent,
+    setCensusConstituent: setHopCensusConstituent,
+  }), [
+    networkData, hopCensus, kSnakes, nodeMetrics, hopCensusProgress, nodeMetricsProgress,
+    nodeMetricsError, currentNetwork, nodeLabels, attributes, attributeSchema,
+    nodeLinkLayout, saveLayout, registerLayoutSource, hopCensusConstituent, setHopCensusConstituent,
+  ]);
+}
+
+export default usePaneData;
@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from "react";
+import { getPaneTypes, subscribe } from "../components/panes/registry";
+
+/**
+ * usePaneTypes - Registered pane types (see components/panes/registry),
+ * updated when panes are registered later, e.g. by a plugin loaded on
+ * demand.
+ *
+ * @returns {Object[]} - [{ id, label }]
+ */
+export function usePaneTypes() {
+  return useSyncExternalStore(subscribe, getPaneTypes);
+}
+
+export default usePaneTypes;
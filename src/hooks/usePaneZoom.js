@@ -0,0 +1,62 @@
+import { useRef, useEffect, useCallback } from "react";
+import * as d3 from "d3";
+import { useZoomPan } from "./useZoomPan";
+
+/**
+ * usePaneZoom - Zoom and pan of a pane, as the panes share it
+ *
+ * On top of useZoomPan: the transform is applied to the group in
+ * `zoomContainerRef` (when the pane sets one), the zoom resets when
+ * `resetOn` changes (the pane's data), and fit-to-content fits the
+ * bounds in `boundsRef`, or those of `getBounds`. `zoomControls` is
+ * ready for the Pane wrapper, which adds the +/-/Home/0 shortcuts.
+ *
+ * @param {React.RefObject} surfaceRef - The zoomed SVG (or canvas)
+ * @param {Object} options - useZoomPan options, plus resetOn, getBounds
+ *   (() => { x, y, width, height } or null) and padding (fit margin, px)
+ * @returns {Object} useZoomPan's result, plus zoomContainerRef,
+ *   boundsRef, fitContent and zoomControls
+ */
+export function usePaneZoom(surfaceRef, options = {}) {
+  const { resetOn, getBounds = null, padding = 0, ...zoomOptions } = options;
+  const zoomPan = useZoomPan(surfaceRef, zoomOptions);
+  const { transform, zoomIn, zoomOut, resetZoom, fitToContent, zoomPercent } = zoomPan;
+
+  const zoomContainerRef = useRef(null);
+  const boundsRef = useRef(null);
+  const getBoundsRef = useRef(getBounds);
+  getBoundsRef.current = getBounds;
+
+  // Apply zoom transform to the zoom container
+  useEffect(() => {
+    if (zoomContainerRef.current) {
+      d3.select(zoomContainerRef.current).attr("transform", transform);
+    }
+  }, [transform]);
+
+  // Reset zoom when data changes
+  useEffect(() => {
+    resetZoom();
+  }, [resetOn, resetZoom]);
+
+  const fitContent = useCallback(() => {
+    const bounds = getBoundsRef.current ? getBoundsRef.current() : boundsRef.current;
+    if (bounds) fitToContent(bounds, padding);
+  }, [fitToContent, padding]);
+
+  return {
+    ...zoomPan,
+    zoomContainerRef,
+    boundsRef,
+    fitContent,
+    zoomControls: {
+      onZoomIn: zoomIn,
+      onZoomOut: zoomOut,
+      onReset: resetZoom,
+      onFitContent: fitContent,
+      zoomPercent,
+    },
+  };
+}
+
+export default usePaneZoom;
@@ -0,0 +1,97 @@
+import { useState, useCallback } from "react";
+import { useNetwork } from "../contexts/NetworkContext";
+import { useSelection } from "../contexts/SelectionContext";
+import { useView } from "../contexts/ViewContext";
+import { useLayout } from "../contexts/LayoutContext";
+import { changedSlots } from "../utils/paneLayout";
+import { createSession, readSession, sessionFileName } from "../utils/session";
+
+/**
+ * useSession - Save the workspace to a session file and open it again
+ *
+ * A session holds the network (embedded when imported), node-link
+ * layout, selection, pane layout, zoom and computed invariants
+ * (see utils/session for the format).
+ *
+ * @returns {Object} { saveSession, openSession, isOpening, error }
+ */
+export function useSession() {
+  const { getNetworkSnapshot, restoreNetworkSnapshot } = useNetwork();
+  const { selectedNodes, selectedEdges, setSelection } = useSelection();
+  const view = useView();
+  const { getLayout, restoreLayout } = useLayout();
+
+  const [isOpening, setIsOpening] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Download the current workspace as a session file
+  const saveSession = useCallback(() => {
+    const snapshot = getNetworkSnapshot();
+    if (!snapshot) return;
+
+    const session = createSession(snapshot, {
+      selectedNodes,
+      selectedEdges,
+      paneLayout: getLayout(),
+      zoom: view.getZoomTransforms(),
+    });
+
+    const blob = new Blob([JSON.stringify(session)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = sessionFileName(snapshot.network.id);
+    link.click();
+    URL.revokeObjectURL(url);
+    setError(null);
+  }, [getNetworkSnapshot, selectedNodes, selectedEdges, view, getLayout]);
+
+  // Read a session file and restore everything it holds
+  const openSession = useCallback(
+    async (file) => {
+      setError(null);
+      setIsOpening(true);
+
+      try {
+        const session = readSession(await file.text());
+
+        // The panes restart when the network is (re)opened, so the zoom
+        // is applied once they have rendered it
+        session.zoom.forEach((transform, viewId) =>
+          view.applyZoom(viewId, transform, { deferred: true })
+        );
+        setSelection([], []);
+
+        const opened = await restoreNetworkSnapshot(session);
+        if (!opened) {
+          session.zoom.forEach((_, viewId) => view.takePendingZoom(viewId));
+          return;
+        }
+
+        setSelection(session.selectedNodes, session.selectedEdges);
+
+        // Panes of slots that change start afresh, after the network
+        // reopened the current ones, and get their zoom again
+        const previousLayout = getLayout();
+        if (session.paneLayout && restoreLayout(session.paneLayout)) {
+          const restarted = changedSlots(previousLayout, session.paneLayout);
+          session.zoom.forEach((transform, viewId) => {
+            if (restarted.has(viewId)) view.applyZoom(viewId, transform, { deferred: true });
+          });
+        }
+      } catch (err) {
+        console.error("Failed to open session:", err);
+        setError(`${file.name}: ${err.message || "Failed to open session"}`);
+      } finally {
+        setIsOpening(false);
+      }
+    },
+    [restoreNetworkSnapshot, setSelection, view, getLayout, restoreLayout]
+  );
+
+  return { saveSession, openSession, isOpening, error };
+}
+
+export default useSession;
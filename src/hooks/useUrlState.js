@@ -0,0 +1,187 @@
+import { useRef, useEffect, useCallback } from "react";
+import { useNetwork } from "../contexts/NetworkContext";
+import { useSelection } from "../contexts/SelectionContext";
+import { useView } from "../contexts/ViewContext";
+import { useLayout } from "../contexts/LayoutContext";
+import { encodeUrlState, decodeUrlState, withoutZoom } from "../utils/urlState";
+import { changedSlots } from "../utils/paneLayout";
+
+// Quiet period before the hash is rewritten (zooming and resizing emit
+// many changes per second)
+const WRITE_DELAY = 300;
+
+
+/**
+ * useUrlState - Keep the view in sync with the URL hash (deep links)
+ *
+ * On startup the network, selection, pane layout and zoom are restored
+ * from the hash (falling back to the catalog's default network), and from
+ * then on every change is written back to it:
+ * - Network, selection and pane changes push a history entry, so
+ *   back/forward step through them
+ * - Zoom changes only replace the current entry
+ *
+ * Back/forward (popstate) restores the state of that entry.
+ * Must be used once, below the Network, Selection, View and Layout
+ * providers.
+ */
+export function useUrlState() {
+  const {
+    availableNetworks,
+    defaultNetworkId,
+    currentNetworkId,
+    isLoading,
+    loadNetwork,
+  } = useNetwork();
+  const { selectedNodes, selectedEdges, setSelection } = useSelection();
+  const view = useView();
+  const { getLayout, restoreLayout, subscribe: subscribeLayout } = useLayout();
+
+  const initializedRef = useRef(false);
+  const restoringRef = useRef(0); // id of the restore in progress (0 = none)
+  const replaceNextRef = useRef(true); // first write after a restore replaces
+  const timerRef = useRef(null);
+
+  // Latest values, for the history listener and the debounced writer
+  const latestRef = useRef(null);
+  latestRef.current = {
+    availableNetworks,
+    defaultNetworkId,
+    currentNetworkId,
+    isLoading,
+    selectedNodes,
+    selectedEdges,
+  };
+
+  // Write the current state to the hash
+  const writeHash = useCallback(() => {
+    const { currentNetworkId, isLoading, selectedNodes, selectedEdges } =
+      latestRef.current;
+    if (!currentNetworkId || isLoading || restoringRef.current) return;
+
+    const hash = encodeUrlState({
+      networkId: currentNetworkId,
+      selectedNodes,
+      selectedEdges,
+      layout: getLayout(),
+      zoom: view.getZoomTransforms(),
+    });
+    const current = window.location.hash.replace(/^#/, "");
+    if (hash === current) return;
+
+    const url = `${window.location.pathname}${window.location.search}#${hash}`;
+    const replace =
+      replaceNextRef.current || withoutZoom(hash) === withoutZoom(current);
+    replaceNextRef.current = false;
+
+    if (replace) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+  }, [view, getLayout]);
+
+  const scheduleWrite = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(writeHash, WRITE_DELAY);
+  }, [writeHash]);
+
+  // Apply a decoded hash state
+  const restore = useCallback(
+    async (state) => {
+      const { availableNetworks, defaultNetworkId, currentNetworkId } =
+        latestRef.current;
+      const token = (restoringRef.current = restoringRef.current + 1);
+
+      // Panes of slots that change start afresh, so their zoom waits for
+      // them like that of a new network
+      const previousLayout = getLayout();
+      const restarted =
+        state.layout && restoreLayout(state.layout)
+          ? changedSlots(previousLayout, state.layout)
+          : new Set();
+
+      const requested = availableNetworks.find(
+        (n) => n.id === state.networkId
+      );
+      // Unknown networks (e.g. an import from another session) fall back
+      // to the default, without the selection and zoom meant for them
+      const entry =
+        requested ||
+        (currentNetworkId
+          ? null
+          : availableNetworks.find((n) => n.id === defaultNetworkId));
+
+      if (entry && entry.id !== currentNetworkId) {
+        setSelection([], []);
+        // The panes reset their zoom when the new data arrives, so the
+        // restored zoom waits until they have rendered it
+        if (requested) {
+          state.zoom.forEach((transform, viewId) =>
+            view.applyZoom(viewId, transform, { deferred: true })
+          );
+        }
+        const loaded = await loadNetwork(entry.id);
+        if (restoringRef.current !== token) return; // superseded
+        if (!loaded) {
+          restoringRef.current = 0;
+          return;
+        }
+      } else if (requested) {
+        state.zoom.forEach((transform, viewId) =>
+          view.applyZoom(viewId, transform, { deferred: restarted.has(viewId) })
+        );
+      }
+
+      if (requested) {
+        setSelection(state.selectedNodes, state.selectedEdges);
+      }
+      // Links made before layouts were stored only hold pane sizes
+      if (!state.layout && state.paneSizes) view.applyPaneSizes(state.paneSizes);
+
+      restoringRef.current = 0;
+      replaceNextRef.current = true;
+      scheduleWrite();
+    },
+    [loadNetwork, setSelection, view, getLayout, restoreLayout, scheduleWrite]
+  );
+
+  // Decode the hash, keeping the selection within the network's items
+  const readHash = useCallback(() => {
+    const { availableNetworks } = latestRef.current;
+    return decodeUrlState(window.location.hash, (networkId) => {
+      const entry = availableNetworks.find((n) => n.id === networkId);
+      return entry ? { nodes: entry.nodes, edges: entry.edges } : null;
+    });
+  }, []);
+
+  // Initial restore, once the catalog is known
+  useEffect(() => {
+    if (initializedRef.current || !defaultNetworkId) return;
+    initializedRef.current = true;
+    restore(readHash());
+  }, [defaultNetworkId, restore, readHash]);
+
+  // Back/forward (and hand-edited hashes)
+  useEffect(() => {
+    const handlePopState = () => {
+      clearTimeout(timerRef.current);
+      restore(readHash());
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [restore, readHash]);
+
+  // Write on network/selection changes, on view (pane/zoom) changes and
+  // on layout changes
+  useEffect(() => {
+    scheduleWrite();
+  }, [currentNetworkId, isLoading, selectedNodes, selectedEdges, scheduleWrite]);
+
+  useEffect(() => view.subscribe(scheduleWrite), [view, scheduleWrite]);
+  useEffect(() => subscribeLayout(scheduleWrite), [subscribeLayout, scheduleWrite]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+}
+
+export default useUrlState;
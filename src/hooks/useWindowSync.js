@@ -0,0 +1,138 @@
+import { useRef, useEffect } from "react";
+import { useNetwork } from "../contexts/NetworkContext";
+import { useSelection } from "../contexts/SelectionContext";
+import { postWindowMessage, onWindowMessage, isDetachedWindow } from "../utils/windowSync";
+
+// Shared state of a selection message, to tell changes from echoes
+function selectionKey({ hoveredNodes, hoveredEdges, selectedNodes, selectedEdges }) {
+  return JSON.stringify([hoveredNodes, hoveredEdges, selectedNodes, selectedEdges]);
+}
+
+/**
+ * useWindowSync - Keep the windows of the app in sync (see utils/windowSync)
+ *
+ * Hover and selection changes are sent to the other windows of the same
+ * main window, and theirs applied here; applied changes are not sent
+ * back. The main window also sends the network it opens, which its
+ * detached panes follow (they have no network picker). A detached pane
+ * announces itself when it opens, and the main window answers with its
+ * network and selection, so the pane starts where the main window is.
+ *
+ * Imported and generated networks travel with their graph (as in
+ * sessions); bundled ones are loaded by id.
+ * Must be used once per window, below the Network and Selection providers.
+ */
+export function useWindowSync() {
+  const {
+    availableNetworks,
+    currentNetworkId,
+    networkData,
+    isLoading,
+    getNetworkSnapshot,
+    restoreNetworkSnapshot,
+  } = useNetwork();
+  const { hoveredNodes, hoveredEdges, selectedNodes, selectedEdges, setSelection, hoverNodes, hoverEdges } =
+    useSelection();
+
+  // Last selection known to every window, and last network received
+  const sharedSelectionRef = useRef(selectionKey({
+    hoveredNodes: [],
+    hoveredEdges: [],
+    selectedNodes: [],
+    selectedEdges: [],
+  }));
+  const remoteNetworkRef = useRef(null);
+  // Network received before the catalog was loaded here
+  const pendingSnapshotRef = useRef(null);
+
+  const selection = {
+    hoveredNodes: Array.from(hoveredNodes),
+    hoveredEdges: Array.from(hoveredEdges),
+    selectedNodes: Array.from(selectedNodes),
+    selectedEdges: Array.from(selectedEdges),
+  };
+
+  // Latest values, for the message handlers
+  const latestRef = useRef(null);
+  latestRef.current = {
+    catalogLoaded: availableNetworks.length > 0,
+    currentNetworkId,
+    isLoading,
+    getNetworkSnapshot,
+    restoreNetworkSnapshot,
+    selection,
+    setSelection,
+    hoverNodes,
+    hoverEdges,
+  };
+
+  // Send local hover and selection changes
+  useEffect(() => {
+    const { selection } = latestRef.current;
+    const key = selectionKey(selection);
+    if (key === sharedSelectionRef.current) return;
+    sharedSelectionRef.current = key;
+    postWindowMessage({ type: "selection", ...selection });
+  }, [hoveredNodes, hoveredEdges, selectedNodes, selectedEdges]);
+
+  // Send the network once it is open in the main window
+  useEffect(() => {
+    const { currentNetworkId, isLoading, getNetworkSnapshot } = latestRef.current;
+    if (isDetachedWindow || !networkData || isLoading || currentNetworkId === remoteNetworkRef.current) return;
+    remoteNetworkRef.current = null;
+    const snapshot = getNetworkSnapshot();
+    if (snapshot) postWindowMessage({ type: "network", snapshot });
+  }, [networkData]);
+
+  // Open a network received from another window
+  const openSnapshot = (snapshot) => {
+    const { catalogLoaded, currentNetworkId, restoreNetworkSnapshot } = latestRef.current;
+    if (!snapshot?.network || snapshot.network.id === currentNetworkId) return;
+    if (!catalogLoaded) {
+      pendingSnapshotRef.current = snapshot;
+      return;
+    }
+    pendingSnapshotRef.current = null;
+    remoteNetworkRef.current = snapshot.network.id;
+    restoreNetworkSnapshot(snapshot);
+  };
+
+  useEffect(() => {
+    if (availableNetworks.length > 0 && pendingSnapshotRef.current) {
+      openSnapshot(pendingSnapshotRef.current);
+    }
+  }, [availableNetworks]);
+
+  // Apply the other windows' changes, and greet them
+  useEffect(() => {
+    const unsubscribeSelection = onWindowMessage("selection", (message) => {
+      const { setSelection, hoverNodes, hoverEdges } = latestRef.current;
+      sharedSelectionRef.current = selectionKey(message);
+      setSelection(message.selectedNodes, message.selectedEdges);
+      hoverNodes(message.hoveredNodes);
+      hoverEdges(message.hoveredEdges);
+    });
+
+    const unsubscribeNetwork = isDetachedWindow
+      ? onWindowMessage("network", ({ snapshot }) => openSnapshot(snapshot))
+      : () => {};
+
+    const unsubscribeHello = onWindowMessage("hello", () => {
+      if (isDetachedWindow) return;
+      const { currentNetworkId, isLoading, getNetworkSnapshot, selection } = latestRef.current;
+      if (currentNetworkId && !isLoading) {
+        const snapshot = getNetworkSnapshot();
+        if (snapshot) postWindowMessage({ type: "network", snapshot });
+      }
+      postWindowMessage({ type: "selection", ...selection });
+    });
+
+    if (isDetachedWindow) postWindowMessage({ type: "hello" });
+
+    return () => {
+      unsubscribeSelection();
+      unsubscribeNetwork();
+      unsubscribeHello();
+    };
+  }, []);
+}
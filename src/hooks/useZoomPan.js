@@ -1,11 +1,13 @@
 import { useRef, useEffect, useState, useCallback, useMemo } from "react";
 import * as d3 from "d3";
+import { useOptionalView } from "../contexts/ViewContext";
 
 const DEFAULT_OPTIONS = {
   scaleExtent: [0.1, 4], // Min/max zoom
   translateExtent: null, // Optional bounds [[x0,y0], [x1,y1]]
   zoomStep: 0.25, // Multiplier per zoom in/out click
   transitionDuration: 200, // Animation duration in ms
+  viewId: null, // Report/restore the transform through ViewContext under this id
 };
 
 /**
@@ -14,6 +16,10 @@ const DEFAULT_OPTIONS = {
  * @param {React.RefObject} svgRef - Reference to the SVG element
  * @param {Object} options - Configuration options
  * @returns {Object} Zoom controls and state
+ *
+ * With a `viewId` (and a ViewProvider above), the transform is reported to
+ * ViewContext on every zoom event and can be set from it, e.g. when a
+ * view is restored from the URL.
  */
 export function useZoomPan(svgRef, options = {}) {
   const config = useMemo(
@@ -31,6 +37,11 @@ export function useZoomPan(svgRef, options = {}) {
   const zoomBehaviorRef = useRef(null);
   const filterFnRef = useRef(null);
 
+  const view = useOptionalView();
+  const viewId = options.viewId ?? null;
+  const viewRef = useRef(null);
+  viewRef.current = view && viewId ? { view, viewId } : null;
+
   // Initialize zoom behavior
   useEffect(() => {
     const zoom = d3
@@ -38,6 +49,7 @@ export function useZoomPan(svgRef, options = {}) {
       .scaleExtent(config.scaleExtent)
       .on("zoom", (event) => {
         setTransform(event.transform);
+        viewRef.current?.view.reportZoom(viewRef.current.viewId, event.transform);
       });
 
     if (config.translateExtent) {
@@ -59,11 +71,39 @@ export function useZoomPan(svgRef, options = {}) {
     const svg = d3.select(svgRef.current);
     svg.call(zoomBehaviorRef.current);
 
+    // A fresh SVG starts at its own transform, or at one restored for it
+    const pending = viewRef.current?.view.takePendingZoom(viewRef.current.viewId);
+    if (pending) {
+      svg.call(
+        zoomBehaviorRef.current.transform,
+        d3.zoomIdentity.translate(pending.x, pending.y).scale(pending.k)
+      );
+    } else {
+      const current = d3.zoomTransform(svgRef.current);
+      setTransform(current);
+      viewRef.current?.view.reportZoom(viewRef.current.viewId, current);
+    }
+
     return () => {
+      svg.interrupt(); // Stop transitions that would report stale transforms
       svg.on(".zoom", null); // Cleanup
     };
   }, [svgRef.current, zoomBehaviorRef.current]);
 
+  // Let ViewContext set the transform of this view
+  useEffect(() => {
+    if (!view || !viewId) return;
+    return view.registerZoomTarget(viewId, ({ k, x, y }) => {
+      if (!svgRef.current || !zoomBehaviorRef.current) return;
+      d3.select(svgRef.current)
+        .interrupt()
+        .call(
+          zoomBehaviorRef.current.transform,
+          d3.zoomIdentity.translate(x, y).scale(k)
+        );
+    });
+  }, [view, viewId]);
+
   // Set a filter function for the zoom behavior
   const setFilter = useCallback((filterFn) => {
     filterFnRef.current = filterFn;
@@ -0,0 +1,152 @@
+/**
+ * attributes - Node and edge attributes, and their schema
+ *
+ * Besides their structural fields, nodelink nodes and edges may carry
+ * any other fields, e.g.
+ *
+ *   { "node_idx": 11, "degree": 36, "label": "Valjean", "group": 2 }
+ *   { "edge_idx": 0, "source": 0, "target": 1, "weight": 3, "kind": "family" }
+ *
+ * Those fields are the network's attributes. They are read into columns
+ * (one array per attribute, indexed by node_idx / edge_idx, null where a
+ * record lacks the field); network.bin stores the same columns in its
+ * header (see utils/packedGraph).
+ *
+ * The schema describes each attribute for coloring, filtering and
+ * tooltips:
+ *
+ *   { name, type, count, distinct, values, min, max }
+ *
+ * - type: 'number', 'boolean', 'category' (values repeat, with at most
+ *   MAX_CATEGORIES distinct ones) or 'text' (e.g. names)
+ * - count: records that have the attribute; distinct: distinct values
+ * - values: the sorted distinct values when there are at most
+ *   MAX_CATEGORIES of them (also for numbers, e.g. group ids), else null
+ * - min / max: range of numbers, null for other types
+ */
+
+// Structural fields, which are not attributes
+export const RESERVED_KEYS = {
+  nodes: ['node_idx', 'degree'],
+  edges: ['edge_idx', 'source', 'target'],
+}
+
+// Most distinct values an attribute can have to count as categorical
+export const MAX_CATEGORIES = 20
+
+// Attributes used as node labels, in order of preference
+const LABEL_KEYS = ['label', 'name', 'title', 'id']
+
+const EMPTY = { nodes: {}, edges: {} }
+
+const attributesCache = new WeakMap()
+
+/**
+ * Read the attributes of a list of records into columns.
+ *
+ * @param {Object[]} records - Nodes or edges, in index order
+ * @param {string[]} reserved - Structural keys to leave out
+ * @returns {Object} - { [name]: column }
+ */
+export function extractColumns(records, reserved) {
+  const columns = {}
+  records.forEach((record, i) => {
+    Object.entries(record).forEach(([key, value]) => {
+      if (reserved.includes(key) || value === null || value === undefined) return
+      // Nested values (objects, arrays) are kept as JSON text
+      if (typeof value === 'object') value = JSON.stringify(value)
+      if (!columns[key]) columns[key] = new Array(records.length).fill(null)
+      columns[key][i] = value
+    })
+  })
+  return columns
+}
+
+/**
+ * Shared, read-only attribute columns of a network (nodelink JSON or
+ * packed): { nodes: { [name]: column }, edges: { [name]: column } }.
+ */
+export function getAttributes(nodeLink) {
+  if (nodeLink.packed) return nodeLink.packed.attributes || EMPTY
+  if (!attributesCache.has(nodeLink)) {
+    attributesCache.set(nodeLink, {
+      nodes: extractColumns(nodeLink.nodes, RESERVED_KEYS.nodes),
+      edges: extractColumns(nodeLink.edges, RESERVED_KEYS.edges),
+    })
+  }
+  return attributesCache.get(nodeLink)
+}
+
+const compareValues = (a, b) =>
+  typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b))
+
+/**
+ * Describe one attribute column (see module doc).
+ */
+export function describeAttribute(name, column) {
+  const distinct = new Set()
+  let count = 0
+  let numbers = 0
+  let booleans = 0
+  let min = Infinity
+  let max = -Infinity
+
+  column.forEach(value => {
+    if (value === null) return
+    count++
+    distinct.add(value)
+    if (typeof value === 'number') {
+      numbers++
+      if (value < min) min = value
+      if (value > max) max = value
+    } else if (typeof value === 'boolean') {
+      booleans++
+    }
+  })
+
+  let type = 'text'
+  if (count > 0 && numbers === count) type = 'number'
+  else if (count > 0 && booleans === count) type = 'boolean'
+  else if (distinct.size <= MAX_CATEGORIES && distinct.size < count) type = 'category'
+
+  return {
+    name,
+    type,
+    count,
+    distinct: distinct.size,
+    values: distinct.size <= MAX_CATEGORIES ? Array.from(distinct).sort(compareValues) : null,
+    min: type === 'number' ? min : null,
+    max: type === 'number' ? max : null,
+  }
+}
+
+/**
+ * Schema of a network's attributes: { nodes: [...], edges: [...] }, each
+ * sorted by name (see module doc).
+ */
+export function buildAttributeSchema(attributes) {
+  const describe = (columns) => Object.keys(columns)
+    .sort()
+    .map(name => describeAttribute(name, columns[name]))
+  return { nodes: describe(attributes.nodes), edges: describe(attributes.edges) }
+}
+
+/**
+ * Name of the node attribute to label nodes with, or null.
+ */
+export function labelAttribute(schema) {
+  const byName = new Map(schema.nodes.map(a => [a.name.toLowerCase(), a]))
+  const key = LABEL_KEYS.find(k => byName.has(k))
+  return key ? byName.get(key).name : null
+}
+
+/**
+ * Node labels of a network: an array of strings by node_idx, or null
+ * when no attribute serves as a label. Nodes without one are labelled
+ * by their index.
+ */
+export function nodeLabels(attributes, schema) {
+  const name = labelAttribute(schema)
+  if (!name) return null
+  return attributes.nodes[name].map((value, i) => value === null ? `Node ${i}` : String(value))
+}
@@ -0,0 +1,112 @@
+/**
+ * catalog - Dataset manifest helpers
+ *
+ * The bundled datasets are described by /data/index.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "default": "karate-club",
+ *     "datasets": [{
+ *       "id": "karate-club",          // folder under /data/
+ *       "name": "Karate Club",
+ *       "description": "...",
+ *       "source": "...",
+ *       "citation": "...",
+ *       "license": null,
+ *       "tags": ["social"],
+ *       "directed": false,
+ *       "nodes": 34,
+ *       "edges": 78,
+ *       "files": ["nodelink", "hopcensus", "ksnakes"]
+ *     }]
+ *   }
+ *
+ * Adding a dataset means adding its folder and a manifest entry. A
+ * dataset may also provide its graph as network.bin ("packed", see
+ * utils/packedGraph), which is loaded instead of nodelink.json.
+ */
+
+export const CATALOG_URL = '/data/index.json'
+
+// Data files a dataset folder may provide, by manifest key
+export const DATA_FILES = {
+  packed: 'network.bin',
+  nodelink: 'nodelink.json',
+  hopcensus: 'hopcensus.json',
+  ksnakes: 'ksnakes.json',
+}
+
+// Group label for networks without tags
+const UNTAGGED = 'other'
+
+/**
+ * Validate and fill in defaults for a parsed manifest.
+ *
+ * @param {Object} manifest - Parsed index.json
+ * @returns {Object} - { networks, defaultId }
+ */
+export function normalizeCatalog(manifest) {
+  if (!manifest || !Array.isArray(manifest.datasets)) {
+    throw new Error('Dataset manifest has no "datasets" array')
+  }
+
+  const networks = manifest.datasets.map((entry, i) => {
+    if (!entry || typeof entry.id !== 'string' || !entry.id) {
+      throw new Error(`Dataset manifest entry ${i} has no id`)
+    }
+    return {
+      id: entry.id,
+      name: entry.name || entry.id,
+      description: entry.description || '',
+      source: entry.source || null,
+      citation: entry.citation || null,
+      license: entry.license || null,
+      tags: Array.isArray(entry.tags) && entry.tags.length > 0 ? entry.tags : [UNTAGGED],
+      directed: Boolean(entry.directed),
+      nodes: entry.nodes ?? null,
+      edges: entry.edges ?? null,
+      files: Array.isArray(entry.files) ? entry.files : ['nodelink'],
+    }
+  })
+
+  const defaultId = networks.some(n => n.id === manifest.default)
+    ? manifest.default
+    : networks[0]?.id ?? null
+
+  return { networks, defaultId }
+}
+
+/**
+ * Whether a network matches a free-text search query (name, id,
+ * description, source and tags; all words must match).
+ */
+export function matchesQuery(network, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+  if (words.length === 0) return true
+
+  const haystack = [
+    network.name,
+    network.id,
+    network.description,
+    network.source,
+    ...(network.tags || []),
+  ].filter(Boolean).join(' ').toLowerCase()
+
+  return words.every(word => haystack.includes(word))
+}
+
+/**
+ * Group networks by their first (primary) tag, keeping manifest order
+ * within each group and the order in which groups first appear.
+ *
+ * @returns {Array} - [{ tag, networks }]
+ */
+export function groupByTag(networks) {
+  const groups = new Map()
+  networks.forEach(network => {
+    const tag = network.tags?.[0] || UNTAGGED
+    if (!groups.has(tag)) groups.set(tag, [])
+    groups.get(tag).push(network)
+  })
+  return Array.from(groups, ([tag, members]) => ({ tag, networks: members }))
+}
@@ -0,0 +1,136 @@
+/**
+ * degreeDistribution - Degree distribution summaries and tail fits
+ *
+ * Three views of the same distribution:
+ * - histogram: number of nodes of each degree
+ * - rank plot: degrees sorted from highest to lowest (rank 1 = hub)
+ * - CCDF: fraction of nodes with degree >= d, usually read on log-log
+ *   axes, where a power-law tail is a straight line
+ *
+ * Fits describe the tail d >= dmin:
+ * - power law: P(D >= d) = (d / dmin)^-(alpha - 1), alpha by maximum
+ *   likelihood (the continuous approximation of Clauset, Shalizi and
+ *   Newman 2009, with dmin - 1/2 as the lower bound) and dmin by the
+ *   smallest Kolmogorov-Smirnov distance
+ * - exponential: P(D >= d) = exp(-lambda (d - dmin)), lambda by maximum
+ *   likelihood, from the smallest positive degree
+ * Both give the model CCDF of any degree, scaled to the whole
+ * distribution (the tail's share of the nodes times the tail CCDF).
+ */
+
+export const FITS = [
+  { value: 'none', label: 'no fit' },
+  { value: 'powerlaw', label: 'power law' },
+  { value: 'exponential', label: 'exponential' }
+]
+
+// Fewest tail nodes a power-law fit may use
+const MIN_TAIL = 10
+
+/**
+ * Histogram of degrees: [{ degree, count }] for each degree present,
+ * by increasing degree.
+ */
+export function degreeHistogram(degrees) {
+  const counts = new Map()
+  degrees.forEach(d => counts.set(d, (counts.get(d) || 0) + 1))
+  return Array.from(counts, ([degree, count]) => ({ degree, count }))
+    .sort((a, b) => a.degree - b.degree)
+}
+
+/**
+ * Empirical CCDF: [{ degree, p }] with p = P(D >= degree), for each
+ * degree present, by increasing degree.
+ */
+export function degreeCCDF(degrees) {
+  const n = degrees.length
+  let remaining = n
+  return degreeHistogram(degrees).map(({ degree, count }) => {
+    const point = { degree, p: remaining / n }
+    remaining -= count
+    return point
+  })
+}
+
+// Power-law exponent of the tail d >= dmin, or null
+function powerLawAlpha(sorted, dmin) {
+  let sum = 0
+  let tail = 0
+  sorted.forEach(d => {
+    if (d >= dmin) {
+      sum += Math.log(d / (dmin - 0.5))
+      tail++
+    }
+  })
+  return tail > 0 && sum > 0 ? { alpha: 1 + tail / sum, tail } : null
+}
+
+/**
+ * Power-law fit of the degree tail.
+ *
+ * @param {ArrayLike<number>} degrees
+ * @returns {Object|null} - { type: 'powerlaw', alpha, dmin, tail, ks,
+ *   ccdf(d) } or null when there are too few positive degrees
+ */
+export function fitPowerLaw(degrees) {
+  const sorted = Array.from(degrees).filter(d => d > 0).sort((a, b) => a - b)
+  const n = degrees.length
+  const candidates = Array.from(new Set(sorted))
+  let best = null
+
+  candidates.forEach(dmin => {
+    const fit = powerLawAlpha(sorted, dmin)
+    if (!fit || fit.tail < MIN_TAIL) return
+    // KS distance between the tail's empirical and model CCDFs
+    const start = sorted.findIndex(d => d >= dmin)
+    let ks = 0
+    for (let i = start; i < sorted.length; i++) {
+      if (i > start && sorted[i] === sorted[i - 1]) continue
+      const empirical = (sorted.length - i) / fit.tail
+      const model = Math.pow(sorted[i] / dmin, 1 - fit.alpha)
+      ks = Math.max(ks, Math.abs(empirical - model))
+    }
+    if (!best || ks < best.ks) best = { alpha: fit.alpha, dmin, tail: fit.tail, ks }
+  })
+  if (!best) return null
+
+  const share = best.tail / n
+  return {
+    type: 'powerlaw',
+    ...best,
+    ccdf: (d) => d < best.dmin ? null : share * Math.pow(d / best.dmin, 1 - best.alpha)
+  }
+}
+
+/**
+ * Exponential fit of the positive degrees.
+ *
+ * @param {ArrayLike<number>} degrees
+ * @returns {Object|null} - { type: 'exponential', lambda, dmin, tail,
+ *   ccdf(d) } or null without positive degrees
+ */
+export function fitExponential(degrees) {
+  const positive = Array.from(degrees).filter(d => d > 0)
+  if (positive.length === 0) return null
+  const dmin = Math.min(...positive)
+  const excess = positive.reduce((sum, d) => sum + d - dmin, 0) / positive.length
+  if (excess === 0) return null
+  const lambda = 1 / excess
+  const share = positive.length / degrees.length
+  return {
+    type: 'exponential',
+    lambda,
+    dmin,
+    tail: positive.length,
+    ccdf: (d) => d < dmin ? null : share * Math.exp(-lambda * (d - dmin))
+  }
+}
+
+/**
+ * Fit of the given type (see FITS), or null.
+ */
+export function fitDegrees(degrees, type) {
+  if (type === 'powerlaw') return fitPowerLaw(degrees)
+  if (type === 'exponential') return fitExponential(degrees)
+  return null
+}
@@ -0,0 +1,356 @@
+import * as d3 from 'd3'
+import { toNodeLink } from './graphParsers'
+
+/**
+ * generators - Deterministic synthetic graph families
+ *
+ * Every family declares its parameters (for the generator dialog) and a
+ * generate(params, random) function returning the intermediate graph of
+ * utils/graphParsers, which toNodeLink() turns into nodelink data. Random
+ * families draw only from `random`, a PRNG seeded by the user, so the
+ * same family, parameters and seed always produce the same graph.
+ *
+ * Node ids are 0..n-1 in generation order, so node_idx == id. Families
+ * with a natural node structure record it as attributes (grid row and
+ * column, tree depth, block).
+ */
+
+// Upper bounds on generated graphs, to keep the SVG panes usable
+export const MAX_NODES = 20000
+export const MAX_EDGES = 100000
+
+/**
+ * mulberry32 - Small, fast 32-bit seeded PRNG
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} - () => float in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const randomInt = (random, n) => Math.floor(random() * n)
+
+// Intermediate graph from a node count and an edge list of [u, v] pairs;
+// `attributes` optionally maps a node id to its attributes
+function graph(n, pairs, attributes = null) {
+  if (pairs.length > MAX_EDGES) {
+    throw new Error(`Too many edges (${pairs.length}, at most ${MAX_EDGES})`)
+  }
+  return {
+    directed: false,
+    nodes: Array.from({ length: n }, (_, i) => ({ id: i, attributes: attributes?.(i) })),
+    edges: pairs.map(([source, target]) => ({ source, target })),
+  }
+}
+
+function grid({ width, height, torus }) {
+  const pairs = []
+  const id = (r, c) => r * width + c
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
+      if (c + 1 < width) pairs.push([id(r, c), id(r, c + 1)])
+      else if (torus && width > 2) pairs.push([id(r, c), id(r, 0)])
+      if (r + 1 < height) pairs.push([id(r, c), id(r + 1, c)])
+      else if (torus && height > 2) pairs.push([id(r, c), id(0, c)])
+    }
+  }
+  return graph(width * height, pairs, i => ({ row: Math.floor(i / width), col: i % width }))
+}
+
+function karyTree({ branching, depth }) {
+  let n = 1
+  for (let level = 1, width = 1; level <= depth; level++) {
+    width *= branching
+    n += width
+  }
+  if (n > MAX_NODES) throw new Error(`Too many nodes (${n}, at most ${MAX_NODES})`)
+  const pairs = []
+  const depthOf = new Int32Array(n)
+  for (let i = 1; i < n; i++) {
+    const parent = Math.floor((i - 1) / branching)
+    depthOf[i] = depthOf[parent] + 1
+    pairs.push([parent, i])
+  }
+  return graph(n, pairs, i => ({ depth: depthOf[i] }))
+}
+
+// Binomial tree B_k: node i hangs off i with its lowest set bit cleared
+function binomialTree({ order }) {
+  const n = 2 ** order
+  const pairs = []
+  for (let i = 1; i < n; i++) pairs.push([i & (i - 1), i])
+  // Each hop towards the root clears one bit
+  const depth = (i) => i.toString(2).replace(/0/g, '').length
+  return graph(n, pairs, i => ({ depth: depth(i) }))
+}
+
+// Golden-angle spiral, Delaunay-triangulated
+function sunflower({ n }) {
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5))
+  const points = Array.from({ length: n }, (_, i) => {
+    const r = Math.sqrt(i + 0.5)
+    const theta = i * goldenAngle
+    return [r * Math.cos(theta), r * Math.sin(theta)]
+  })
+
+  const { triangles } = d3.Delaunay.from(points)
+  const pairs = []
+  for (let t = 0; t < triangles.length; t += 3) {
+    const [a, b, c] = [triangles[t], triangles[t + 1], triangles[t + 2]]
+    pairs.push([a, b], [b, c], [c, a])
+  }
+  return graph(n, pairs)
+}
+
+// G(n, p) by geometric skipping (Batagelj & Brandes, 2005): O(n + m)
+function erdosRenyi({ n, p }, random) {
+  const pairs = []
+  if (p >= 1) return complete({ n })
+  if (p > 0) {
+    const logQ = Math.log(1 - p)
+    let v = 1
+    let w = -1
+    while (v < n) {
+      w += 1 + Math.floor(Math.log(1 - random()) / logQ)
+      while (w >= v && v < n) {
+        w -= v
+        v++
+      }
+      if (v < n) pairs.push([v, w])
+      if (pairs.length > MAX_EDGES) break
+    }
+  }
+  return graph(n, pairs)
+}
+
+// Preferential attachment: each new node links to m distinct existing
+// nodes, chosen proportionally to degree
+function barabasiAlbert({ n, m }, random) {
+  const pairs = []
+  const repeated = []
+  let targets = Array.from({ length: m }, (_, i) => i)
+
+  for (let source = m; source < n; source++) {
+    targets.forEach(target => {
+      pairs.push([source, target])
+      repeated.push(target, source)
+    })
+
+    const chosen = new Set()
+    while (chosen.size < m) chosen.add(repeated[randomInt(random, repeated.length)])
+    targets = Array.from(chosen)
+  }
+  return graph(n, pairs)
+}
+
+// Ring lattice of n nodes with k nearest neighbors, each edge rewired
+// with probability beta
+function wattsStrogatz({ n, k, beta }, random) {
+  const half = Math.min(Math.floor(k / 2), Math.floor((n - 1) / 2))
+  const neighbors = Array.from({ length: n }, () => new Set())
+  const link = (u, v) => {
+    neighbors[u].add(v)
+    neighbors[v].add(u)
+  }
+  for (let u = 0; u < n; u++) {
+    for (let j = 1; j <= half; j++) link(u, (u + j) % n)
+  }
+
+  for (let j = 1; j <= half; j++) {
+    for (let u = 0; u < n; u++) {
+      const v = (u + j) % n
+      if (random() >= beta || !neighbors[u].has(v)) continue
+      // Skip nodes that are already linked to everything
+      if (neighbors[u].size >= n - 1) continue
+      let w
+      do {
+        w = randomInt(random, n)
+      } while (w === u || neighbors[u].has(w))
+      neighbors[u].delete(v)
+      neighbors[v].delete(u)
+      link(u, w)
+    }
+  }
+
+  const pairs = []
+  neighbors.forEach((set, u) => set.forEach(v => { if (u < v) pairs.push([u, v]) }))
+  return graph(n, pairs)
+}
+
+// Equal-sized blocks, linked with pIn inside and pOut across blocks
+function stochasticBlockModel({ blocks, blockSize, pIn, pOut }, random) {
+  const n = blocks * blockSize
+  const pairs = []
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) {
+      const p = Math.floor(u / blockSize) === Math.floor(v / blockSize) ? pIn : pOut
+      if (random() < p) pairs.push([u, v])
+    }
+    if (pairs.length > MAX_EDGES) break
+  }
+  return graph(n, pairs, i => ({ block: Math.floor(i / blockSize) }))
+}
+
+function path({ n }) {
+  return graph(n, Array.from({ length: n - 1 }, (_, i) => [i, i + 1]))
+}
+
+function cycle({ n }) {
+  return graph(n, Array.from({ length: n }, (_, i) => [i, (i + 1) % n]))
+}
+
+function complete({ n }) {
+  const pairs = []
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) pairs.push([u, v])
+  }
+  return graph(n, pairs)
+}
+
+const int = (key, label, min, max, value) => ({ key, label, type: 'int', min, max, step: 1, default: value })
+const float = (key, label, min, max, value, step = 0.01) => ({ key, label, type: 'float', min, max, step, default: value })
+const bool = (key, label, value) => ({ key, label, type: 'bool', default: value })
+
+/**
+ * Graph families, in the order the dialog lists them.
+ * `random: true` marks families that use the seed.
+ */
+export const GENERATORS = [
+  {
+    id: 'grid',
+    name: 'Grid / torus',
+    params: [int('width', 'Width', 1, 100, 14), int('height', 'Height', 1, 100, 14), bool('torus', 'Wrap around (torus)', false)],
+    generate: grid,
+    describe: ({ width, height, torus }) => `${width} by ${height} ${torus ? 'torus' : 'square lattice'}`,
+  },
+  {
+    id: 'kary-tree',
+    name: 'k-ary tree',
+    params: [int('branching', 'Branching', 1, 10, 2), int('depth', 'Depth', 0, 16, 6)],
+    generate: karyTree,
+    describe: ({ branching, depth }) => `Complete ${branching}-ary tree of depth ${depth}`,
+  },
+  {
+    id: 'binomial-tree',
+    name: 'Binomial tree',
+    params: [int('order', 'Order', 0, 14, 7)],
+    generate: binomialTree,
+    describe: ({ order }) => `Binomial tree of order ${order}`,
+  },
+  {
+    id: 'sunflower',
+    name: 'Sunflower (phyllotaxis)',
+    params: [int('n', 'Nodes', 3, 10000, 987)],
+    generate: sunflower,
+    describe: ({ n }) => `Triangulated golden-angle phyllotaxis of ${n} points`,
+  },
+  {
+    id: 'erdos-renyi',
+    name: 'Erdős–Rényi',
+    params: [int('n', 'Nodes', 1, 10000, 200), float('p', 'Edge probability', 0, 1, 0.02, 0.001)],
+    generate: erdosRenyi,
+    random: true,
+    describe: ({ n, p }) => `Erdős–Rényi G(n = ${n}, p = ${p})`,
+  },
+  {
+    id: 'barabasi-albert',
+    name: 'Barabási–Albert',
+    params: [int('n', 'Nodes', 2, 10000, 500), int('m', 'Edges per node', 1, 20, 2)],
+    generate: barabasiAlbert,
+    random: true,
+    describe: ({ n, m }) => `Barabási–Albert preferential attachment, n = ${n}, m = ${m}`,
+  },
+  {
+    id: 'watts-strogatz',
+    name: 'Watts–Strogatz',
+    params: [int('n', 'Nodes', 3, 10000, 200), int('k', 'Neighbors (k)', 2, 40, 4), float('beta', 'Rewiring (β)', 0, 1, 0.1)],
+    generate: wattsStrogatz,
+    random: true,
+    describe: ({ n, k, beta }) => `Watts–Strogatz small world, n = ${n}, k = ${k}, β = ${beta}`,
+  },
+  {
+    id: 'sbm',
+    name: 'Stochastic block model',
+    params: [
+      int('blocks', 'Blocks', 1, 20, 4),
+      int('blockSize', 'Block size', 1, 500, 50),
+      float('pIn', 'p inside', 0, 1, 0.2),
+      float('pOut', 'p across', 0, 1, 0.01, 0.001),
+    ],
+    generate: stochasticBlockModel,
+    random: true,
+    describe: ({ blocks, blockSize, pIn, pOut }) =>
+      `Stochastic block model, ${blocks} blocks of ${blockSize}, p_in = ${pIn}, p_out = ${pOut}`,
+  },
+  {
+    id: 'path',
+    name: 'Path',
+    params: [int('n', 'Nodes', 1, 10000, 50)],
+    generate: path,
+    describe: ({ n }) => `Path on ${n} nodes`,
+  },
+  {
+    id: 'cycle',
+    name: 'Cycle',
+    params: [int('n', 'Nodes', 3, 10000, 50)],
+    generate: cycle,
+    describe: ({ n }) => `Cycle on ${n} nodes`,
+  },
+  {
+    id: 'complete',
+    name: 'Complete',
+    params: [int('n', 'Nodes', 1, 400, 20)],
+    generate: complete,
+    describe: ({ n }) => `Complete graph on ${n} nodes`,
+  },
+]
+
+export function defaultParams(generator) {
+  return Object.fromEntries(generator.params.map(p => [p.key, p.default]))
+}
+
+// Coerce and clamp parameter values to their declared ranges
+export function normalizeParams(generator, params) {
+  return Object.fromEntries(generator.params.map(spec => {
+    const raw = params[spec.key] ?? spec.default
+    if (spec.type === 'bool') return [spec.key, Boolean(raw)]
+    let value = Number(raw)
+    if (!Number.isFinite(value)) value = spec.default
+    if (spec.type === 'int') value = Math.round(value)
+    return [spec.key, Math.min(spec.max, Math.max(spec.min, value))]
+  }))
+}
+
+/**
+ * Generate a graph as nodelink data.
+ *
+ * @param {string} generatorId - Family id (see GENERATORS)
+ * @param {Object} params - Parameter values (clamped to their ranges)
+ * @param {number} seed - PRNG seed (ignored by deterministic families)
+ * @returns {Object} - { nodeLink, name, description }
+ */
+export function generateGraph(generatorId, params, seed) {
+  const generator = GENERATORS.find(g => g.id === generatorId)
+  if (!generator) throw new Error(`Unknown graph family "${generatorId}"`)
+
+  const values = normalizeParams(generator, params)
+  const random = createRandom(seed)
+  const description = generator.describe(values) + (generator.random ? ` (seed ${seed})` : '')
+
+  const paramText = generator.params
+    .map(spec => spec.type === 'bool' ? (values[spec.key] ? spec.key : null) : values[spec.key])
+    .filter(v => v !== null)
+    .join('-')
+  const name = `${generator.id}-${paramText}${generator.random ? `-s${seed}` : ''}`
+
+  const nodeLink = toNodeLink(generator.generate(values, random), name)
+  return { nodeLink, name, description }
+}
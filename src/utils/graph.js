@@ -0,0 +1,295 @@
+/**
+ * graph - Shared graph data structures for in-browser computations
+ *
+ * Algorithms (hop census, core decomposition, ...) work on a compact CSR
+ * (compressed sparse row) adjacency instead of the nodelink object
+ * arrays, so they can run over large graphs and be posted to workers
+ * cheaply.
+ *
+ * Networks come either as nodelink JSON ({ nodes, edges }) or packed
+ * ({ packed }, see utils/packedGraph); the accessors below work on both.
+ *
+ * Directed networks (metadata.directed) store each arc as an edge from
+ * source to target; algorithms then pick a direction:
+ * - out: follow arcs from source to target
+ * - in: follow arcs backwards
+ * - total: ignore direction (the undirected view, and the only one for
+ *   undirected networks)
+ * Weighted networks carry a positive `weight` per edge (1 where absent).
+ * Distance-based algorithms read it as the edge's length.
+ */
+
+export const DIRECTIONS = ['out', 'in', 'total']
+
+// Edge arrays and adjacency of JSON networks, built once per nodelink
+// object and shared by every caller (packed networks carry their own)
+const edgeArraysCache = new WeakMap()
+const adjacencyCache = new WeakMap()
+
+export function nodeCount(nodeLink) {
+  return nodeLink.packed ? nodeLink.packed.nodeCount : nodeLink.nodes.length
+}
+
+export function edgeCount(nodeLink) {
+  return nodeLink.packed ? nodeLink.packed.edgeCount : nodeLink.edges.length
+}
+
+export function isDirected(nodeLink) {
+  return Boolean(nodeLink.packed ? nodeLink.packed.directed : nodeLink.metadata?.directed)
+}
+
+export function isWeighted(nodeLink) {
+  return getEdgeArrays(nodeLink).weights !== null
+}
+
+/**
+ * Shared, read-only edge arrays of a network (nodelink JSON or packed,
+ * see utils/packedGraph): { nodeCount, sources, targets, weights },
+ * indexed by edge_idx. weights is null for unweighted networks. Use
+ * toEdgeArrays() for arrays that may be modified or transferred.
+ */
+export function getEdgeArrays(nodeLink) {
+  if (nodeLink.packed) {
+    const { nodeCount, sources, targets, weights } = nodeLink.packed
+    return { nodeCount, sources, targets, weights: weights || null }
+  }
+  if (!edgeArraysCache.has(nodeLink)) {
+    const count = nodeLink.edges.length
+    const sources = new Int32Array(count)
+    const targets = new Int32Array(count)
+    const weighted = nodeLink.edges.some(edge => edge.weight !== undefined)
+    const weights = weighted ? new Float64Array(count) : null
+
+    nodeLink.edges.forEach((edge, i) => {
+      // forceLink replaces source/target with node objects in cloned data
+      sources[i] = typeof edge.source === 'object' ? edge.source.node_idx : edge.source
+      targets[i] = typeof edge.target === 'object' ? edge.target.node_idx : edge.target
+      if (weights) weights[i] = edge.weight ?? 1
+    })
+
+    edgeArraysCache.set(nodeLink, { nodeCount: nodeLink.nodes.length, sources, targets, weights })
+  }
+  return edgeArraysCache.get(nodeLink)
+}
+
+/**
+ * Extract the minimal edge description of a network: node count plus
+ * parallel source/target index (and weight) arrays. This is what gets
+ * posted to workers (typed arrays clone quickly); the arrays are fresh
+ * copies, so they can be transferred.
+ */
+export function toEdgeArrays(nodeLink) {
+  const { nodeCount, sources, targets, weights } = getEdgeArrays(nodeLink)
+  return {
+    nodeCount,
+    sources: Int32Array.from(sources),
+    targets: Int32Array.from(targets),
+    weights: weights ? Float64Array.from(weights) : null
+  }
+}
+
+/**
+ * Shared, read-only CSR adjacency of a network (see buildAdjacency).
+ * Weighted networks get per-neighbor weights.
+ *
+ * @param {Object} nodeLink - Nodelink JSON or packed network
+ * @param {string} direction - One of DIRECTIONS; undirected networks
+ *   always get the total adjacency
+ */
+export function getAdjacency(nodeLink, direction = 'total') {
+  if (!isDirected(nodeLink)) direction = 'total'
+
+  // network.bin stores the total adjacency of unweighted networks
+  if (nodeLink.packed && direction === 'total' && !nodeLink.packed.weights) {
+    const { nodeCount, offsets, neighbors, degree } = nodeLink.packed
+    return { nodeCount, direction, offsets, neighbors, degree, weights: null, strength: null }
+  }
+
+  if (!adjacencyCache.has(nodeLink)) adjacencyCache.set(nodeLink, {})
+  const byDirection = adjacencyCache.get(nodeLink)
+  if (!byDirection[direction]) {
+    const { nodeCount, sources, targets, weights } = getEdgeArrays(nodeLink)
+    byDirection[direction] = buildAdjacency(nodeCount, sources, targets, { direction, weights })
+  }
+  return byDirection[direction]
+}
+
+/**
+ * Build a CSR adjacency.
+ *
+ * @param {number} nodeCount - Number of nodes (node_idx 0..nodeCount-1)
+ * @param {Int32Array} sources - Edge source indices
+ * @param {Int32Array} targets - Edge target indices
+ * @param {Object} options - { direction: one of DIRECTIONS (default
+ *   'total'), weights: per-edge weights, or null }
+ * @returns {Object} - { nodeCount, direction, offsets, neighbors, degree, weights, strength }
+ *   neighbors of node u are neighbors[offsets[u] .. offsets[u + 1]), in
+ *   edge order; weights (parallel to neighbors) and strength (sum of
+ *   weights per node) are null without edge weights
+ */
+export function buildAdjacency(nodeCount, sources, targets, { direction = 'total', weights = null } = {}) {
+  const forward = direction !== 'in'
+  const backward = direction !== 'out'
+
+  const degree = new Int32Array(nodeCount)
+  for (let i = 0; i < sources.length; i++) {
+    if (forward) degree[sources[i]]++
+    if (backward) degree[targets[i]]++
+  }
+
+  const offsets = new Int32Array(nodeCount + 1)
+  for (let u = 0; u < nodeCount; u++) {
+    offsets[u + 1] = offsets[u] + degree[u]
+  }
+
+  const neighbors = new Int32Array(offsets[nodeCount])
+  const neighborWeights = weights ? new Float64Array(offsets[nodeCount]) : null
+  const strength = weights ? new Float64Array(nodeCount) : null
+  const cursor = offsets.slice(0, nodeCount)
+  const add = (u, w, i) => {
+    if (neighborWeights) {
+      neighborWeights[cursor[u]] = weights[i]
+      strength[u] += weights[i]
+    }
+    neighbors[cursor[u]++] = w
+  }
+  for (let i = 0; i < sources.length; i++) {
+    if (forward) add(sources[i], targets[i], i)
+    if (backward) add(targets[i], sources[i], i)
+  }
+
+  return { nodeCount, direction, offsets, neighbors, degree, weights: neighborWeights, strength }
+}
+
+/**
+ * Breadth-first search from a single source.
+ *
+ * Writes hop distances into `dist` (-1 for unreachable nodes) and the
+ * visit order into `queue`; both are caller-provided so repeated runs
+ * (one per node) don't allocate.
+ *
+ * @returns {number} - Number of nodes reached (length of the visit order)
+ */
+export function bfs(adjacency, source, dist, queue) {
+  const { offsets, neighbors } = adjacency
+  dist.fill(-1)
+  dist[source] = 0
+  queue[0] = source
+
+  let head = 0
+  let tail = 1
+  while (head < tail) {
+    const u = queue[head++]
+    const next = dist[u] + 1
+    for (let i = offsets[u]; i < offsets[u + 1]; i++) {
+      const w = neighbors[i]
+      if (dist[w] === -1) {
+        dist[w] = next
+        queue[tail++] = w
+      }
+    }
+  }
+
+  return tail
+}
+
+/**
+ * Binary min-heap of (key, value) pairs. Decreasing a key means pushing
+ * the value again; callers skip the stale entries when they pop them.
+ */
+export class MinHeap {
+  constructor() {
+    this.keys = []
+    this.values = []
+  }
+
+  get size() {
+    return this.keys.length
+  }
+
+  // Smallest key (undefined when empty)
+  peekKey() {
+    return this.keys[0]
+  }
+
+  push(key, value) {
+    const { keys, values } = this
+    let i = keys.length
+    keys.push(key)
+    values.push(value)
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (keys[parent] <= key) break
+      keys[i] = keys[parent]
+      values[i] = values[parent]
+      i = parent
+    }
+    keys[i] = key
+    values[i] = value
+  }
+
+  // Remove and return the value with the smallest key
+  pop() {
+    const { keys, values } = this
+    const top = values[0]
+    const lastKey = keys.pop()
+    const lastValue = values.pop()
+    const size = keys.length
+    if (size > 0) {
+      let i = 0
+      for (;;) {
+        let child = 2 * i + 1
+        if (child >= size) break
+        if (child + 1 < size && keys[child + 1] < keys[child]) child++
+        if (keys[child] >= lastKey) break
+        keys[i] = keys[child]
+        values[i] = values[child]
+        i = child
+      }
+      keys[i] = lastKey
+      values[i] = lastValue
+    }
+    return top
+  }
+}
+
+/**
+ * Single-source shortest paths over edge weights (Dijkstra), the
+ * weighted counterpart of bfs().
+ *
+ * Writes path lengths into `dist` (Infinity for unreachable nodes) and
+ * the nodes in order of increasing distance into `order`.
+ *
+ * @param {Object} adjacency - CSR adjacency with weights
+ * @param {number} source - Source node_idx
+ * @param {Float64Array} dist - Scratch buffer of length nodeCount
+ * @param {Int32Array} order - Scratch buffer of length nodeCount
+ * @returns {number} - Number of nodes reached (length of the order)
+ */
+export function dijkstra(adjacency, source, dist, order) {
+  const { offsets, neighbors, weights } = adjacency
+  dist.fill(Infinity)
+  dist[source] = 0
+
+  const heap = new MinHeap()
+  heap.push(0, source)
+
+  let reached = 0
+  while (heap.size > 0) {
+    const d = heap.peekKey()
+    const u = heap.pop()
+    // Nodes are only pushed on strict improvement, so a longer entry is stale
+    if (d > dist[u]) continue
+    order[reached++] = u
+    for (let i = offsets[u]; i < offsets[u + 1]; i++) {
+      const w = neighbors[i]
+      const next = d + weights[i]
+      if (next < dist[w]) {
+        dist[w] = next
+        heap.push(next, w)
+      }
+    }
+  }
+
+  return reached
+}
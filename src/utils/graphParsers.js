@@ -0,0 +1,635 @@
+import * as d3 from 'd3'
+
+/**
+ * graphParsers - Parsers for common graph interchange formats
+ *
+ * Every parser reads the raw file text and returns an intermediate graph:
+ *   { directed,
+ *     nodes: [{ id, label?, attributes? }],
+ *     edges: [{ source, target, weight?, attributes?, line }] }
+ *
+ * where ids are the file's own (arbitrary) node identifiers. toNodeLink()
+ * then remaps those ids to the contiguous node_idx / edge_idx scheme used
+ * by the precomputed nodelink.json files, so imported graphs can be handed
+ * to every pane unchanged. Directed graphs keep their arcs' orientation
+ * (metadata.directed), edge weights are kept as `weight`, and any other
+ * node or edge data the format carries becomes attributes (see
+ * utils/attributes).
+ *
+ * Supported formats:
+ * - Edge list (.txt, .edges, .edgelist, .el, .tsv): "source target [weight]"
+ * - CSV (.csv): source,target[,weight] with optional header row
+ * - GraphML (.graphml, .xml)
+ * - GML (.gml)
+ * - Pajek (.net, .paj)
+ * - Syndesmoscope nodelink JSON (.json)
+ */
+
+export class GraphParseError extends Error {
+  constructor(message, line = null) {
+    super(line != null ? `Line ${line}: ${message}` : message)
+    this.name = 'GraphParseError'
+    this.line = line
+  }
+}
+
+export const IMPORT_FORMATS = {
+  edgelist: { name: 'Edge list', extensions: ['txt', 'edges', 'edgelist', 'el', 'tsv'] },
+  csv: { name: 'CSV', extensions: ['csv'] },
+  graphml: { name: 'GraphML', extensions: ['graphml', 'xml'] },
+  gml: { name: 'GML', extensions: ['gml'] },
+  pajek: { name: 'Pajek', extensions: ['net', 'paj'] },
+  json: { name: 'Node-link JSON', extensions: ['json'] },
+}
+
+// Comma-separated list of extensions for <input accept="...">
+export const IMPORT_ACCEPT = Object.values(IMPORT_FORMATS)
+  .flatMap(f => f.extensions.map(ext => `.${ext}`))
+  .join(',')
+
+/**
+ * Detect the import format from a file name's extension.
+ * Returns null for unknown extensions.
+ */
+export function detectFormat(fileName) {
+  const ext = fileName.split('.').pop().toLowerCase()
+  const entry = Object.entries(IMPORT_FORMATS)
+    .find(([, format]) => format.extensions.includes(ext))
+  return entry ? entry[0] : null
+}
+
+/**
+ * Parse raw file text into a nodelink object.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - Key of IMPORT_FORMATS
+ * @param {string} name - Network name stored in metadata
+ * @returns {Object} - { metadata, nodes, edges } in nodelink.json shape
+ * @throws {GraphParseError} - With the offending line number when known
+ */
+export function parseGraph(text, format, name) {
+  switch (format) {
+    case 'edgelist':
+      return toNodeLink(parseEdgeList(text), name)
+    case 'csv':
+      return toNodeLink(parseCSV(text), name)
+    case 'graphml':
+      return toNodeLink(parseGraphML(text), name)
+    case 'gml':
+      return toNodeLink(parseGML(text), name)
+    case 'pajek':
+      return toNodeLink(parsePajek(text), name)
+    case 'json':
+      return parseNodeLinkJSON(text, name)
+    default:
+      throw new GraphParseError(`Unsupported file format "${format}"`)
+  }
+}
+
+/**
+ * Remap arbitrary node ids to contiguous node_idx values and build the
+ * nodelink structure. Self-loops and repeated edges are dropped so that
+ * the result is a simple graph, like the bundled datasets (in directed
+ * graphs, u -> v and v -> u are distinct arcs). A repeated edge keeps the
+ * weight of its first occurrence.
+ */
+export function toNodeLink(graph, name) {
+  const indexById = new Map()
+  const nodes = []
+
+  const addNode = (id, label, attributes) => {
+    if (indexById.has(id)) return indexById.get(id)
+    const node = { node_idx: nodes.length, degree: 0, id }
+    if (label != null && label !== id) node.label = label
+    addAttributes(node, attributes)
+    indexById.set(id, node.node_idx)
+    nodes.push(node)
+    return node.node_idx
+  }
+
+  graph.nodes.forEach(n => addNode(n.id, n.label, n.attributes))
+
+  const edges = []
+  const seen = new Set()
+
+  graph.edges.forEach(e => {
+    const source = addNode(e.source)
+    const target = addNode(e.target)
+    if (source === target) return
+
+    const key = graph.directed
+      ? `${source}>${target}`
+      : `${Math.min(source, target)}-${Math.max(source, target)}`
+    if (seen.has(key)) return
+    seen.add(key)
+
+    const edge = { edge_idx: edges.length, source, target }
+    if (e.weight !== undefined) {
+      if (e.weight < 0) throw new GraphParseError(`Negative edge weight ${e.weight}`, e.line)
+      edge.weight = e.weight
+    }
+    addAttributes(edge, e.attributes)
+    edges.push(edge)
+    nodes[source].degree++
+    nodes[target].degree++
+  })
+
+  if (nodes.length === 0) {
+    throw new GraphParseError('File contains no nodes')
+  }
+
+  return {
+    metadata: {
+      name,
+      nodes: nodes.length,
+      edges: edges.length,
+      directed: Boolean(graph.directed),
+    },
+    nodes,
+    edges,
+  }
+}
+
+// Copy attributes onto a node or edge, never over its own fields
+function addAttributes(record, attributes) {
+  if (!attributes) return
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (record[key] === undefined && value !== undefined) record[key] = value
+  })
+}
+
+// Attribute value from text: numbers become numbers, the rest stays text
+function parseValue(text) {
+  const trimmed = text.trim()
+  const number = Number(trimmed)
+  return trimmed !== '' && Number.isFinite(number) ? number : trimmed
+}
+
+// Strip comments ("#", "%" or "//") from a line: a marker starts a comment
+// at the start of the line or after whitespace, so ids like "a#1" or
+// "http://a/b" are kept
+function stripComment(line) {
+  return line.replace(/(^|\s)(#|%|\/\/).*$/, '').trim()
+}
+
+// Split text into [lineNumber, content] pairs, skipping blanks and comments
+function contentLines(text) {
+  return text.split(/\r?\n/)
+    .map((line, i) => [i + 1, stripComment(line)])
+    .filter(([, line]) => line.length > 0)
+}
+
+function parseWeight(token, line) {
+  if (token === undefined) return undefined
+  const weight = Number(token)
+  if (!Number.isFinite(weight)) {
+    throw new GraphParseError(`Invalid edge weight "${token}"`, line)
+  }
+  return weight
+}
+
+/**
+ * Edge list: one edge per line as "source target [weight]", separated by
+ * whitespace. A line with a single token declares an isolated node.
+ */
+export function parseEdgeList(text) {
+  const nodes = []
+  const edges = []
+
+  contentLines(text).forEach(([lineNo, line]) => {
+    const tokens = line.split(/\s+/)
+    if (tokens.length === 1) {
+      nodes.push({ id: tokens[0] })
+    } else if (tokens.length <= 3) {
+      edges.push({
+        source: tokens[0],
+        target: tokens[1],
+        weight: parseWeight(tokens[2], lineNo),
+        line: lineNo,
+      })
+    } else {
+      throw new GraphParseError(
+        `Expected "source target [weight]", found ${tokens.length} columns`,
+        lineNo
+      )
+    }
+  })
+
+  return { directed: false, nodes, edges }
+}
+
+const CSV_SOURCE_HEADERS = ['source', 'from', 'src', 'node1', 'u']
+const CSV_TARGET_HEADERS = ['target', 'to', 'dst', 'node2', 'v']
+
+/**
+ * CSV: rows of source,target[,weight]. A header row is recognised when it
+ * names the source/target columns (e.g. "source,target,weight" or
+ * "from,to"); otherwise the first two columns are used. With a header,
+ * any further columns become edge attributes.
+ */
+export function parseCSV(text) {
+  const rows = d3.csvParseRows(text)
+  const edges = []
+
+  let sourceCol = 0
+  let targetCol = 1
+  let weightCol = 2
+  let firstRow = 0
+
+  const header = (rows[0] || []).map(h => h.trim().toLowerCase())
+  const headerSource = header.findIndex(h => CSV_SOURCE_HEADERS.includes(h))
+  const headerTarget = header.findIndex(h => CSV_TARGET_HEADERS.includes(h))
+  if (headerSource !== -1 && headerTarget !== -1) {
+    sourceCol = headerSource
+    targetCol = headerTarget
+    weightCol = header.findIndex(h => h === 'weight' || h === 'value')
+    firstRow = 1
+  }
+  const attributeCols = firstRow === 1
+    ? rows[0]
+      .map((name, col) => [name.trim(), col])
+      .filter(([name, col]) => name && ![sourceCol, targetCol, weightCol].includes(col))
+    : []
+
+  for (let i = firstRow; i < rows.length; i++) {
+    const lineNo = i + 1
+    const row = rows[i].map(cell => cell.trim())
+    if (row.every(cell => cell === '')) continue
+
+    const source = row[sourceCol]
+    const target = row[targetCol]
+    if (!source || !target) {
+      throw new GraphParseError('Expected a source and a target column', lineNo)
+    }
+    const weightCell = weightCol !== -1 ? row[weightCol] : undefined
+    const attributes = {}
+    attributeCols.forEach(([name, col]) => {
+      if (row[col]) attributes[name] = parseValue(row[col])
+    })
+    edges.push({
+      source,
+      target,
+      weight: parseWeight(weightCell || undefined, lineNo),
+      attributes,
+      line: lineNo,
+    })
+  }
+
+  return { directed: false, nodes: [], edges }
+}
+
+// Line number of the nth (0-based) occurrence of a pattern in text
+function lineOfMatch(text, pattern, n) {
+  const regex = new RegExp(pattern.source, 'g')
+  let match
+  let count = 0
+  while ((match = regex.exec(text)) !== null) {
+    if (count === n) {
+      return text.slice(0, match.index).split('\n').length
+    }
+    count++
+  }
+  return null
+}
+
+/**
+ * GraphML: <node id="..."> and <edge source="..." target="...">
+ * elements inside a <graph>. Node labels are read from a <data> key
+ * named "label" or "name" when present, edge weights from one named
+ * "weight"; all other <data> become attributes, typed by the key's
+ * attr.type.
+ */
+export function parseGraphML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+
+  const parserError = doc.getElementsByTagName('parsererror')[0]
+  if (parserError) {
+    const match = parserError.textContent.match(/line\s*(?:number\s*)?(\d+)/i)
+    throw new GraphParseError('Malformed XML', match ? +match[1] : null)
+  }
+
+  const graph = doc.getElementsByTagName('graph')[0]
+  if (!graph) {
+    throw new GraphParseError('No <graph> element found')
+  }
+
+  // Declared data keys by id, e.g. <key id="d0" for="node" attr.name="label" attr.type="string">
+  const keys = new Map(
+    Array.from(doc.getElementsByTagName('key')).map(k => [k.getAttribute('id'), {
+      name: k.getAttribute('attr.name') || k.getAttribute('id'),
+      type: (k.getAttribute('attr.type') || 'string').toLowerCase(),
+    }])
+  )
+  const isLabel = (key) => ['label', 'name'].includes(key.name.toLowerCase())
+  const isWeight = (key) => key.name.toLowerCase() === 'weight'
+
+  // Typed value of a <data> element
+  const dataValue = (key, text) => {
+    if (['int', 'long', 'float', 'double'].includes(key.type)) return parseValue(text)
+    if (key.type === 'boolean') return text.trim().toLowerCase() === 'true'
+    return text.trim()
+  }
+
+  // Label, weight and the other <data> of a node or edge
+  const readData = (el) => {
+    const data = { label: undefined, weight: undefined, attributes: {} }
+    Array.from(el.getElementsByTagName('data')).forEach(d => {
+      const key = keys.get(d.getAttribute('key')) || { name: d.getAttribute('key'), type: 'string' }
+      if (isLabel(key) && data.label === undefined) data.label = d.textContent.trim()
+      else if (isWeight(key)) data.weight = d.textContent.trim()
+      else data.attributes[key.name] = dataValue(key, d.textContent)
+    })
+    return data
+  }
+
+  const nodes = Array.from(graph.getElementsByTagName('node')).map((el, i) => {
+    const id = el.getAttribute('id')
+    if (id == null) {
+      throw new GraphParseError('<node> without an id attribute', lineOfMatch(text, /<node[\s>/]/, i))
+    }
+    const { label, attributes } = readData(el)
+    return { id, label, attributes }
+  })
+
+  const edges = Array.from(graph.getElementsByTagName('edge')).map((el, i) => {
+    const source = el.getAttribute('source')
+    const target = el.getAttribute('target')
+    // Finding an element's line scans the text, so it is only done for errors
+    const lineOf = () => lineOfMatch(text, /<edge[\s>/]/, i)
+    if (source == null || target == null) {
+      throw new GraphParseError('<edge> requires source and target attributes', lineOf())
+    }
+    const { weight, attributes } = readData(el)
+    if (weight !== undefined && !Number.isFinite(Number(weight))) {
+      throw new GraphParseError(`Invalid edge weight "${weight}"`, lineOf())
+    }
+    return {
+      source,
+      target,
+      weight: parseWeight(weight),
+      attributes,
+      get line() { return lineOf() }
+    }
+  })
+
+  return {
+    directed: graph.getAttribute('edgedefault') === 'directed',
+    nodes,
+    edges,
+  }
+}
+
+// Tokenize GML into keys, values and brackets, keeping line numbers
+function tokenizeGML(text) {
+  const tokens = []
+  const regex = /\s+|#[^\n]*|"([^"]*)"|(\[)|(\])|([^\s[\]"]+)/g
+  let match
+  let line = 1
+
+  while ((match = regex.exec(text)) !== null) {
+    const [raw, str, open, close, word] = match
+    if (str !== undefined) tokens.push({ type: 'string', value: str, line })
+    else if (open) tokens.push({ type: 'open', line })
+    else if (close) tokens.push({ type: 'close', line })
+    else if (word !== undefined) tokens.push({ type: 'word', value: word, line })
+    line += (raw.match(/\n/g) || []).length
+  }
+
+  return tokens
+}
+
+// Parse a GML token stream into nested [{ key, value, line }] lists
+function parseGMLList(tokens, state, closing) {
+  const list = []
+  while (state.pos < tokens.length) {
+    const keyToken = tokens[state.pos++]
+    if (keyToken.type === 'close') {
+      if (closing) return list
+      throw new GraphParseError('Unexpected "]"', keyToken.line)
+    }
+    if (keyToken.type !== 'word') {
+      throw new GraphParseError('Expected a key', keyToken.line)
+    }
+
+    const valueToken = tokens[state.pos++]
+    if (!valueToken) {
+      throw new GraphParseError(`Missing value for "${keyToken.value}"`, keyToken.line)
+    }
+    if (valueToken.type === 'open') {
+      list.push({
+        key: keyToken.value,
+        value: parseGMLList(tokens, state, true),
+        line: keyToken.line,
+      })
+    } else if (valueToken.type === 'close') {
+      throw new GraphParseError(`Missing value for "${keyToken.value}"`, valueToken.line)
+    } else {
+      list.push({
+        key: keyToken.value,
+        value: valueToken.value,
+        quoted: valueToken.type === 'string',
+        line: keyToken.line,
+      })
+    }
+  }
+  if (closing) {
+    throw new GraphParseError('Unclosed "["', tokens.length ? tokens[tokens.length - 1].line : null)
+  }
+  return list
+}
+
+function gmlField(list, key) {
+  const entry = list.find(e => e.key === key)
+  return entry ? entry.value : undefined
+}
+
+// Scalar fields of a GML node or edge other than `skip`, as attributes
+function gmlAttributes(fields, skip) {
+  const attributes = {}
+  fields.forEach(e => {
+    if (skip.includes(e.key) || Array.isArray(e.value) || attributes[e.key] !== undefined) return
+    attributes[e.key] = e.quoted ? e.value : parseValue(e.value)
+  })
+  return attributes
+}
+
+/**
+ * GML: graph [ directed 0 node [ id 1 label "A" ] edge [ source 1 target 2 ] ]
+ * Other scalar node and edge fields become attributes.
+ */
+export function parseGML(text) {
+  const tokens = tokenizeGML(text)
+  const root = parseGMLList(tokens, { pos: 0 }, false)
+
+  const graphEntry = root.find(e => e.key === 'graph' && Array.isArray(e.value))
+  if (!graphEntry) {
+    throw new GraphParseError('No "graph [ ... ]" block found')
+  }
+  const graph = graphEntry.value
+
+  const nodes = graph.filter(e => e.key === 'node').map(entry => {
+    const id = Array.isArray(entry.value) ? gmlField(entry.value, 'id') : undefined
+    if (id === undefined || Array.isArray(id)) {
+      throw new GraphParseError('node is missing an id', entry.line)
+    }
+    const label = gmlField(entry.value, 'label')
+    return {
+      id,
+      label: typeof label === 'string' ? label : undefined,
+      attributes: gmlAttributes(entry.value, ['id', 'label']),
+    }
+  })
+
+  const edges = graph.filter(e => e.key === 'edge').map(entry => {
+    const fields = Array.isArray(entry.value) ? entry.value : []
+    const source = gmlField(fields, 'source')
+    const target = gmlField(fields, 'target')
+    if (source === undefined || target === undefined) {
+      throw new GraphParseError('edge requires source and target', entry.line)
+    }
+    const weight = gmlField(fields, 'weight') ?? gmlField(fields, 'value')
+    return {
+      source,
+      target,
+      weight: parseWeight(weight, entry.line),
+      attributes: gmlAttributes(fields, ['source', 'target', 'weight', 'value']),
+      line: entry.line,
+    }
+  })
+
+  return {
+    directed: gmlField(graph, 'directed') === '1',
+    nodes,
+    edges,
+  }
+}
+
+/**
+ * Pajek: an optional "*Network name" header, then a "*Vertices n" section
+ * followed by "*Edges"/"*Arcs" (pairs) or "*Edgeslist"/"*Arcslist"
+ * (adjacency lists). Vertices are numbered 1..n. The header's name is
+ * ignored (imports are named after the file); "*Matrix" sections are
+ * not supported.
+ */
+export function parsePajek(text) {
+  const nodes = []
+  const edges = []
+  let section = null
+  let directed = false
+  let vertexCount = 0
+
+  const checkVertex = (token, lineNo) => {
+    const v = Number(token)
+    if (!Number.isInteger(v) || v < 1 || (vertexCount && v > vertexCount)) {
+      throw new GraphParseError(`Unknown vertex "${token}"`, lineNo)
+    }
+    return token
+  }
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const lineNo = i + 1
+    const line = rawLine.replace(/%.*$/, '').trim()
+    if (!line) return
+
+    if (line.startsWith('*')) {
+      const [keyword, count] = line.slice(1).split(/\s+/)
+      if (keyword.toLowerCase() === 'network') {
+        if (section !== null) {
+          throw new GraphParseError('*Network must come before the other sections', lineNo)
+        }
+        return
+      }
+      section = keyword.toLowerCase()
+      if (section === 'matrix') {
+        throw new GraphParseError('*Matrix sections are not supported; export the network with *Edges or *Arcs', lineNo)
+      }
+      if (section === 'vertices') {
+        vertexCount = Number(count)
+        if (!Number.isInteger(vertexCount) || vertexCount < 0) {
+          throw new GraphParseError('*Vertices needs a vertex count', lineNo)
+        }
+        for (let v = 1; v <= vertexCount; v++) nodes.push({ id: String(v) })
+      } else if (section === 'arcs' || section === 'arcslist') {
+        directed = true
+      } else if (section !== 'edges' && section !== 'edgeslist') {
+        throw new GraphParseError(`Unknown section "*${keyword}"`, lineNo)
+      }
+      return
+    }
+
+    if (section === null) {
+      throw new GraphParseError('Data before the first "*" section', lineNo)
+    }
+
+    if (section === 'vertices') {
+      const match = line.match(/^(\S+)\s*(?:"([^"]*)"|(\S+))?/)
+      const id = checkVertex(match[1], lineNo)
+      const label = match[2] ?? match[3]
+      if (label !== undefined) nodes[Number(id) - 1].label = label
+    } else if (section === 'edges' || section === 'arcs') {
+      const tokens = line.split(/\s+/)
+      if (tokens.length < 2) {
+        throw new GraphParseError('Expected "source target [weight]"', lineNo)
+      }
+      edges.push({
+        source: checkVertex(tokens[0], lineNo),
+        target: checkVertex(tokens[1], lineNo),
+        weight: parseWeight(tokens[2], lineNo),
+        line: lineNo,
+      })
+    } else {
+      const [source, ...targets] = line.split(/\s+/).map(t => checkVertex(t, lineNo))
+      targets.forEach(target => edges.push({ source, target, line: lineNo }))
+    }
+  })
+
+  if (section === null) {
+    throw new GraphParseError('No "*Vertices" section found')
+  }
+
+  return { directed, nodes, edges }
+}
+
+/**
+ * Syndesmoscope's own nodelink.json. Indices are renumbered through
+ * toNodeLink() so that hand-written files with gaps still load;
+ * metadata.directed, edge weights and attributes carry over.
+ */
+export function parseNodeLinkJSON(text, name) {
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch (err) {
+    // Firefox reports "line N", V8 reports "position N" (when it reports anything)
+    const lineMatch = err.message.match(/line (\d+)/)
+    const positionMatch = err.message.match(/position (\d+)/)
+    const line = lineMatch
+      ? +lineMatch[1]
+      : positionMatch ? text.slice(0, +positionMatch[1]).split('\n').length : null
+    throw new GraphParseError('Invalid JSON', line)
+  }
+
+  if (!json || !Array.isArray(json.nodes) || !Array.isArray(json.edges)) {
+    throw new GraphParseError('Expected an object with "nodes" and "edges" arrays')
+  }
+
+  // Everything but the structural fields carries over as attributes
+  const rest = (record, keys) => Object.fromEntries(
+    Object.entries(record).filter(([key]) => !keys.includes(key))
+  )
+
+  return toNodeLink({
+    directed: Boolean(json.metadata?.directed),
+    nodes: json.nodes.map(n => ({
+      id: String(n.node_idx ?? n.id),
+      label: n.label,
+      attributes: rest(n, ['node_idx', 'id', 'label', 'degree']),
+    })),
+    edges: json.edges.map(e => ({
+      source: String(e.source),
+      target: String(e.target),
+      weight: e.weight === undefined ? undefined : parseWeight(String(e.weight)),
+      attributes: rest(e, ['edge_idx', 'source', 'target', 'weight']),
+    })),
+  }, json.metadata?.name || name)
+}
@@ -0,0 +1,61 @@
+import { getAdjacency } from './graph'
+import { coreDecomposition } from './kCore'
+import { censusVariant } from './hopCensus'
+
+/**
+ * graphPrism - Per-node invariants shown side by side in the Graph Prism
+ *
+ * Each facet projects the nodes onto one invariant:
+ *
+ * - degree: number of incident edges (total, for directed networks)
+ * - core: core number
+ * - eccentricity: largest hop distance to a reachable node (from the
+ *   census: its vector's length - 1)
+ * - meanHop: the census shape, as its center of mass: the mean hop of the
+ *   counted constituents, sum(h * values[h]) / sum(values[h])
+ *
+ * The census facets need an unweighted Hop-Census and are null without
+ * it: the vectors of a weighted census count distance bins, not hops.
+ */
+
+export const PRISM_FACETS = [
+  { id: 'degree', label: 'Degree', discrete: true },
+  { id: 'core', label: 'Core number', discrete: true },
+  { id: 'eccentricity', label: 'Eccentricity', discrete: true },
+  { id: 'meanHop', label: 'Census mean hop', discrete: false }
+]
+
+/**
+ * Values of every facet, by node_idx.
+ *
+ * @param {Object} nodeLink - Nodelink JSON or packed network
+ * @param {Object} census - Hop-Census ({ metadata, vectors }), or null
+ * @returns {Object} - { [facetId]: Float64Array | null }
+ */
+export function prismValues(nodeLink, census) {
+  const adjacency = getAdjacency(nodeLink)
+  const n = adjacency.nodeCount
+  const values = {
+    degree: Float64Array.from(adjacency.degree),
+    core: Float64Array.from(coreDecomposition(adjacency).core),
+    eccentricity: null,
+    meanHop: null
+  }
+
+  if (census && !censusVariant(census.metadata).weighted && census.vectors.length === n) {
+    values.eccentricity = new Float64Array(n)
+    values.meanHop = new Float64Array(n)
+    census.vectors.forEach(({ node_idx, values: counts }) => {
+      let total = 0
+      let weighted = 0
+      counts.forEach((count, h) => {
+        total += count
+        weighted += h * count
+      })
+      values.eccentricity[node_idx] = counts.length - 1
+      values.meanHop[node_idx] = total > 0 ? weighted / total : 0
+    })
+  }
+
+  return values
+}
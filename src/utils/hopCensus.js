@@ -0,0 +1,215 @@
+import { bfs, dijkstra } from './graph'
+
+/**
+ * hopCensus - Hop-Census computation
+ *
+ * The census of a node is a vector of counts, one per hop distance h from
+ * that node (h = 0 .. eccentricity). What is counted depends on the
+ * constituent, matching the `metadata.constituent` field of
+ * hopcensus.json:
+ *
+ * - node: nodes at distance h (values[0] is always 1)
+ * - stub: edge endpoints (half-edges) at distance h, i.e. the sum of the
+ *   degrees of the nodes at distance h (values[0] is the node's degree)
+ * - edge: edges whose nearer endpoint is at distance h
+ *
+ * For a connected graph the values sum to n, 2m and m respectively.
+ *
+ * Variants (`metadata.direction` and `metadata.weighted`):
+ * - direction (directed networks, see utils/graph): 'out' counts what a
+ *   node reaches along arcs, 'in' what reaches it, 'total' ignores
+ *   direction. Degrees are taken in the same direction, and in the edge
+ *   census each arc is counted at its tail (out) or head (in).
+ * - weighted: distances are shortest-path lengths over edge weights,
+ *   binned by the mean edge weight w (bin h holds distances in
+ *   ((h - 1) w, h w]), so unit weights give the plain hop census, and
+ *   weights in metres or thousands don't make vectors any longer. The
+ *   last of MAX_WEIGHTED_BINS bins also holds everything farther.
+ * Files without these fields hold the total, unweighted census.
+ */
+
+export const CONSTITUENTS = ['node', 'stub', 'edge']
+
+export const DEFAULT_VARIANT = { direction: 'total', weighted: false }
+
+// Tolerance for weighted distances that should land exactly on a bin edge
+const BIN_EPSILON = 1e-9
+
+// Most bins of a weighted census vector
+export const MAX_WEIGHTED_BINS = 512
+
+/**
+ * Bin width of a weighted census: the mean edge weight (1 when there are
+ * no positive weights).
+ */
+export function weightedBinWidth(weights) {
+  let sum = 0
+  for (let i = 0; i < weights.length; i++) sum += weights[i]
+  const mean = weights.length > 0 ? sum / weights.length : 0
+  return mean > 0 ? mean : 1
+}
+
+/**
+ * Variant of a census, from its metadata.
+ */
+export function censusVariant(metadata) {
+  return {
+    direction: metadata?.direction || DEFAULT_VARIANT.direction,
+    weighted: Boolean(metadata?.weighted)
+  }
+}
+
+/**
+ * Key of a census among the cached ones: the constituent for the
+ * default variant (as in older caches and sessions), otherwise e.g.
+ * "stub/out/weighted".
+ */
+export function censusKey(constituent, { direction = 'total', weighted = false } = {}) {
+  const parts = [constituent]
+  if (direction !== 'total') parts.push(direction)
+  if (weighted) parts.push('weighted')
+  return parts.join('/')
+}
+
+/**
+ * Census vector of a single source node.
+ *
+ * @param {Object} adjacency - CSR adjacency from buildAdjacency(), with
+ *   weights for a weighted census
+ * @param {number} source - Source node_idx
+ * @param {string} constituent - One of CONSTITUENTS
+ * @param {Int32Array|Float64Array} dist - Scratch buffer of length
+ *   nodeCount (Float64Array for a weighted census)
+ * @param {Int32Array} queue - Scratch buffer of length nodeCount
+ * @param {boolean} weighted - Whether to use weighted distances
+ * @param {number} binWidth - Distance per bin of a weighted census (see
+ *   weightedBinWidth)
+ * @returns {number[]} - Counts per hop
+ */
+export function censusVector(adjacency, source, constituent, dist, queue, weighted = false, binWidth = 1) {
+  const { direction, offsets, neighbors, degree } = adjacency
+  const reached = weighted
+    ? dijkstra(adjacency, source, dist, queue)
+    : bfs(adjacency, source, dist, queue)
+  const hopOf = weighted
+    ? (u) => Math.min(MAX_WEIGHTED_BINS - 1, Math.max(0, Math.ceil(dist[u] / binWidth - BIN_EPSILON)))
+    : (u) => dist[u]
+  const eccentricity = hopOf(queue[reached - 1])
+  const values = new Array(eccentricity + 1).fill(0)
+
+  for (let i = 0; i < reached; i++) {
+    const u = queue[i]
+    const h = hopOf(u)
+
+    if (constituent === 'node') {
+      values[h] += 1
+    } else if (constituent === 'stub') {
+      values[h] += degree[u]
+    } else if (direction === 'out' || direction === 'in') {
+      // Each arc is listed once, at the endpoint it is counted from
+      values[h] += degree[u]
+    } else {
+      // Count each edge once, at its nearer endpoint; edges between two
+      // nodes at the same distance are counted from the lower index
+      for (let j = offsets[u]; j < offsets[u + 1]; j++) {
+        const w = neighbors[j]
+        if (dist[w] > dist[u] || (dist[w] === dist[u] && w > u)) values[h] += 1
+      }
+    }
+  }
+
+  return values
+}
+
+/**
+ * Full hop census: one BFS (or Dijkstra run) per node.
+ *
+ * @param {Object} adjacency - CSR adjacency from buildAdjacency()
+ * @param {string} constituent - One of CONSTITUENTS
+ * @param {Function} onProgress - Optional, called with (done, total)
+ * @param {boolean} weighted - Whether to use weighted distances (the
+ *   adjacency must carry weights)
+ * @returns {Object[]} - [{ node_idx, values }] in node_idx order
+ */
+export function computeHopCensus(adjacency, constituent, onProgress, weighted = false) {
+  if (!CONSTITUENTS.includes(constituent)) {
+    throw new Error(`Unknown census constituent "${constituent}"`)
+  }
+  if (weighted && !adjacency.weights) {
+    throw new Error('A weighted census needs edge weights')
+  }
+
+  const n = adjacency.nodeCount
+  const binWidth = weighted ? weightedBinWidth(adjacency.weights) : 1
+  const dist = weighted ? new Float64Array(n) : new Int32Array(n)
+  const queue = new Int32Array(n)
+  const vectors = new Array(n)
+
+  for (let u = 0; u < n; u++) {
+    vectors[u] = {
+      node_idx: u,
+      values: censusVector(adjacency, u, constituent, dist, queue, weighted, binWidth)
+    }
+    if (onProgress) onProgress(u + 1, n)
+  }
+
+  return vectors
+}
+
+/**
+ * Largest eccentricity among the census vectors, i.e. the diameter of
+ * the graph (of its largest-diameter component, if disconnected).
+ */
+export function censusDiameter(vectors) {
+  let diameter = 0
+  vectors.forEach(({ values }) => {
+    if (values.length - 1 > diameter) diameter = values.length - 1
+  })
+  return diameter
+}
+
+/**
+ * Running totals of a census vector: the count within h hops rather than
+ * at exactly h hops. The last total is repeated out to `length` values,
+ * so every node's curve spans the same hops.
+ */
+export function cumulativeValues(values, length = values.length) {
+  const totals = new Array(Math.max(length, values.length))
+  let total = 0
+  for (let h = 0; h < totals.length; h++) {
+    if (h < values.length) total += values[h]
+    totals[h] = total
+  }
+  return totals
+}
+
+/**
+ * Census-Census: the census of the census values. At each hop h, nodes
+ * are grouped by their census value at h, and each group is a class
+ * { hop, value, nodes }. Nodes whose census ends before h (nothing left
+ * to reach) have value 0 there, so at every hop 0 .. diameter the
+ * classes partition all the nodes.
+ *
+ * Like the census itself, the classes do not depend on node order, so
+ * they can be compared across networks; they aggregate the Hop-Census
+ * polylines into how many nodes share each (hop, value) point.
+ *
+ * @param {Object[]} vectors - [{ node_idx, values }]
+ * @returns {Object[]} - Classes by hop, then value; nodes by node_idx
+ */
+export function censusCensus(vectors) {
+  const diameter = censusDiameter(vectors)
+  const classes = []
+  for (let h = 0; h <= diameter; h++) {
+    const byValue = new Map()
+    vectors.forEach(({ node_idx, values }) => {
+      const value = h < values.length ? values[h] : 0
+      if (!byValue.has(value)) byValue.set(value, [])
+      byValue.get(value).push(node_idx)
+    })
+    Array.from(byValue.keys())
+      .sort((a, b) => a - b)
+      .forEach(value => classes.push({ hop: h, value, nodes: byValue.get(value) }))
+  }
+  return classes
+}
@@ -0,0 +1,224 @@
+import { getAdjacency, edgeCount, isDirected, isWeighted, MinHeap } from './graph'
+
+/**
+ * kCore - k-core decomposition by peeling, and k-Snakes trajectories
+ *
+ * Peeling repeatedly removes a node of minimum residual degree (its
+ * degree among the nodes not yet removed). The core number of a node is
+ * the largest k such that it belongs to a subgraph where every node has
+ * degree >= k; it equals the highest minimum degree seen up to the step
+ * at which the node is removed.
+ *
+ * A node's snake is its residual degree as a function of peeling step:
+ * it starts at the node's degree at step 0, drops by one each time a
+ * neighbor is peeled, and ends at the step where the node itself is
+ * peeled.
+ *
+ * Variants, as for the Hop-Census (see utils/hopCensus):
+ * - direction (directed networks): in-, out- or total-degree cores; a
+ *   node's residual out-degree drops when one of its out-neighbors is
+ *   peeled, and so on
+ * - weighted: strength (sum of edge weights) takes the place of degree,
+ *   which gives the s-cores of Batagelj & Zaversnik's generalized cores
+ */
+
+// Residual strengths are rounded in trajectories, to hide float drift
+const roundStrength = (value) => Math.round(value * 1e6) / 1e6
+
+/**
+ * Core decomposition with residual-degree trajectories.
+ *
+ * Uses a bucket queue over residual degrees (Matula & Beck), so the whole
+ * decomposition is O(n + m).
+ *
+ * @param {Object} adjacency - CSR adjacency from buildAdjacency(); its
+ *   degrees are the ones peeled
+ * @param {Object} reverse - Adjacency listing, for each node v, the nodes
+ *   whose degree counts v: the in-adjacency for out-degree cores and
+ *   vice versa (the adjacency itself for total degrees)
+ * @returns {Object} - {
+ *   core,        Int32Array, core number per node
+ *   order,       Int32Array, node removed at each step
+ *   step,        Int32Array, step at which each node is removed
+ *   trajectories Array of per-node [[step, residualDegree], ...] change points
+ * }
+ */
+export function coreDecomposition(adjacency, reverse = adjacency) {
+  const { nodeCount: n, degree } = adjacency
+  const { offsets, neighbors } = reverse
+
+  const residual = Int32Array.from(degree)
+  const core = new Int32Array(n)
+  const order = new Int32Array(n)
+  const step = new Int32Array(n).fill(-1)
+  const trajectories = Array.from({ length: n }, (_, u) => [[0, degree[u]]])
+
+  // Doubly linked bucket lists, one per residual degree
+  let maxDegree = 0
+  for (let u = 0; u < n; u++) maxDegree = Math.max(maxDegree, degree[u])
+  const head = new Int32Array(maxDegree + 1).fill(-1)
+  const next = new Int32Array(n).fill(-1)
+  const prev = new Int32Array(n).fill(-1)
+
+  const insert = (u) => {
+    const d = residual[u]
+    prev[u] = -1
+    next[u] = head[d]
+    if (head[d] !== -1) prev[head[d]] = u
+    head[d] = u
+  }
+
+  const remove = (u) => {
+    const d = residual[u]
+    if (prev[u] !== -1) next[prev[u]] = next[u]
+    else head[d] = next[u]
+    if (next[u] !== -1) prev[next[u]] = prev[u]
+  }
+
+  // Insert in reverse so that ties are peeled in node_idx order
+  for (let u = n - 1; u >= 0; u--) insert(u)
+
+  let minDegree = 0
+  let k = 0
+
+  for (let t = 0; t < n; t++) {
+    while (head[minDegree] === -1) minDegree++
+
+    const v = head[minDegree]
+    remove(v)
+    k = Math.max(k, residual[v])
+    core[v] = k
+    order[t] = v
+    step[v] = t
+
+    // The snake ends at the removal step
+    const path = trajectories[v]
+    if (path[path.length - 1][0] !== t) path.push([t, residual[v]])
+
+    for (let i = offsets[v]; i < offsets[v + 1]; i++) {
+      const u = neighbors[i]
+      if (step[u] !== -1) continue
+      remove(u)
+      residual[u]--
+      insert(u)
+      trajectories[u].push([t + 1, residual[u]])
+      // A neighbor may now sit in a lower bucket (several lower when
+      // reciprocal arcs both count)
+      if (residual[u] < minDegree) minDegree = residual[u]
+    }
+  }
+
+  return { core, order, step, trajectories }
+}
+
+/**
+ * Weighted core decomposition: peels by residual strength instead of
+ * degree. Strengths are not integers, so a heap replaces the bucket
+ * queue: O(m log n).
+ *
+ * @param {Object} adjacency - CSR adjacency with weights
+ * @param {Object} reverse - See coreDecomposition(); must carry weights
+ * @returns {Object} - As coreDecomposition(), with strengths in place of
+ *   degrees (core is a Float64Array)
+ */
+export function weightedCoreDecomposition(adjacency, reverse = adjacency) {
+  const { nodeCount: n, strength } = adjacency
+  const { offsets, neighbors, weights } = reverse
+
+  const residual = Float64Array.from(strength)
+  const core = new Float64Array(n)
+  const order = new Int32Array(n)
+  const step = new Int32Array(n).fill(-1)
+  const trajectories = Array.from({ length: n }, (_, u) => [[0, roundStrength(strength[u])]])
+
+  const heap = new MinHeap()
+  for (let u = 0; u < n; u++) heap.push(residual[u], u)
+
+  let k = 0
+  let t = 0
+  while (t < n) {
+    const r = heap.peekKey()
+    const v = heap.pop()
+    // Skip nodes already peeled and entries from before a decrease
+    if (step[v] !== -1 || r !== residual[v]) continue
+
+    k = Math.max(k, residual[v])
+    core[v] = k
+    order[t] = v
+    step[v] = t
+
+    const path = trajectories[v]
+    if (path[path.length - 1][0] !== t) path.push([t, roundStrength(residual[v])])
+
+    for (let i = offsets[v]; i < offsets[v + 1]; i++) {
+      const u = neighbors[i]
+      if (step[u] !== -1) continue
+      residual[u] -= weights[i]
+      heap.push(residual[u], u)
+      trajectories[u].push([t + 1, roundStrength(residual[u])])
+    }
+    t++
+  }
+
+  return { core, order, step, trajectories }
+}
+
+/**
+ * Build k-Snakes data for a nodelink object.
+ *
+ * The result extends the ksnakes.json shape ({ metadata, nodes }) with
+ * per-node core number, peeling order and snake trajectory:
+ *   { node_idx, degree, core, order, trajectory: [[step, degree], ...] }
+ * For weighted variants, degree, core and trajectory hold strengths.
+ *
+ * @param {Object} nodeLink - Nodelink JSON or packed network
+ * @param {Object} variant - Optional { direction, weighted }; ignored
+ *   where the network is undirected or unweighted
+ */
+export function computeKSnakes(nodeLink, { direction = 'total', weighted = false } = {}) {
+  if (!isDirected(nodeLink)) direction = 'total'
+  weighted = weighted && isWeighted(nodeLink)
+
+  const adjacency = getAdjacency(nodeLink, direction)
+  const reverse = direction === 'total'
+    ? adjacency
+    : getAdjacency(nodeLink, direction === 'out' ? 'in' : 'out')
+  const { nodeCount } = adjacency
+  const { core, step, trajectories } = weighted
+    ? weightedCoreDecomposition(adjacency, reverse)
+    : coreDecomposition(adjacency, reverse)
+
+  let maxCore = 0
+  const nodes = Array.from({ length: nodeCount }, (_, u) => {
+    maxCore = Math.max(maxCore, core[u])
+    return {
+      node_idx: u,
+      degree: weighted ? roundStrength(adjacency.strength[u]) : adjacency.degree[u],
+      core: weighted ? roundStrength(core[u]) : core[u],
+      order: step[u],
+      trajectory: trajectories[u]
+    }
+  })
+
+  return {
+    metadata: {
+      name: nodeLink.metadata?.name,
+      type: 'k-snakes',
+      nodes: nodeCount,
+      edges: edgeCount(nodeLink),
+      direction,
+      weighted,
+      maxCore: weighted ? roundStrength(maxCore) : maxCore
+    },
+    nodes
+  }
+}
+
+/**
+ * Whether ksnakes data carries peeling results (older precomputed files
+ * only list node degrees).
+ */
+export function hasPeeling(kSnakes) {
+  return Boolean(kSnakes?.nodes?.length) &&
+    kSnakes.nodes.every(n => n.core !== undefined && Array.isArray(n.trajectory))
+}
@@ -0,0 +1,136 @@
+import { line as d3Line, rgb } from 'd3'
+
+/**
+ * lineDensity - Rasterized density of many polylines
+ *
+ * With thousands of polylines an SVG plot is slow and mostly overdraw.
+ * Instead each line is rasterized into a grid of counts, where a cell
+ * holds the number of lines passing through it (each line counts once
+ * per cell), and the grid is painted as a heatmap.
+ *
+ * Lines are traced through a d3.line() generator, so curves and gaps
+ * (line.defined) match the SVG rendering of the same lines.
+ */
+
+// Samples per cubic Bézier segment of a curve
+const CURVE_SAMPLES = 8
+
+/**
+ * Count the lines passing through each cell of a width x height grid.
+ *
+ * @param {Array} lines - Line data, passed to `lineGenerator`
+ * @param {Function} lineGenerator - d3.line() producing pixel coordinates
+ * @param {number} width - Grid width (cells)
+ * @param {number} height - Grid height (cells)
+ * @param {number} scale - Cells per pixel (e.g. devicePixelRatio)
+ * @returns {Object} - { counts: Uint32Array, width, height, max }
+ */
+export function lineDensity(lines, lineGenerator, width, height, scale = 1) {
+  const counts = new Uint32Array(width * height)
+  // Last line that touched each cell, so a line counts once per cell
+  const stamp = new Int32Array(width * height).fill(-1)
+  let max = 0
+  let current = 0
+  let px = 0
+  let py = 0
+
+  const plot = (x, y) => {
+    const cx = Math.floor(x * scale)
+    const cy = Math.floor(y * scale)
+    if (cx < 0 || cy < 0 || cx >= width || cy >= height) return
+    const i = cy * width + cx
+    if (stamp[i] === current) return
+    stamp[i] = current
+    if (++counts[i] > max) max = counts[i]
+  }
+
+  // Straight segment, one sample per cell crossed
+  const segment = (x0, y0, x1, y1) => {
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0)) * scale))
+    for (let s = 0; s <= steps; s++) {
+      plot(x0 + (x1 - x0) * s / steps, y0 + (y1 - y0) * s / steps)
+    }
+  }
+
+  // Minimal canvas-like context for d3.line().context()
+  const context = {
+    moveTo(x, y) {
+      px = x
+      py = y
+    },
+    lineTo(x, y) {
+      segment(px, py, x, y)
+      px = x
+      py = y
+    },
+    bezierCurveTo(x1, y1, x2, y2, x, y) {
+      const x0 = px
+      const y0 = py
+      for (let s = 1; s <= CURVE_SAMPLES; s++) {
+        const t = s / CURVE_SAMPLES
+        const u = 1 - t
+        this.lineTo(
+          u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x,
+          u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y
+        )
+      }
+    },
+    closePath() {},
+  }
+
+  const trace = d3Line()
+    .x(lineGenerator.x())
+    .y(lineGenerator.y())
+    .defined(lineGenerator.defined())
+    .curve(lineGenerator.curve())
+    .context(context)
+  lines.forEach((line, i) => {
+    current = i
+    trace(line)
+  })
+
+  return { counts, width, height, max }
+}
+
+/**
+ * Paint a density grid onto a canvas through a color ramp. Counts are
+ * log-scaled, so single lines stay visible next to dense bundles; empty
+ * cells are transparent.
+ *
+ * @param {Object} density - From lineDensity()
+ * @param {Function} ramp - Maps [0, 1] to a CSS color, e.g. d3.interpolateInferno
+ * @returns {HTMLCanvasElement}
+ */
+export function densityCanvas({ counts, width, height, max }, ramp) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  if (width === 0 || height === 0) return canvas
+
+  const ctx = canvas.getContext('2d')
+  const image = ctx.createImageData(width, height)
+
+  // One color per distinct count
+  const norm = Math.log1p(max) || 1
+  const colors = new Map()
+  const colorOf = (count) => {
+    if (!colors.has(count)) {
+      const t = Math.log1p(count) / norm
+      const { r, g, b } = rgb(ramp(0.15 + 0.85 * t))
+      colors.set(count, [r, g, b, Math.round(255 * (0.35 + 0.65 * t))])
+    }
+    return colors.get(count)
+  }
+
+  for (let i = 0; i < counts.length; i++) {
+    if (counts[i] === 0) continue
+    const [r, g, b, a] = colorOf(counts[i])
+    image.data[4 * i] = r
+    image.data[4 * i + 1] = g
+    image.data[4 * i + 2] = b
+    image.data[4 * i + 3] = a
+  }
+
+  ctx.putImageData(image, 0, 0)
+  return canvas
+}
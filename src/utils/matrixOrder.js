@@ -0,0 +1,293 @@
+import { getAdjacency } from './graph'
+import { coreDecomposition } from './kCore'
+import { createRandom } from './generators'
+
+/**
+ * matrixOrder - Row orderings for the adjacency matrix
+ *
+ * An ordering is a permutation of the nodes: order[position] = node_idx.
+ * Good orderings gather edges into visible blocks and bands:
+ *
+ * - index: node_idx order, as stored
+ * - degree: highest degree first
+ * - core: highest core number first (then degree), so the densest core
+ *   forms a block in the top-left corner
+ * - bfs: breadth-first from a low-degree node, one component after the
+ *   other; edges stay close to the diagonal
+ * - rcm: Reverse Cuthill-McKee, BFS visiting neighbors by increasing
+ *   degree from a pseudo-peripheral node, reversed; minimizes bandwidth
+ * - spectral: by the Fiedler vector (second eigenvector of the graph
+ *   Laplacian) of each component, found by power iteration
+ * - community: label propagation communities, largest first, each by
+ *   degree
+ *
+ * Components are laid out by decreasing size (and first node) in every
+ * ordering but index, degree and core. Orderings use the total
+ * (undirected) adjacency of directed networks.
+ */
+
+export const ORDERINGS = [
+  { value: 'index', label: 'index' },
+  { value: 'degree', label: 'degree' },
+  { value: 'core', label: 'core' },
+  { value: 'bfs', label: 'BFS' },
+  { value: 'rcm', label: 'RCM' },
+  { value: 'spectral', label: 'spectral' },
+  { value: 'community', label: 'community' }
+]
+
+// Power iterations for the Fiedler vector, and the change at which it stops
+const SPECTRAL_ITERATIONS = 300
+const SPECTRAL_TOLERANCE = 1e-7
+
+// Label propagation rounds (it usually settles within a few), and seed
+const PROPAGATION_ROUNDS = 20
+const PROPAGATION_SEED = 1
+
+/**
+ * Connected components, largest first (ties by lowest node).
+ *
+ * @returns {Int32Array[]} - Nodes of each component, in BFS order
+ */
+function components({ nodeCount: n, offsets, neighbors }) {
+  const seen = new Uint8Array(n)
+  const queue = new Int32Array(n)
+  const result = []
+  for (let s = 0; s < n; s++) {
+    if (seen[s]) continue
+    seen[s] = 1
+    let head = 0
+    let tail = 0
+    queue[tail++] = s
+    while (head < tail) {
+      const u = queue[head++]
+      for (let i = offsets[u]; i < offsets[u + 1]; i++) {
+        const w = neighbors[i]
+        if (!seen[w]) {
+          seen[w] = 1
+          queue[tail++] = w
+        }
+      }
+    }
+    result.push(queue.slice(0, tail))
+  }
+  return result.sort((a, b) => b.length - a.length || a[0] - b[0])
+}
+
+/**
+ * BFS over one component from `start`, writing the visit order into
+ * `out` from `at`. With `byDegree`, neighbors are visited by increasing
+ * degree (Cuthill-McKee). Returns the last node visited.
+ */
+function bfsInto(adjacency, start, seen, out, at, byDegree) {
+  const { offsets, neighbors, degree } = adjacency
+  let head = at
+  let tail = at
+  seen[start] = 1
+  out[tail++] = start
+  while (head < tail) {
+    const u = out[head++]
+    const next = []
+    for (let i = offsets[u]; i < offsets[u + 1]; i++) {
+      const w = neighbors[i]
+      if (!seen[w]) {
+        seen[w] = 1
+        next.push(w)
+      }
+    }
+    if (byDegree) next.sort((a, b) => degree[a] - degree[b] || a - b)
+    next.forEach(w => { out[tail++] = w })
+  }
+  return out[tail - 1]
+}
+
+// Lowest-degree node of a component
+function minDegreeNode(nodes, degree) {
+  let best = nodes[0]
+  nodes.forEach(u => {
+    if (degree[u] < degree[best] || (degree[u] === degree[best] && u < best)) best = u
+  })
+  return best
+}
+
+function bfsOrder(adjacency, byDegree) {
+  const n = adjacency.nodeCount
+  const order = new Int32Array(n)
+  const seen = new Uint8Array(n)
+  const scratch = new Int32Array(n)
+  const scratchSeen = new Uint8Array(n)
+  let at = 0
+  components(adjacency).forEach(nodes => {
+    let start = minDegreeNode(nodes, adjacency.degree)
+    if (byDegree) {
+      // Pseudo-peripheral start: the last node of a BFS lies far out, and
+      // a couple of sweeps move it to the periphery
+      for (let sweep = 0; sweep < 2; sweep++) {
+        nodes.forEach(u => { scratchSeen[u] = 0 })
+        start = bfsInto(adjacency, start, scratchSeen, scratch, 0, true)
+      }
+    }
+    bfsInto(adjacency, start, seen, order, at, byDegree)
+    // Reverse Cuthill-McKee reverses each component in place
+    if (byDegree) order.subarray(at, at + nodes.length).reverse()
+    at += nodes.length
+  })
+  return order
+}
+
+/**
+ * Fiedler vector of one component: power iteration on (c I - L), kept
+ * orthogonal to the constant vector. Deterministic start vector.
+ * `local` is scratch space of length nodeCount.
+ */
+function fiedlerVector(adjacency, nodes, local) {
+  const { offsets, neighbors, degree } = adjacency
+  const size = nodes.length
+  nodes.forEach((u, i) => { local[u] = i })
+
+  let maxDegree = 0
+  nodes.forEach(u => { maxDegree = Math.max(maxDegree, degree[u]) })
+  const shift = 2 * maxDegree + 1
+
+  let x = Float64Array.from(nodes, (_, i) => Math.sin(i + 1))
+  let y = new Float64Array(size)
+  const center = (v) => {
+    let mean = 0
+    for (let i = 0; i < size; i++) mean += v[i]
+    mean /= size
+    let norm = 0
+    for (let i = 0; i < size; i++) {
+      v[i] -= mean
+      norm += v[i] * v[i]
+    }
+    norm = Math.sqrt(norm) || 1
+    for (let i = 0; i < size; i++) v[i] /= norm
+  }
+  center(x)
+
+  for (let iteration = 0; iteration < SPECTRAL_ITERATIONS; iteration++) {
+    // y = (shift - degree) x + A x
+    for (let i = 0; i < size; i++) {
+      const u = nodes[i]
+      let sum = (shift - degree[u]) * x[i]
+      for (let j = offsets[u]; j < offsets[u + 1]; j++) sum += x[local[neighbors[j]]]
+      y[i] = sum
+    }
+    center(y)
+    let change = 0
+    for (let i = 0; i < size; i++) change = Math.max(change, Math.abs(y[i] - x[i]))
+    ;[x, y] = [y, x]
+    if (change < SPECTRAL_TOLERANCE) break
+  }
+  return x
+}
+
+function spectralOrder(adjacency) {
+  const order = new Int32Array(adjacency.nodeCount)
+  // Position of each node within its component
+  const local = new Int32Array(adjacency.nodeCount)
+  let at = 0
+  components(adjacency).forEach(nodes => {
+    const sorted = Array.from(nodes)
+    if (nodes.length > 2) {
+      const fiedler = fiedlerVector(adjacency, nodes, local)
+      const position = new Map()
+      nodes.forEach((u, i) => position.set(u, fiedler[i]))
+      sorted.sort((a, b) => position.get(a) - position.get(b) || a - b)
+    }
+    sorted.forEach(u => { order[at++] = u })
+  })
+  return order
+}
+
+/**
+ * Communities by label propagation: each node repeatedly takes the most
+ * common label among its neighbors, visiting nodes in a shuffled order
+ * and breaking ties at random. The PRNG is seeded, so the communities
+ * are the same on every run.
+ *
+ * @returns {Int32Array} - Community label per node
+ */
+export function labelPropagation({ nodeCount: n, offsets, neighbors }, seed = PROPAGATION_SEED) {
+  const random = createRandom(seed)
+  const label = Int32Array.from({ length: n }, (_, u) => u)
+  const visit = Int32Array.from({ length: n }, (_, u) => u)
+  const counts = new Map()
+  for (let round = 0; round < PROPAGATION_ROUNDS; round++) {
+    // Fisher-Yates shuffle of the visiting order
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1))
+      ;[visit[i], visit[j]] = [visit[j], visit[i]]
+    }
+    let changed = false
+    visit.forEach(u => {
+      if (offsets[u] === offsets[u + 1]) return
+      counts.clear()
+      let bestCount = 0
+      for (let i = offsets[u]; i < offsets[u + 1]; i++) {
+        const l = label[neighbors[i]]
+        const count = (counts.get(l) || 0) + 1
+        counts.set(l, count)
+        if (count > bestCount) bestCount = count
+      }
+      // Keep the current label when it is among the most common
+      if (counts.get(label[u]) === bestCount) return
+      let best = -1
+      let ties = 0
+      counts.forEach((count, l) => {
+        if (count === bestCount && random() * ++ties < 1) best = l
+      })
+      label[u] = best
+      changed = true
+    })
+    if (!changed) break
+  }
+  return label
+}
+
+function communityOrder(adjacency) {
+  const { nodeCount: n, degree } = adjacency
+  const label = labelPropagation(adjacency)
+  const size = new Map()
+  for (let u = 0; u < n; u++) size.set(label[u], (size.get(label[u]) || 0) + 1)
+  return Int32Array.from({ length: n }, (_, u) => u).sort((a, b) =>
+    size.get(label[b]) - size.get(label[a]) ||
+    label[a] - label[b] ||
+    degree[b] - degree[a] ||
+    a - b
+  )
+}
+
+/**
+ * Order the nodes of a network for the adjacency matrix.
+ *
+ * @param {Object} nodeLink - Nodelink JSON or packed network
+ * @param {string} ordering - One of ORDERINGS' values
+ * @returns {Int32Array} - node_idx at each row / column position
+ */
+export function matrixOrder(nodeLink, ordering) {
+  const adjacency = getAdjacency(nodeLink)
+  const { nodeCount: n, degree } = adjacency
+  const byIndex = () => Int32Array.from({ length: n }, (_, u) => u)
+
+  switch (ordering) {
+    case 'index':
+      return byIndex()
+    case 'degree':
+      return byIndex().sort((a, b) => degree[b] - degree[a] || a - b)
+    case 'core': {
+      const { core } = coreDecomposition(adjacency)
+      return byIndex().sort((a, b) => core[b] - core[a] || degree[b] - degree[a] || a - b)
+    }
+    case 'bfs':
+      return bfsOrder(adjacency, false)
+    case 'rcm':
+      return bfsOrder(adjacency, true)
+    case 'spectral':
+      return spectralOrder(adjacency)
+    case 'community':
+      return communityOrder(adjacency)
+    default:
+      throw new Error(`Unknown matrix ordering "${ordering}"`)
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * networkCache - LRU cache of loaded networks, persisted in IndexedDB
+ *
+ * Each entry holds everything needed to switch back to a network
+ * without refetching or recomputing it:
+ *
+ *   {
+ *     id,                 // network id
+ *     signature,          // catalog entry fingerprint; stale entries are ignored
+ *     networkData,        // { nodeLink, hopCensus, kSnakes } as loaded
+ *     validationReport,
+ *     derived: {
+ *       layout,           // { x: Float32Array, y: Float32Array } node-link positions
+ *       hopCensus,        // { [constituent]: census } computed in the browser
+ *       kSnakes,          // computed core decomposition
+ *       nodeMetrics       // { [metricId]: Float64Array } per-node metrics
+ *     },
+ *     lastUsed            // timestamp for LRU eviction
+ *   }
+ *
+ * Entries live in memory (most recently used first, up to
+ * settings.memoryEntries) and in IndexedDB (up to settings.storedEntries).
+ * IndexedDB keeps them in two stores: `entries` holds { id, signature,
+ * lastUsed }, indexed by lastUsed, so eviction never reads the graphs;
+ * `records` holds the rest as { id, key, value } records, one for the
+ * network data and report (key 'network') and one per derived item
+ * ('layout', 'kSnakes', 'nodeMetrics', 'hopCensus:<census key>'), so
+ * saving derived data only writes what changed.
+ * If IndexedDB is unavailable the cache silently works in memory only.
+ */
+
+const DB_NAME = 'syndesmoscope'
+const DB_VERSION = 2
+const ENTRY_STORE = 'entries'
+const RECORD_STORE = 'records'
+const SETTINGS_KEY = 'syndesmoscope-cache-settings'
+
+// Record key prefix of the computed censuses
+const CENSUS_PREFIX = 'hopCensus:'
+
+// Bump when the entry format changes, to invalidate stored entries
+const CACHE_FORMAT = 1
+
+export const DEFAULT_CACHE_SETTINGS = {
+  memoryEntries: 5,
+  storedEntries: 20,
+}
+
+/**
+ * Fingerprint of a catalog entry, so cached data is dropped when the
+ * dataset it came from changes.
+ */
+export function cacheSignature(entry) {
+  if (!entry) return `${CACHE_FORMAT}`
+  return `${CACHE_FORMAT}:${entry.id}:${entry.nodes}:${entry.edges}:${(entry.files || []).join(',')}`
+}
+
+// Promise wrapper for an IDBRequest
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'))
+  }
+  const req = indexedDB.open(DB_NAME, DB_VERSION)
+  req.onupgradeneeded = () => {
+    const db = req.result
+    // Version 1 kept whole entries in one store
+    if (db.objectStoreNames.contains('networks')) db.deleteObjectStore('networks')
+    db.createObjectStore(ENTRY_STORE, { keyPath: 'id' })
+      .createIndex('lastUsed', 'lastUsed')
+    db.createObjectStore(RECORD_STORE, { keyPath: ['id', 'key'] })
+  }
+  return request(req)
+}
+
+// Key range of every record of an entry
+function recordRange(id) {
+  return IDBKeyRange.bound([id], [id, []])
+}
+
+// Records of derived data, as [key, value] pairs
+function derivedRecords(derived) {
+  return Object.entries(derived).flatMap(([key, value]) => key === 'hopCensus'
+    ? Object.entries(value || {}).map(([censusKey, census]) => [CENSUS_PREFIX + censusKey, census])
+    : [[key, value]])
+}
+
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY))
+    return { ...DEFAULT_CACHE_SETTINGS, ...stored }
+  } catch {
+    return { ...DEFAULT_CACHE_SETTINGS }
+  }
+}
+
+// Merge derived data, combining per-constituent census maps
+export function mergeDerived(current = {}, patch = {}) {
+  return {
+    ...current,
+    ...patch,
+    hopCensus: { ...current.hopCensus, ...patch.hopCensus },
+  }
+}
+
+export class NetworkCache {
+  constructor() {
+    this.memory = new Map()
+    this.settings = loadSettings()
+    this.dbPromise = openDatabase().catch(err => {
+      console.warn('Network cache is memory-only:', err.message)
+      return null
+    })
+  }
+
+  /**
+   * Look up an entry, in memory first, then in IndexedDB.
+   * Returns null on a miss or when the stored signature differs.
+   */
+  async get(id, signature) {
+    const entry = await this.lookup(id)
+    if (!entry || entry.signature !== signature) return null
+
+    this.touch(entry)
+    return entry
+  }
+
+  async lookup(id) {
+    if (this.memory.has(id)) return this.memory.get(id)
+
+    const db = await this.dbPromise
+    if (!db) return null
+    try {
+      const transaction = db.transaction([ENTRY_STORE, RECORD_STORE])
+      const [meta, records] = await Promise.all([
+        request(transaction.objectStore(ENTRY_STORE).get(id)),
+        request(transaction.objectStore(RECORD_STORE).getAll(recordRange(id)))
+      ])
+      if (!meta) return null
+
+      const entry = { ...meta, networkData: null, validationReport: null, derived: mergeDerived() }
+      records.forEach(({ key, value }) => {
+        if (key === 'network') {
+          entry.networkData = value.networkData
+          entry.validationReport = value.validationReport
+        } else if (key.startsWith(CENSUS_PREFIX)) {
+          entry.derived.hopCensus[key.slice(CENSUS_PREFIX.length)] = value
+        } else {
+          entry.derived[key] = value
+        }
+      })
+      return entry.networkData ? entry : null
+    } catch (err) {
+      console.warn('Failed to read network cache:', err)
+      return null
+    }
+  }
+
+  /**
+   * Store a new entry (replacing any previous one for the same id).
+   * Transient entries (e.g. imported networks, whose ids are only unique
+   * within a session) are kept in memory but never written to IndexedDB.
+   */
+  async set(id, signature, networkData, validationReport, { transient = false } = {}) {
+    const entry = {
+      id,
+      signature,
+      networkData,
+      validationReport,
+      derived: mergeDerived(),
+      transient,
+      lastUsed: Date.now(),
+    }
+    this.remember(entry)
+    await this.persist(entry)
+  }
+
+  // Merge derived data (layout, computed invariants) into an entry,
+  // writing only the records of the patch
+  async updateDerived(id, patch) {
+    const entry = this.memory.get(id)
+    if (entry) {
+      entry.derived = mergeDerived(entry.derived, patch)
+      if (entry.transient) return
+    }
+
+    const db = await this.dbPromise
+    if (!db || this.settings.storedEntries <= 0) return
+    try {
+      // Only entries still stored get their derived data written
+      const stored = await request(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).count(id))
+      if (stored === 0) return
+      const records = db.transaction(RECORD_STORE, 'readwrite').objectStore(RECORD_STORE)
+      await Promise.all(derivedRecords(patch).map(([key, value]) => request(records.put({ id, key, value }))))
+    } catch (err) {
+      console.warn('Failed to write network cache:', err)
+    }
+  }
+
+  // Mark an entry as most recently used
+  touch(entry) {
+    entry.lastUsed = Date.now()
+    this.remember(entry)
+    this.persistLastUsed(entry)
+  }
+
+  // Move an entry to the front of the memory LRU and enforce its limit
+  remember(entry) {
+    this.memory.delete(entry.id)
+    this.memory.set(entry.id, entry)
+
+    while (this.memory.size > this.settings.memoryEntries) {
+      const oldest = this.memory.keys().next().value
+      this.memory.delete(oldest)
+    }
+  }
+
+  // Write an entry to IndexedDB and evict the least recently used ones
+  async persist(entry) {
+    const db = await this.dbPromise
+    if (!db || entry.transient || this.settings.storedEntries <= 0) return
+
+    const { id, signature, lastUsed, networkData, validationReport, derived } = entry
+    try {
+      const transaction = db.transaction([ENTRY_STORE, RECORD_STORE], 'readwrite')
+      const records = transaction.objectStore(RECORD_STORE)
+      records.delete(recordRange(id))
+      records.put({ id, key: 'network', value: { networkData, validationReport } })
+      derivedRecords(derived).forEach(([key, value]) => records.put({ id, key, value }))
+      await request(transaction.objectStore(ENTRY_STORE).put({ id, signature, lastUsed }))
+      await this.evictStored()
+    } catch (err) {
+      // Quota errors and the like only cost us persistence
+      console.warn('Failed to write network cache:', err)
+    }
+  }
+
+  // Write the last use of a stored entry, without its data
+  async persistLastUsed(entry) {
+    const db = await this.dbPromise
+    if (!db || entry.transient) return
+
+    try {
+      const store = db.transaction(ENTRY_STORE, 'readwrite').objectStore(ENTRY_STORE)
+      const meta = await request(store.get(entry.id))
+      if (meta) await request(store.put({ ...meta, lastUsed: entry.lastUsed }))
+    } catch (err) {
+      console.warn('Failed to write network cache:', err)
+    }
+  }
+
+  // Delete the stored entries past the limit, least recently used first,
+  // walking the lastUsed index with a key cursor (no entry is read)
+  async evictStored() {
+    const db = await this.dbPromise
+    if (!db) return
+
+    const transaction = db.transaction([ENTRY_STORE, RECORD_STORE], 'readwrite')
+    const entries = transaction.objectStore(ENTRY_STORE)
+    const records = transaction.objectStore(RECORD_STORE)
+    let kept = 0
+    await new Promise((resolve, reject) => {
+      const req = entries.index('lastUsed').openKeyCursor(null, 'prev')
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor) return resolve()
+        if (kept < this.settings.storedEntries) {
+          kept++
+        } else {
+          entries.delete(cursor.primaryKey)
+          records.delete(recordRange(cursor.primaryKey))
+        }
+        cursor.continue()
+      }
+      req.onerror = () => reject(req.error)
+    })
+  }
+
+  async setSettings(settings) {
+    this.settings = { ...this.settings, ...settings }
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings))
+
+    // Apply the new limits right away
+    const entries = Array.from(this.memory.values())
+    this.memory.clear()
+    entries.forEach(entry => this.remember(entry))
+    await this.evictStored()
+  }
+
+  async clear() {
+    this.memory.clear()
+    const db = await this.dbPromise
+    if (db) {
+      const transaction = db.transaction([ENTRY_STORE, RECORD_STORE], 'readwrite')
+      transaction.objectStore(RECORD_STORE).clear()
+      await request(transaction.objectStore(ENTRY_STORE).clear())
+    }
+  }
+
+  /**
+   * @returns {Object} - { memoryEntries, storedEntries, persistent }
+   */
+  async stats() {
+    const db = await this.dbPromise
+    let storedEntries = 0
+    if (db) {
+      storedEntries = await request(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).count())
+    }
+    return {
+      memoryEntries: this.memory.size,
+      storedEntries,
+      persistent: Boolean(db),
+    }
+  }
+}
@@ -0,0 +1,277 @@
+import { quadtree } from 'd3'
+
+/**
+ * nodeLinkCanvas - Canvas rendering and hit-testing of a node-link diagram
+ *
+ * With many thousands of edges, one SVG element per edge makes every
+ * simulation tick and every highlight pass slow. The canvas path redraws
+ * the whole diagram instead (one stroked path per edge color and width,
+ * one filled path per node color), and finds what lies under the pointer
+ * with quadtrees over the node positions and the edge midpoints.
+ *
+ * Nodes and edges are the simulation objects of NodeLinkPane: nodes
+ * { node_idx, x, y }, edges { edge_idx, source, target, bend } with
+ * resolved source and target nodes. The geometry is that of the SVG
+ * path: straight edges, or reciprocal arcs bent into quadratic curves.
+ */
+
+// Arrowhead size (user units), as the SVG markers
+const ARROW_LENGTH = 6
+const ARROW_HALF_WIDTH = 3
+
+// Segments of a bent edge, for hit-testing
+const CURVE_SAMPLES = 8
+
+/**
+ * Control point and (inset) end of an edge: a quadratic curve bent to the
+ * right of the direction of travel, whose end is pulled back by `inset`
+ * along the incoming tangent so arrowheads touch the node's rim. The
+ * control point is the midpoint for straight edges.
+ */
+export function edgeGeometry(source, target, bend, inset) {
+  const dx = target.x - source.x
+  const dy = target.y - source.y
+  const cx = (source.x + target.x) / 2 - dy * bend
+  const cy = (source.y + target.y) / 2 + dx * bend
+
+  const tx = target.x - cx
+  const ty = target.y - cy
+  const length = Math.hypot(tx, ty) || 1
+  return {
+    cx,
+    cy,
+    x2: target.x - tx / length * inset,
+    y2: target.y - ty / length * inset,
+    // Unit direction at the end, for arrowheads
+    ux: tx / length,
+    uy: ty / length
+  }
+}
+
+/**
+ * Canvas colors, from the CSS variables.
+ */
+export function readNodeLinkColors(element) {
+  const style = getComputedStyle(element)
+  const color = (name) => style.getPropertyValue(name).trim()
+  return {
+    node: color('--color-text-secondary'),
+    edge: color('--color-border'),
+    nodeSelected: color('--color-node-selected'),
+    nodeHover: color('--color-node-hover'),
+    edgeSelected: color('--color-edge-selected'),
+    edgeHover: color('--color-edge-hover')
+  }
+}
+
+function traceEdge(ctx, edge, inset) {
+  const { source, target, bend } = edge
+  const { cx, cy, x2, y2 } = edgeGeometry(source, target, bend, inset)
+  ctx.moveTo(source.x, source.y)
+  if (bend) ctx.quadraticCurveTo(cx, cy, x2, y2)
+  else ctx.lineTo(x2, y2)
+}
+
+function traceArrow(ctx, edge, inset) {
+  const { x2, y2, ux, uy } = edgeGeometry(edge.source, edge.target, edge.bend, inset)
+  const bx = x2 - ux * ARROW_LENGTH
+  const by = y2 - uy * ARROW_LENGTH
+  ctx.moveTo(x2, y2)
+  ctx.lineTo(bx - uy * ARROW_HALF_WIDTH, by + ux * ARROW_HALF_WIDTH)
+  ctx.lineTo(bx + uy * ARROW_HALF_WIDTH, by - ux * ARROW_HALF_WIDTH)
+  ctx.closePath()
+}
+
+/**
+ * Draw the diagram, as the SVG would look: edges below nodes, hovered and
+ * then selected elements on top, enlarged.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas of
+ *   width x height CSS pixels at `dpr` device pixels each
+ * @param {Object} scene - { nodes, edges, widths (per-edge stroke widths,
+ *   or null for 1), directed, inset, nodeRadius, highlightRadius }
+ * @param {Object} view - { width, height, dpr, transform (d3 zoom),
+ *   colors (see readNodeLinkColors), hoveredNodes, hoveredEdges,
+ *   selectedNodes, selectedEdges }
+ */
+export function drawNodeLink(ctx, scene, view) {
+  const { nodes, edges, widths, directed, inset, nodeRadius, highlightRadius } = scene
+  const { width, height, dpr, transform, colors, hoveredNodes, hoveredEdges, selectedNodes, selectedEdges } = view
+
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+  ctx.clearRect(0, 0, width, height)
+  ctx.save()
+  ctx.translate(transform.x, transform.y)
+  ctx.scale(transform.k, transform.k)
+  ctx.lineCap = 'round'
+
+  // Edges of one color, one path per stroke width
+  const strokeEdges = (indices, color, extraWidth) => {
+    const byWidth = new Map()
+    indices.forEach(e => {
+      if (e >= edges.length) return
+      const lineWidth = (widths ? Math.round(widths[e] * 4) / 4 : 1) + extraWidth
+      if (!byWidth.has(lineWidth)) byWidth.set(lineWidth, [])
+      byWidth.get(lineWidth).push(e)
+    })
+
+    ctx.strokeStyle = color
+    byWidth.forEach((group, lineWidth) => {
+      ctx.lineWidth = lineWidth
+      ctx.beginPath()
+      group.forEach(e => traceEdge(ctx, edges[e], inset))
+      ctx.stroke()
+    })
+
+    if (directed) {
+      ctx.fillStyle = color
+      ctx.beginPath()
+      byWidth.forEach(group => group.forEach(e => traceArrow(ctx, edges[e], inset)))
+      ctx.fill()
+    }
+  }
+
+  // Nodes of one color and radius, as one path
+  const fillNodes = (indices, color, radius) => {
+    ctx.fillStyle = color
+    ctx.beginPath()
+    indices.forEach(i => {
+      const node = nodes[i]
+      if (!node) return
+      ctx.moveTo(node.x + radius, node.y)
+      ctx.arc(node.x, node.y, radius, 0, 2 * Math.PI)
+    })
+    ctx.fill()
+  }
+
+  const plainEdges = []
+  for (let e = 0; e < edges.length; e++) {
+    if (!hoveredEdges.has(e) && !selectedEdges.has(e)) plainEdges.push(e)
+  }
+  strokeEdges(plainEdges, colors.edge, 0)
+  strokeEdges(Array.from(hoveredEdges).filter(e => !selectedEdges.has(e)), colors.edgeHover, 1)
+  strokeEdges(selectedEdges, colors.edgeSelected, 1)
+
+  const plainNodes = []
+  for (let i = 0; i < nodes.length; i++) {
+    if (!hoveredNodes.has(i) && !selectedNodes.has(i)) plainNodes.push(i)
+  }
+  fillNodes(plainNodes, colors.node, nodeRadius)
+  fillNodes(Array.from(hoveredNodes).filter(i => !selectedNodes.has(i)), colors.nodeHover, highlightRadius)
+  fillNodes(selectedNodes, colors.nodeSelected, highlightRadius)
+
+  ctx.restore()
+}
+
+// Distance from (px, py) to the segment (ax, ay)-(bx, by)
+function segmentDistance(px, py, ax, ay, bx, by) {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy)
+}
+
+// Distance from (px, py) to an edge, its curve approximated by segments
+function edgeDistance(px, py, edge, inset) {
+  const { source, bend } = edge
+  const { cx, cy, x2, y2 } = edgeGeometry(source, edge.target, bend, inset)
+  if (!bend) return segmentDistance(px, py, source.x, source.y, x2, y2)
+
+  let best = Infinity
+  let ax = source.x
+  let ay = source.y
+  for (let s = 1; s <= CURVE_SAMPLES; s++) {
+    const t = s / CURVE_SAMPLES
+    const u = 1 - t
+    const bx = u * u * source.x + 2 * u * t * cx + t * t * x2
+    const by = u * u * source.y + 2 * u * t * cy + t * t * y2
+    best = Math.min(best, segmentDistance(px, py, ax, ay, bx, by))
+    ax = bx
+    ay = by
+  }
+  return best
+}
+
+/**
+ * Hit-testing of nodes and edges, in simulation coordinates. The
+ * quadtrees are built on first use after the positions change
+ * (invalidate), so a running simulation costs nothing until the pointer
+ * moves.
+ *
+ * @param {Object} scene - { nodes, edges, inset } (see drawNodeLink)
+ * @returns {Object} - { invalidate, nodeAt(x, y, radius), edgeAt(x, y, tolerance) },
+ *   the finders returning a node_idx / edge_idx or null
+ */
+export function createNodeLinkHitTester({ nodes, edges, inset }) {
+  let nodeTree = null
+  let edgeTree = null
+
+  // Quadtree of the edge midpoints; each quad's `reach` is the largest
+  // distance from the midpoint of an edge inside it to any point of that
+  // edge, so a search only widens each quad by the edges it holds
+  const buildEdgeTree = () => {
+    const midpoints = edges.map(edge => {
+      const { source, target, bend } = edge
+      const { cx, cy, x2, y2 } = edgeGeometry(source, target, bend, inset)
+      // Point at t = 1/2 of the curve (the midpoint of straight edges)
+      const x = (source.x + 2 * cx + x2) / 4
+      const y = (source.y + 2 * cy + y2) / 4
+      // The curve lies within the triangle of its end and control points
+      const reach = Math.max(
+        Math.hypot(source.x - x, source.y - y),
+        Math.hypot(x2 - x, y2 - y),
+        Math.hypot(cx - x, cy - y)
+      )
+      return { x, y, reach, edge }
+    })
+    return quadtree(midpoints, d => d.x, d => d.y).visitAfter((quad) => {
+      let reach = 0
+      if (quad.length) {
+        quad.forEach(child => {
+          if (child) reach = Math.max(reach, child.reach)
+        })
+      } else {
+        for (let leaf = quad; leaf; leaf = leaf.next) reach = Math.max(reach, leaf.data.reach)
+      }
+      quad.reach = reach
+    })
+  }
+
+  return {
+    invalidate() {
+      nodeTree = null
+      edgeTree = null
+    },
+
+    nodeAt(x, y, radius) {
+      if (!nodeTree) nodeTree = quadtree(nodes, d => d.x, d => d.y)
+      const node = nodeTree.find(x, y, radius)
+      return node ? node.node_idx : null
+    },
+
+    edgeAt(x, y, tolerance) {
+      if (!edgeTree) edgeTree = buildEdgeTree()
+      let best = null
+      let bestDistance = tolerance
+
+      edgeTree.visit((quad, x0, y0, x1, y1) => {
+        const limit = quad.reach + tolerance
+        if (x0 > x + limit || x1 < x - limit || y0 > y + limit || y1 < y - limit) return true
+        if (quad.length) return false
+        for (let leaf = quad; leaf; leaf = leaf.next) {
+          const { x: mx, y: my, reach, edge } = leaf.data
+          if (Math.hypot(mx - x, my - y) > reach + tolerance) continue
+          const distance = edgeDistance(x, y, edge, inset)
+          if (distance <= bestDistance) {
+            best = edge.edge_idx
+            bestDistance = distance
+          }
+        }
+        return true
+      })
+
+      return best
+    }
+  }
+}
@@ -0,0 +1,183 @@
+import { buildAdjacency, bfs } from './graph'
+import { coreDecomposition } from './kCore'
+
+/**
+ * nodeMetrics - Per-node centralities and structural measures
+ *
+ * Computed on the undirected, unweighted view of the network (the total
+ * adjacency), with self-loops and parallel edges collapsed for the
+ * path-based and triangle-based measures:
+ *
+ * - degree: number of incident edges, as stored in the network
+ * - core: core number
+ * - eccentricity: largest hop distance to a node of the same component
+ * - closeness: Wasserman-Faust closeness, (r - 1) / (n - 1) times the
+ *   inverse mean distance to the r - 1 other nodes the node reaches, so
+ *   nodes of small components rank low rather than high
+ * - betweenness: Brandes betweenness, normalized by the number of node
+ *   pairs not involving the node, (n - 1)(n - 2) / 2
+ * - clustering: local clustering coefficient, the share of neighbor
+ *   pairs that are adjacent (0 below two neighbors)
+ * - component: connected component id, by decreasing component size
+ *
+ * Closeness, eccentricity and betweenness take one BFS per node; the run
+ * reports progress per source.
+ */
+
+export const NODE_METRICS = [
+  { id: 'degree', label: 'Degree', integer: true },
+  { id: 'core', label: 'Core', integer: true },
+  { id: 'eccentricity', label: 'Ecc.', integer: true },
+  { id: 'closeness', label: 'Closeness', integer: false },
+  { id: 'betweenness', label: 'Betweenness', integer: false },
+  { id: 'clustering', label: 'Clustering', integer: false },
+  { id: 'component', label: 'Component', integer: true }
+]
+
+/**
+ * Simple undirected adjacency: no self-loops, each neighbor once.
+ */
+function simpleAdjacency(nodeCount, sources, targets) {
+  const adjacency = buildAdjacency(nodeCount, sources, targets)
+  const { offsets, neighbors } = adjacency
+  const mark = new Int32Array(nodeCount).fill(-1)
+  const simpleOffsets = new Int32Array(nodeCount + 1)
+  const simpleNeighbors = new Int32Array(neighbors.length)
+  let count = 0
+  for (let u = 0; u < nodeCount; u++) {
+    mark[u] = u
+    for (let i = offsets[u]; i < offsets[u + 1]; i++) {
+      const w = neighbors[i]
+      if (mark[w] === u) continue
+      mark[w] = u
+      simpleNeighbors[count++] = w
+    }
+    simpleOffsets[u + 1] = count
+  }
+  return {
+    adjacency,
+    simple: { nodeCount, offsets: simpleOffsets, neighbors: simpleNeighbors.slice(0, count) }
+  }
+}
+
+/**
+ * Connected component ids, 0 for the largest component.
+ */
+function components(simple, dist, queue) {
+  const { nodeCount } = simple
+  const raw = new Int32Array(nodeCount).fill(-1)
+  const sizes = []
+  for (let s = 0; s < nodeCount; s++) {
+    if (raw[s] !== -1) continue
+    const reached = bfs(simple, s, dist, queue)
+    for (let i = 0; i < reached; i++) raw[queue[i]] = sizes.length
+    sizes.push(reached)
+  }
+  // Renumber by decreasing size
+  const rank = new Int32Array(sizes.length)
+  Array.from(sizes.keys())
+    .sort((a, b) => sizes[b] - sizes[a] || a - b)
+    .forEach((id, i) => { rank[id] = i })
+  return raw.map(id => rank[id])
+}
+
+function clustering(simple) {
+  const { nodeCount, offsets, neighbors } = simple
+  const mark = new Int32Array(nodeCount).fill(-1)
+  const result = new Float64Array(nodeCount)
+  for (let u = 0; u < nodeCount; u++) {
+    const k = offsets[u + 1] - offsets[u]
+    if (k < 2) continue
+    for (let i = offsets[u]; i < offsets[u + 1]; i++) mark[neighbors[i]] = u
+    let links = 0
+    for (let i = offsets[u]; i < offsets[u + 1]; i++) {
+      const v = neighbors[i]
+      for (let j = offsets[v]; j < offsets[v + 1]; j++) {
+        if (mark[neighbors[j]] === u) links++
+      }
+    }
+    // Each link between neighbors is seen from both ends
+    result[u] = links / (k * (k - 1))
+  }
+  return result
+}
+
+/**
+ * Compute every metric (see module doc).
+ *
+ * @param {number} nodeCount - Number of nodes (node_idx 0..nodeCount-1)
+ * @param {Int32Array} sources - Edge source indices
+ * @param {Int32Array} targets - Edge target indices
+ * @param {Function} onProgress - Optional, called with (done, total)
+ *   after each BFS source
+ * @returns {Object} - { [metricId]: Float64Array } by node_idx
+ */
+export function computeNodeMetrics(nodeCount, sources, targets, onProgress = null) {
+  const { adjacency, simple } = simpleAdjacency(nodeCount, sources, targets)
+  const { offsets, neighbors } = simple
+  const n = nodeCount
+
+  const dist = new Int32Array(n)
+  const queue = new Int32Array(n)
+  const sigma = new Float64Array(n)
+  const delta = new Float64Array(n)
+
+  const eccentricity = new Float64Array(n)
+  const closeness = new Float64Array(n)
+  const betweenness = new Float64Array(n)
+
+  for (let s = 0; s < n; s++) {
+    // BFS from s counting shortest paths (Brandes)
+    dist.fill(-1)
+    sigma.fill(0)
+    dist[s] = 0
+    sigma[s] = 1
+    queue[0] = s
+    let head = 0
+    let tail = 1
+    let total = 0
+    while (head < tail) {
+      const v = queue[head++]
+      total += dist[v]
+      for (let i = offsets[v]; i < offsets[v + 1]; i++) {
+        const w = neighbors[i]
+        if (dist[w] === -1) {
+          dist[w] = dist[v] + 1
+          queue[tail++] = w
+        }
+        if (dist[w] === dist[v] + 1) sigma[w] += sigma[v]
+      }
+    }
+
+    const reached = tail
+    eccentricity[s] = dist[queue[reached - 1]]
+    closeness[s] = total > 0 && n > 1 ? ((reached - 1) / (n - 1)) * ((reached - 1) / total) : 0
+
+    // Dependency accumulation, farthest nodes first
+    delta.fill(0)
+    for (let q = reached - 1; q > 0; q--) {
+      const w = queue[q]
+      for (let i = offsets[w]; i < offsets[w + 1]; i++) {
+        const v = neighbors[i]
+        if (dist[v] === dist[w] - 1) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w])
+      }
+      betweenness[w] += delta[w]
+    }
+
+    if (onProgress) onProgress(s + 1, n)
+  }
+
+  // Each pair is counted from both ends
+  const pairs = (n - 1) * (n - 2)
+  for (let u = 0; u < n; u++) betweenness[u] = pairs > 0 ? betweenness[u] / pairs : 0
+
+  return {
+    degree: Float64Array.from(adjacency.degree),
+    core: Float64Array.from(coreDecomposition(adjacency).core),
+    eccentricity,
+    closeness,
+    betweenness,
+    clustering: clustering(simple),
+    component: Float64Array.from(components(simple, dist, queue))
+  }
+}
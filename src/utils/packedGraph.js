@@ -0,0 +1,211 @@
+// Explicit extensions: scripts/pack-networks.js loads this module in Node
+import { buildAdjacency } from './graph.js'
+import { extractColumns, RESERVED_KEYS } from './attributes.js'
+
+/**
+ * packedGraph - Compact binary network format (network.bin)
+ *
+ * A packed network stores the graph as typed arrays, so loading it means
+ * wrapping views over one ArrayBuffer instead of parsing and allocating
+ * an object per node and edge:
+ *
+ *   bytes 0-3     magic "SYND"
+ *   bytes 4-7     header length H (uint32, little-endian)
+ *   bytes 8..     header: UTF-8 JSON, H bytes
+ *   (padding to a multiple of 8)
+ *   array data    each array 8-byte aligned, at the offset given in the header
+ *
+ * Header:
+ *
+ *   {
+ *     "format": "syndesmoscope-packed",
+ *     "version": 1,
+ *     "metadata": { "name": "polblogs", "nodes": 1222, "edges": 16714 },
+ *     "nodes": 1222,
+ *     "edges": 16714,
+ *     "directed": false,
+ *     "arrays": {
+ *       "sources":   { "type": "Uint16", "offset": 0, "length": 16714 },
+ *       "targets":   { ... },   // edge_idx -> endpoint node_idx
+ *       "offsets":   { ... },   // CSR row offsets, length nodes + 1
+ *       "neighbors": { ... },   // CSR neighbor lists, length 2 * edges
+ *       "weights":   { ... }    // Float64 edge weights, weighted networks only
+ *     },
+ *     "attributes": {            // optional, see utils/attributes
+ *       "nodes": { "label": ["Myriel", ...] },
+ *       "edges": {}
+ *     }
+ *   }
+ *
+ * Node indices use Uint16 when they fit, Uint32 otherwise. The CSR is the
+ * one buildAdjacency() produces from the edge arrays (neighbors in edge
+ * order), so algorithms get identical results from either format; for
+ * directed networks it is the total (undirected) adjacency. Array data is
+ * little-endian, which is what every supported platform uses.
+ *
+ * Decoded networks take the place of nodelink data in NetworkContext:
+ *   { metadata, packed: { nodeCount, edgeCount, directed, sources, targets,
+ *                         weights, offsets, neighbors, degree, attributes } }
+ * where weights is null for unweighted networks.
+ * Use the accessors in utils/graph rather than .nodes / .edges.
+ */
+
+export const PACKED_FORMAT = 'syndesmoscope-packed'
+export const PACKED_VERSION = 1
+
+const MAGIC = 'SYND'
+const PREAMBLE = 8
+const ALIGN = 8
+
+const ARRAY_TYPES = {
+  Uint16: Uint16Array,
+  Uint32: Uint32Array,
+  Int32: Int32Array,
+  Float32: Float32Array,
+  Float64: Float64Array,
+}
+
+const align = (n) => Math.ceil(n / ALIGN) * ALIGN
+
+export class PackedGraphError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PackedGraphError'
+  }
+}
+
+/**
+ * Encode nodelink JSON (nodes in node_idx order) as a packed network.
+ *
+ * @param {Object} nodeLink - { metadata, nodes, edges }
+ * @returns {ArrayBuffer}
+ */
+export function encodePackedGraph(nodeLink) {
+  const nodeCount = nodeLink.nodes.length
+  const edgeCount = nodeLink.edges.length
+  const IndexArray = nodeCount <= 0x10000 ? Uint16Array : Uint32Array
+  const indexType = IndexArray === Uint16Array ? 'Uint16' : 'Uint32'
+
+  const sources = IndexArray.from(nodeLink.edges, e => e.source)
+  const targets = IndexArray.from(nodeLink.edges, e => e.target)
+  const { offsets, neighbors } = buildAdjacency(nodeCount, sources, targets)
+
+  const arrays = {
+    sources: [indexType, sources],
+    targets: [indexType, targets],
+    offsets: ['Uint32', Uint32Array.from(offsets)],
+    neighbors: [indexType, IndexArray.from(neighbors)],
+  }
+  if (nodeLink.edges.some(e => e.weight !== undefined)) {
+    arrays.weights = ['Float64', Float64Array.from(nodeLink.edges, e => e.weight ?? 1)]
+  }
+  const directed = Boolean(nodeLink.metadata?.directed)
+
+  // Attribute columns go in the header as JSON
+  const attributes = {
+    nodes: extractColumns(nodeLink.nodes, RESERVED_KEYS.nodes),
+    edges: extractColumns(nodeLink.edges, RESERVED_KEYS.edges),
+  }
+  const hasAttributes = Object.keys(attributes.nodes).length + Object.keys(attributes.edges).length > 0
+
+  let dataLength = 0
+  const table = {}
+  Object.entries(arrays).forEach(([name, [type, array]]) => {
+    table[name] = { type, offset: dataLength, length: array.length }
+    dataLength = align(dataLength + array.byteLength)
+  })
+
+  const header = new TextEncoder().encode(JSON.stringify({
+    format: PACKED_FORMAT,
+    version: PACKED_VERSION,
+    metadata: { ...nodeLink.metadata, nodes: nodeCount, edges: edgeCount, directed },
+    nodes: nodeCount,
+    edges: edgeCount,
+    directed,
+    arrays: table,
+    ...(hasAttributes && { attributes }),
+  }))
+
+  const dataStart = align(PREAMBLE + header.length)
+  const buffer = new ArrayBuffer(dataStart + dataLength)
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(buffer)
+
+  bytes.set(new TextEncoder().encode(MAGIC), 0)
+  view.setUint32(4, header.length, true)
+  bytes.set(header, PREAMBLE)
+  Object.entries(arrays).forEach(([name, [, array]]) => {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), dataStart + table[name].offset)
+  })
+
+  return buffer
+}
+
+/**
+ * Decode a packed network. The typed arrays are views into `buffer`
+ * (no copies), except the per-node degree, derived from the offsets.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} - { metadata, packed } (see module doc)
+ * @throws {PackedGraphError} - When the buffer is not a packed network
+ */
+export function decodePackedGraph(buffer) {
+  if (buffer.byteLength < PREAMBLE) throw new PackedGraphError('File is too short')
+
+  const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 4))
+  if (magic !== MAGIC) throw new PackedGraphError('Not a packed network file')
+
+  const headerLength = new DataView(buffer).getUint32(4, true)
+  if (PREAMBLE + headerLength > buffer.byteLength) throw new PackedGraphError('Truncated header')
+
+  let header
+  try {
+    header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, PREAMBLE, headerLength)))
+  } catch {
+    throw new PackedGraphError('Unreadable header')
+  }
+  if (header.format !== PACKED_FORMAT) throw new PackedGraphError('Not a packed network file')
+  if (header.version > PACKED_VERSION) {
+    throw new PackedGraphError(`Packed format version ${header.version} is not supported`)
+  }
+
+  const dataStart = align(PREAMBLE + headerLength)
+  const readArray = (name) => {
+    const spec = header.arrays?.[name]
+    const TypedArray = ARRAY_TYPES[spec?.type]
+    if (!TypedArray) throw new PackedGraphError(`Missing or untyped array "${name}"`)
+    const byteOffset = dataStart + spec.offset
+    if (byteOffset % TypedArray.BYTES_PER_ELEMENT !== 0 ||
+        byteOffset + spec.length * TypedArray.BYTES_PER_ELEMENT > buffer.byteLength) {
+      throw new PackedGraphError(`Array "${name}" lies outside the file`)
+    }
+    return new TypedArray(buffer, byteOffset, spec.length)
+  }
+
+  const nodeCount = header.nodes
+  const offsets = readArray('offsets')
+  if (!Number.isInteger(nodeCount) || offsets.length !== nodeCount + 1) {
+    throw new PackedGraphError('Offsets do not match the node count')
+  }
+  const degree = new Int32Array(nodeCount)
+  for (let u = 0; u < nodeCount; u++) degree[u] = offsets[u + 1] - offsets[u]
+
+  return {
+    metadata: header.metadata || { nodes: nodeCount, edges: header.edges },
+    packed: {
+      nodeCount,
+      edgeCount: header.edges,
+      directed: Boolean(header.directed),
+      sources: readArray('sources'),
+      targets: readArray('targets'),
+      weights: header.arrays?.weights ? readArray('weights') : null,
+      offsets,
+      neighbors: readArray('neighbors'),
+      degree,
+      attributes: {
+        nodes: header.attributes?.nodes || {},
+        edges: header.attributes?.edges || {},
+      },
+    },
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * paneLayout - Arrangement of the panes, as a tree of splits
+ *
+ * A layout is a tree whose leaves are pane slots and whose inner nodes
+ * split their area between their children:
+ *
+ *   { id: 'p0', pane: 'nodelink' }                       // slot
+ *   { id: 's0', direction: 'horizontal' | 'vertical',     // split
+ *     children: [...], sizes: [50, 50] }                  // sizes in %
+ *
+ * A slot's pane is the id of a registered pane type (see
+ * components/panes/registry). Slot ids double as the panes' viewId
+ * (zoom state in the URL and sessions), so a slot keeps its id when its
+ * pane type changes. The operations below never modify a layout; they
+ * return a new one.
+ *
+ * Presets are named layouts: the built-in ones below, plus layouts saved
+ * by the user in localStorage. The current layout is stored there too,
+ * and restored on the next visit; deep links and sessions carry it as
+ * well (see utils/urlState and utils/session).
+ */
+
+const LAYOUT_KEY = 'syndesmoscope-pane-layout'
+const PRESETS_KEY = 'syndesmoscope-layout-presets'
+
+const slot = (id, pane) => ({ id, pane })
+const split = (id, direction, children, sizes) => ({ id, direction, children, sizes })
+
+export const BUILTIN_PRESETS = {
+  'All panes': split('s0', 'horizontal', [
+    slot('p0', 'nodelink'),
+    slot('p1', 'ksnakes'),
+    slot('p2', 'hopcensus'),
+    slot('p3', 'matrix'),
+    slot('p4', 'censuscensus'),
+    slot('p5', 'graphprism'),
+    slot('p6', 'degree'),
+    slot('p7', 'metrics')
+  ], [16, 12, 12, 12, 12, 12, 12, 12]),
+  'Compare invariants': split('s0', 'horizontal', [
+    slot('p0', 'nodelink'),
+    split('s1', 'vertical', [slot('p1', 'ksnakes'), slot('p2', 'hopcensus')], [50, 50]),
+    split('s2', 'vertical', [slot('p4', 'censuscensus'), slot('p5', 'graphprism')], [50, 50])
+  ], [30, 35, 35]),
+  'Single big node-link': split('s0', 'horizontal', [
+    slot('p0', 'nodelink')
+  ], [100])
+}
+
+export const DEFAULT_PRESET = 'All panes'
+
+export function isSplit(node) {
+  return Array.isArray(node.children)
+}
+
+/**
+ * Slots of a layout, in reading order.
+ */
+export function layoutSlots(node) {
+  return isSplit(node) ? node.children.flatMap(layoutSlots) : [node]
+}
+
+// Next unused id with the given prefix ('p' for slots, 's' for splits)
+function nextId(layout, prefix) {
+  let max = -1
+  const visit = (node) => {
+    if (node.id.startsWith(prefix)) max = Math.max(max, Number(node.id.slice(1)))
+    if (isSplit(node)) node.children.forEach(visit)
+  }
+  visit(layout)
+  return `${prefix}${max + 1}`
+}
+
+// Copy of the layout with the node of the given id replaced by
+// replace(node), or removed where replace returns null
+function replaceNode(node, id, replace) {
+  if (node.id === id) return replace(node)
+  if (!isSplit(node)) return node
+  const children = []
+  const sizes = []
+  node.children.forEach((child, i) => {
+    const next = replaceNode(child, id, replace)
+    if (next) {
+      children.push(next)
+      sizes.push(node.sizes[i])
+    }
+  })
+  return { ...node, children, sizes: normalizeSizes(sizes) }
+}
+
+function normalizeSizes(sizes) {
+  const total = sizes.reduce((sum, size) => sum + size, 0)
+  return total > 0 ? sizes.map(size => (size * 100) / total) : sizes.map(() => 100 / sizes.length)
+}
+
+// Replace splits holding a single child by that child (except the root,
+// which stays a split so the top-level panel group always exists), and
+// merge splits into an enclosing split of the same direction
+function collapse(node, isRoot = true) {
+  if (!isSplit(node)) return node
+  const children = []
+  const sizes = []
+  node.children.forEach((child, i) => {
+    const next = collapse(child, false)
+    if (isSplit(next) && next.direction === node.direction) {
+      next.children.forEach((grandchild, j) => {
+        children.push(grandchild)
+        sizes.push((node.sizes[i] * next.sizes[j]) / 100)
+      })
+    } else {
+      children.push(next)
+      sizes.push(node.sizes[i])
+    }
+  })
+  if (!isRoot && children.length === 1) return children[0]
+  return { ...node, children, sizes }
+}
+
+function findParent(node, id) {
+  if (!isSplit(node)) return null
+  if (node.children.some(child => child.id === id)) return node
+  for (const child of node.children) {
+    const parent = findParent(child, id)
+    if (parent) return parent
+  }
+  return null
+}
+
+/**
+ * Change the pane type of a slot.
+ */
+export function setPaneType(layout, slotId, pane) {
+  return replaceNode(layout, slotId, node => ({ ...node, pane }))
+}
+
+/**
+ * Add a slot next to another one, splitting its area in two along the
+ * given direction ('horizontal': side by side, 'vertical': stacked).
+ */
+export function splitSlot(layout, slotId, direction, pane) {
+  const added = slot(nextId(layout, 'p'), pane)
+  const parent = findParent(layout, slotId)
+
+  // Same direction as the enclosing split: insert a sibling after it
+  if (parent && parent.direction === direction) {
+    return replaceNode(layout, parent.id, node => {
+      const i = node.children.findIndex(child => child.id === slotId)
+      const half = node.sizes[i] / 2
+      return {
+        ...node,
+        children: [...node.children.slice(0, i + 1), added, ...node.children.slice(i + 1)],
+        sizes: [...node.sizes.slice(0, i), half, half, ...node.sizes.slice(i + 1)]
+      }
+    })
+  }
+
+  const splitId = nextId(layout, 's')
+  return replaceNode(layout, slotId, node => split(splitId, direction, [node, added], [50, 50]))
+}
+
+/**
+ * Remove a slot; the last slot of a layout can't be removed.
+ */
+export function removeSlot(layout, slotId) {
+  if (layoutSlots(layout).length <= 1) return layout
+  return collapse(replaceNode(layout, slotId, () => null))
+}
+
+/**
+ * Move a slot among its siblings by offset (-1: left/up, 1: right/down).
+ */
+export function moveSlot(layout, slotId, offset) {
+  const parent = findParent(layout, slotId)
+  if (!parent) return layout
+  const i = parent.children.findIndex(child => child.id === slotId)
+  const j = i + offset
+  if (j < 0 || j >= parent.children.length) return layout
+  return replaceNode(layout, parent.id, node => {
+    const children = [...node.children]
+    const sizes = [...node.sizes]
+    ;[children[i], children[j]] = [children[j], children[i]]
+    ;[sizes[i], sizes[j]] = [sizes[j], sizes[i]]
+    return { ...node, children, sizes }
+  })
+}
+
+/**
+ * Record the sizes of a split (e.g. after the user drags a handle).
+ */
+export function setSplitSizes(layout, splitId, sizes) {
+  return replaceNode(layout, splitId, node =>
+    node.sizes.length === sizes.length ? { ...node, sizes } : node
+  )
+}
+
+/**
+ * Ids of the slots of `next` whose pane is not the one in `prev` (new
+ * slots included): their panes start afresh when `next` replaces `prev`.
+ */
+export function changedSlots(prev, next) {
+  const panes = new Map(layoutSlots(prev).map(slot => [slot.id, slot.pane]))
+  return new Set(layoutSlots(next).filter(slot => panes.get(slot.id) !== slot.pane).map(slot => slot.id))
+}
+
+/**
+ * Check the shape of a layout read from storage, a link or a file. Ids
+ * must be unique and numbered like the ones the edits make ("p3" for a
+ * slot, "s1" for a split), so nextId can continue from them.
+ */
+export function isValidLayout(layout) {
+  const ids = new Set()
+  const isValidNode = (node, isRoot) => {
+    if (!node || typeof node.id !== 'string' || ids.has(node.id)) return false
+    ids.add(node.id)
+    if (!isSplit(node)) return !isRoot && /^p\d+$/.test(node.id) && typeof node.pane === 'string'
+    return /^s\d+$/.test(node.id) &&
+      (node.direction === 'horizontal' || node.direction === 'vertical') &&
+      node.children.length > 0 &&
+      Array.isArray(node.sizes) &&
+      node.sizes.length === node.children.length &&
+      node.sizes.every(Number.isFinite) &&
+      node.children.every(child => isValidNode(child, false))
+  }
+  return isValidNode(layout, true)
+}
+
+function readStored(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key))
+  } catch {
+    return null
+  }
+}
+
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (err) {
+    console.warn('Failed to store pane layout:', err.message)
+  }
+}
+
+/**
+ * Layout of the last visit, or the default preset.
+ */
+export function loadLayout() {
+  const stored = readStored(LAYOUT_KEY)
+  return isValidLayout(stored) ? stored : BUILTIN_PRESETS[DEFAULT_PRESET]
+}
+
+export function storeLayout(layout) {
+  writeStored(LAYOUT_KEY, layout)
+}
+
+/**
+ * Layout presets saved by the user: { [name]: layout }.
+ */
+export function loadUserPresets() {
+  const stored = readStored(PRESETS_KEY)
+  if (!stored || typeof stored !== 'object') return {}
+  return Object.fromEntries(Object.entries(stored).filter(([, layout]) => isValidLayout(layout)))
+}
+
+export function storeUserPresets(presets) {
+  writeStored(PRESETS_KEY, presets)
+}
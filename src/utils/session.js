@@ -0,0 +1,213 @@
+import { isValidLayout } from './paneLayout'
+
+/**
+ * session - Versioned session files (workspace snapshots)
+ *
+ * A session is a single JSON document:
+ *
+ *   {
+ *     "format": "syndesmoscope-session",
+ *     "version": 2,
+ *     "savedAt": "2026-01-01T12:00:00.000Z",
+ *     "network": {
+ *       "id": "karate-club", "name": "Karate Club",
+ *       "imported": false,                // true: the graph is embedded
+ *       "source": null, "description": "", "tags": ["social"],
+ *       "nodes": 34, "edges": 78,
+ *       "graph": null                     // node-link JSON when imported
+ *     },
+ *     "layout": { "x": [...], "y": [...] },  // node-link positions, or null
+ *     "selection": { "nodes": [0, 5], "edges": [12] },
+ *     "panes": {
+ *       "layout": { "id": "s0", ... },      // pane layout (utils/paneLayout)
+ *       "zoom": { "p0": { "k": 1.5, "x": -20, "y": 31 } }
+ *     },
+ *     "invariants": {
+ *       "hopCensus": { "stub": { metadata, vectors } },  // by census key
+ *                                                         // (utils/hopCensus)
+ *       "kSnakes": { metadata, nodes },                   // or null
+ *       "nodeMetrics": { "degree": [...], ... }           // by metric id
+ *                                                         // (utils/nodeMetrics), or null
+ *     }
+ *   }
+ *
+ * Files from older versions are upgraded step by step (see MIGRATIONS)
+ * before they are read, so old sessions keep loading.
+ */
+
+export const SESSION_FORMAT = 'syndesmoscope-session'
+export const SESSION_VERSION = 2
+export const SESSION_EXTENSION = '.syndesmoscope.json'
+
+// Panes of the fixed, side by side arrangement of version 1 sessions, left
+// to right; slot pN held the Nth (so zoom keys keep pointing at them)
+const V1_PANES = ['nodelink', 'ksnakes', 'hopcensus', 'matrix', 'censuscensus', 'graphprism', 'degree', 'metrics']
+
+// MIGRATIONS[v] upgrades a version v session to version v + 1
+const MIGRATIONS = {
+  // Version 2 stores the pane layout tree instead of the pane sizes
+  1: (session) => {
+    const { sizes, ...panes } = isObject(session.panes) ? session.panes : {}
+    const fits = Array.isArray(sizes) && sizes.length > 0 && sizes.length <= V1_PANES.length
+    return {
+      ...session,
+      version: 2,
+      panes: {
+        ...panes,
+        layout: fits
+          ? {
+              id: 's0',
+              direction: 'horizontal',
+              children: sizes.map((size, i) => ({ id: `p${i}`, pane: V1_PANES[i] })),
+              sizes,
+            }
+          : null,
+      },
+    }
+  },
+}
+
+// Positions are stored with two decimals, which is well below a pixel
+const roundPosition = (value) => Math.round(value * 100) / 100
+
+/**
+ * Build a session document.
+ *
+ * @param {Object} snapshot - From NetworkContext.getNetworkSnapshot()
+ * @param {Object} view - { selectedNodes, selectedEdges, paneLayout
+ *   (see utils/paneLayout), zoom (Map of viewId -> { k, x, y }) }
+ * @returns {Object} - Session (see module doc)
+ */
+export function createSession(snapshot, { selectedNodes, selectedEdges, paneLayout, zoom }) {
+  const { network, nodeLink, layout, hopCensus, kSnakes, nodeMetrics } = snapshot
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    network: {
+      id: network.id,
+      name: network.name,
+      imported: Boolean(network.imported),
+      source: network.source || null,
+      description: network.description || '',
+      tags: network.tags || [],
+      nodes: network.nodes ?? null,
+      edges: network.edges ?? null,
+      graph: network.imported ? nodeLink : null,
+    },
+    layout: layout
+      ? { x: Array.from(layout.x, roundPosition), y: Array.from(layout.y, roundPosition) }
+      : null,
+    selection: {
+      nodes: Array.from(selectedNodes).sort((a, b) => a - b),
+      edges: Array.from(selectedEdges).sort((a, b) => a - b),
+    },
+    panes: {
+      layout: paneLayout || null,
+      zoom: Object.fromEntries(
+        Array.from(zoom || [], ([viewId, { k, x, y }]) => [viewId, { k, x, y }])
+      ),
+    },
+    invariants: {
+      hopCensus: hopCensus || {},
+      kSnakes: kSnakes || null,
+      nodeMetrics: nodeMetrics
+        ? Object.fromEntries(Object.entries(nodeMetrics).map(([id, values]) => [id, Array.from(values)]))
+        : null,
+    },
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isIndexList = (value) => Array.isArray(value) && value.every(v => Number.isInteger(v) && v >= 0)
+
+// Node metrics: one array of numbers per metric, all of the same length
+function readNodeMetrics(value) {
+  if (!isObject(value) || !Array.isArray(value.degree)) return null
+  const n = value.degree.length
+  const lists = Object.entries(value)
+  if (!lists.every(([, values]) => Array.isArray(values) && values.length === n && values.every(Number.isFinite))) {
+    return null
+  }
+  return Object.fromEntries(lists.map(([id, values]) => [id, Float64Array.from(values)]))
+}
+
+/**
+ * Parse, upgrade and check a session file.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} - { network, nodeLink, layout, hopCensus, kSnakes,
+ *   nodeMetrics (or null), selectedNodes, selectedEdges, paneLayout (or null), zoom (Map) }
+ * @throws {Error} - When the file is not a usable session
+ */
+export function readSession(text) {
+  let session
+  try {
+    session = JSON.parse(text)
+  } catch {
+    throw new Error('Not a session file (invalid JSON)')
+  }
+
+  if (!isObject(session) || session.format !== SESSION_FORMAT) {
+    throw new Error('Not a session file')
+  }
+  if (!Number.isInteger(session.version) || session.version < 1) {
+    throw new Error('Session file has no valid version')
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session version ${session.version} is newer than this app supports (${SESSION_VERSION})`)
+  }
+
+  for (let v = session.version; v < SESSION_VERSION; v++) {
+    session = MIGRATIONS[v](session)
+  }
+
+  const { network, layout, selection, panes, invariants } = session
+  if (!isObject(network) || typeof network.id !== 'string') {
+    throw new Error('Session file has no network')
+  }
+  if (network.imported && !isObject(network.graph)) {
+    throw new Error(`Session file does not embed the imported network "${network.name || network.id}"`)
+  }
+
+  const hasLayout = isObject(layout) && Array.isArray(layout.x) && Array.isArray(layout.y) &&
+    layout.x.length === layout.y.length
+
+  const zoom = new Map()
+  Object.entries(isObject(panes?.zoom) ? panes.zoom : {}).forEach(([viewId, t]) => {
+    if (isObject(t) && [t.k, t.x, t.y].every(Number.isFinite) && t.k > 0) {
+      zoom.set(viewId, { k: t.k, x: t.x, y: t.y })
+    }
+  })
+
+  return {
+    network: {
+      id: network.id,
+      name: network.name || network.id,
+      imported: Boolean(network.imported),
+      source: network.source || null,
+      description: network.description || '',
+      tags: Array.isArray(network.tags) && network.tags.length > 0 ? network.tags : ['imported'],
+    },
+    nodeLink: network.imported ? network.graph : null,
+    layout: hasLayout
+      ? { x: Float32Array.from(layout.x), y: Float32Array.from(layout.y) }
+      : null,
+    hopCensus: isObject(invariants?.hopCensus) ? invariants.hopCensus : {},
+    kSnakes: isObject(invariants?.kSnakes) ? invariants.kSnakes : null,
+    nodeMetrics: readNodeMetrics(invariants?.nodeMetrics),
+    selectedNodes: isIndexList(selection?.nodes) ? selection.nodes : [],
+    selectedEdges: isIndexList(selection?.edges) ? selection.edges : [],
+    paneLayout: isValidLayout(panes?.layout) ? panes.layout : null,
+    zoom,
+  }
+}
+
+/**
+ * File name for saving a session of a network, e.g.
+ * "karate-club-2026-01-01.syndesmoscope.json"
+ */
+export function sessionFileName(networkId, date = new Date()) {
+  return `${networkId}-${date.toISOString().slice(0, 10)}${SESSION_EXTENSION}`
+}
@@ -0,0 +1,263 @@
+import { isValidLayout } from './paneLayout'
+
+/**
+ * urlState - Encode the shareable view state in the URL hash
+ *
+ *   #net=karate-club&nodes=0.5-9.x&edges=c
+ *     &layout=s0_100_h_2*p0_40_nodelink*s1_60_v_2*p1_50_ksnakes*p2_50_matrix
+ *     &zoom.p0=1.5_-20_31
+ *
+ *   net      network id
+ *   nodes    selected node_idx values (see encodeIndexSet)
+ *   edges    selected edge_idx values
+ *   layout   pane layout (see encodeLayout)
+ *   panes    pane sizes in percent, left to right: the whole layout of
+ *            links made before it was a tree (read, but no longer written)
+ *   zoom.ID  zoom transform "k_x_y" of the pane with viewId ID
+ *            (omitted when the pane is not zoomed)
+ *
+ * Only characters that URLSearchParams leaves unescaped are used, so the
+ * hash stays readable and short.
+ */
+
+const PARAM_ZOOM_PREFIX = 'zoom.'
+
+// Indices decoded at most when the item count is unknown, so a
+// hand-edited range like "0-zzzzzz" can't expand to billions
+const MAX_INDEX_COUNT = 1 << 20
+
+// Index sets: sorted runs in base 36, e.g. [0, 5, 6, 7, 8, 9, 33] -> "0.5-9.x"
+function encodeRanges(indices) {
+  const parts = []
+  let i = 0
+  while (i < indices.length) {
+    let j = i
+    while (j + 1 < indices.length && indices[j + 1] === indices[j] + 1) j++
+    parts.push(i === j
+      ? indices[i].toString(36)
+      : `${indices[i].toString(36)}-${indices[j].toString(36)}`)
+    i = j + 1
+  }
+  return parts.join('.')
+}
+
+function decodeRanges(text, count) {
+  const indices = []
+  text.split('.').forEach(part => {
+    const [from, to = from] = part.split('-').map(s => parseInt(s, 36))
+    if (!Number.isInteger(from) || !Number.isInteger(to) || to < from) return
+    const last = Math.min(to, count - 1)
+    for (let idx = from; idx <= last; idx++) indices.push(idx)
+  })
+  return indices
+}
+
+// Index sets: "*" followed by a base64url bitset, for large scattered sets
+function encodeBitset(indices) {
+  const bytes = new Uint8Array((indices[indices.length - 1] >> 3) + 1)
+  indices.forEach(idx => { bytes[idx >> 3] |= 1 << (idx & 7) })
+  let binary = ''
+  bytes.forEach(b => { binary += String.fromCharCode(b) })
+  return '*' + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function decodeBitset(text, count) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  const indices = []
+  for (let i = 0; i < Math.min(binary.length, Math.ceil(count / 8)); i++) {
+    const byte = binary.charCodeAt(i)
+    for (let bit = 0; bit < 8; bit++) {
+      if (byte & (1 << bit)) indices.push(i * 8 + bit)
+    }
+  }
+  return count % 8 === 0 ? indices : indices.filter(idx => idx < count)
+}
+
+/**
+ * Encode a set of non-negative integers, choosing whichever of the run
+ * and bitset encodings is shorter.
+ */
+export function encodeIndexSet(set) {
+  const indices = Array.from(set).sort((a, b) => a - b)
+  if (indices.length === 0) return ''
+  const ranges = encodeRanges(indices)
+  const bitset = encodeBitset(indices)
+  return bitset.length < ranges.length ? bitset : ranges
+}
+
+/**
+ * Decode a set encoded by encodeIndexSet, keeping only indices below
+ * `count` (the number of items, when known).
+ */
+export function decodeIndexSet(text, count = null) {
+  if (!text) return []
+  const limit = count ?? MAX_INDEX_COUNT
+  try {
+    return text.startsWith('*') ? decodeBitset(text.slice(1), limit) : decodeRanges(text, limit)
+  } catch {
+    return []
+  }
+}
+
+const round = (value, digits) => {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+function encodeZoom({ k, x, y }) {
+  return `${round(k, 3)}_${round(x, 1)}_${round(y, 1)}`
+}
+
+function decodeZoom(text) {
+  const [k, x, y] = text.split('_').map(Number)
+  if (![k, x, y].every(Number.isFinite) || k <= 0) return null
+  return { k, x, y }
+}
+
+function isIdentity({ k, x, y }) {
+  return round(k, 3) === 1 && round(x, 1) === 0 && round(y, 1) === 0
+}
+
+// Layout fields are percent-encoded, "_" and "*" included, so they can't
+// be mistaken for separators
+const escapeField = (text) =>
+  encodeURIComponent(text).replace(/[_*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+
+/**
+ * Encode a pane layout (see utils/paneLayout): its splits and slots in
+ * depth-first order, separated by "*", each with its share of the
+ * enclosing split in percent (100 for the root):
+ *
+ *   ID_SIZE_h_N / ID_SIZE_v_N   split of N children, side by side / stacked
+ *   ID_SIZE_PANE                slot showing pane type PANE
+ */
+export function encodeLayout(layout) {
+  const tokens = []
+  const visit = (node, size) => {
+    const head = `${escapeField(node.id)}_${round(size, 1)}`
+    if (Array.isArray(node.children)) {
+      tokens.push(`${head}_${node.direction === 'vertical' ? 'v' : 'h'}_${node.children.length}`)
+      node.children.forEach((child, i) => visit(child, node.sizes[i]))
+    } else {
+      tokens.push(`${head}_${escapeField(node.pane)}`)
+    }
+  }
+  visit(layout, 100)
+  return tokens.join('*')
+}
+
+/**
+ * Decode a layout of encodeLayout, or null when malformed.
+ */
+export function decodeLayout(text) {
+  if (!text) return null
+  const tokens = text.split('*')
+  let next = 0
+
+  // Node of the next token, with its size; throws when malformed
+  const read = () => {
+    const fields = tokens[next++]?.split('_').map(decodeURIComponent)
+    if (!fields || (fields.length !== 3 && fields.length !== 4)) throw new Error('Malformed layout')
+    const [id, size] = fields
+    if (fields.length === 3) return { node: { id, pane: fields[2] }, size: Number(size) }
+
+    const direction = { h: 'horizontal', v: 'vertical' }[fields[2]]
+    const count = Number(fields[3])
+    if (!direction || !Number.isInteger(count) || count < 1) throw new Error('Malformed layout')
+    const children = []
+    const sizes = []
+    for (let i = 0; i < count; i++) {
+      const child = read()
+      children.push(child.node)
+      sizes.push(child.size)
+    }
+    return { node: { id, direction, children, sizes }, size: Number(size) }
+  }
+
+  try {
+    const { node } = read()
+    return next === tokens.length && isValidLayout(node) ? node : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Build the hash for a view state.
+ *
+ * @param {Object} state - { networkId, selectedNodes, selectedEdges,
+ *   layout (see utils/paneLayout, or null), zoom (Map of viewId -> { k, x, y }) }
+ * @returns {string} - Hash without the leading "#"
+ */
+export function encodeUrlState({ networkId, selectedNodes, selectedEdges, layout, zoom }) {
+  const params = new URLSearchParams()
+  if (networkId) params.set('net', networkId)
+
+  const nodes = encodeIndexSet(selectedNodes || [])
+  const edges = encodeIndexSet(selectedEdges || [])
+  if (nodes) params.set('nodes', nodes)
+  if (edges) params.set('edges', edges)
+
+  if (layout) params.set('layout', encodeLayout(layout))
+
+  if (zoom) {
+    Array.from(zoom.keys()).sort().forEach(viewId => {
+      const transform = zoom.get(viewId)
+      if (transform && !isIdentity(transform)) {
+        params.set(PARAM_ZOOM_PREFIX + viewId, encodeZoom(transform))
+      }
+    })
+  }
+
+  return params.toString()
+}
+
+/**
+ * Parse a hash (with or without the leading "#"). Malformed parts are
+ * ignored rather than reported, since hashes are often hand-edited.
+ * Selections keep only the indices of the network's nodes and edges, as
+ * counted by `itemCounts(networkId)` ({ nodes, edges }, or null when
+ * unknown).
+ *
+ * @returns {Object} - { networkId, selectedNodes, selectedEdges, layout,
+ *   paneSizes, zoom } with arrays for the selections; layout and
+ *   paneSizes may be null
+ */
+export function decodeUrlState(hash, itemCounts = () => null) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const networkId = params.get('net') || null
+  const counts = networkId ? itemCounts(networkId) : null
+
+  const sizes = (params.get('panes') || '').split('_').map(Number)
+  const paneSizes = sizes.length > 1 && sizes.every(s => Number.isFinite(s) && s >= 0)
+    ? sizes
+    : null
+
+  const zoom = new Map()
+  params.forEach((value, key) => {
+    if (!key.startsWith(PARAM_ZOOM_PREFIX)) return
+    const transform = decodeZoom(value)
+    if (transform) zoom.set(key.slice(PARAM_ZOOM_PREFIX.length), transform)
+  })
+
+  return {
+    networkId,
+    selectedNodes: decodeIndexSet(params.get('nodes'), counts?.nodes),
+    selectedEdges: decodeIndexSet(params.get('edges'), counts?.edges),
+    layout: decodeLayout(params.get('layout')),
+    paneSizes,
+    zoom,
+  }
+}
+
+/**
+ * The part of a hash that is worth a history entry: everything except
+ * zoom, which changes continuously and only replaces the current entry.
+ */
+export function withoutZoom(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  Array.from(params.keys())
+    .filter(key => key.startsWith(PARAM_ZOOM_PREFIX))
+    .forEach(key => params.delete(key))
+  return params.toString()
+}
@@ -0,0 +1,489 @@
+import { DATA_FILES } from './catalog'
+import { nodeCount, getEdgeArrays, DIRECTIONS } from './graph'
+import { DEFAULT_VARIANT, censusKey, censusVariant } from './hopCensus'
+
+/**
+ * validation - Schema and cross-file consistency checks for network data
+ *
+ * validateNetwork() checks each loaded file against its schema, then
+ * cross-references the files with each other and with the catalog entry.
+ * The result is a structured report:
+ *
+ *   {
+ *     files:  { nodelink: 'ok' | 'missing' | 'invalid' | 'unlisted' | 'skipped', ... },
+ *     graphFile: 'packed' | 'nodelink',
+ *     issues: [{ severity, code, file, message, count, examples }],
+ *     errorCount,
+ *     warningCount
+ *   }
+ *
+ * The graph itself comes from network.bin when that was loaded (and
+ * nodelink.json is then 'skipped'), otherwise from nodelink.json; that
+ * file is the report's graphFile. Errors in the graph file make the
+ * network unusable; errors in an invariant file mean that file is
+ * discarded and the invariant is computed in the browser instead.
+ */
+
+// Maximum number of offending items listed per issue
+const MAX_EXAMPLES = 5
+
+const INDEX = { type: 'integer', minimum: 0 }
+
+export const SCHEMAS = {
+  nodelink: {
+    type: 'object',
+    required: ['nodes', 'edges'],
+    properties: {
+      metadata: {
+        type: 'object',
+        properties: { directed: { type: 'boolean' } }
+      },
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['node_idx'],
+          properties: { node_idx: INDEX, degree: INDEX }
+        }
+      },
+      edges: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['edge_idx', 'source', 'target'],
+          properties: {
+            edge_idx: INDEX,
+            source: INDEX,
+            target: INDEX,
+            weight: { type: 'number', minimum: 0 }
+          }
+        }
+      }
+    }
+  },
+  hopcensus: {
+    type: 'object',
+    required: ['vectors'],
+    properties: {
+      metadata: {
+        type: 'object',
+        properties: {
+          constituent: { type: 'string', enum: ['node', 'stub', 'edge'] },
+          direction: { type: 'string', enum: DIRECTIONS },
+          weighted: { type: 'boolean' }
+        }
+      },
+      vectors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['node_idx', 'values'],
+          properties: {
+            node_idx: INDEX,
+            values: { type: 'array', items: { type: 'number', minimum: 0 } }
+          }
+        }
+      }
+    }
+  },
+  ksnakes: {
+    type: 'object',
+    required: ['nodes'],
+    properties: {
+      metadata: { type: 'object' },
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['node_idx'],
+          properties: { node_idx: INDEX, degree: INDEX, core: INDEX, order: INDEX }
+        }
+      }
+    }
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+/**
+ * Check a value against a (small JSON-Schema-like) schema.
+ * Supports type, required, properties, items, enum and minimum.
+ *
+ * @returns {Array} - [{ path, message }]
+ */
+export function checkSchema(value, schema, path = '$', problems = []) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    problems.push({ path, message: `expected ${schema.type}, found ${typeOf(value)}` })
+    return problems
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path, message: `expected one of ${schema.enum.join(', ')}, found ${JSON.stringify(value)}` })
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    problems.push({ path, message: `expected >= ${schema.minimum}, found ${value}` })
+  }
+  if (schema.required) {
+    schema.required.forEach(key => {
+      if (value[key] === undefined) problems.push({ path, message: `missing "${key}"` })
+    })
+  }
+  if (schema.properties) {
+    Object.entries(schema.properties).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) checkSchema(value[key], propSchema, `${path}.${key}`, problems)
+    })
+  }
+  if (schema.items) {
+    value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, problems))
+  }
+  return problems
+}
+
+// Collects issues, aggregating repeated problems into one entry
+class Report {
+  constructor(graphFile) {
+    this.files = {}
+    this.graphFile = graphFile
+    this.issues = []
+  }
+
+  add(severity, code, file, message, examples = []) {
+    this.issues.push({
+      severity,
+      code,
+      file,
+      message,
+      count: examples.length || 1,
+      examples: examples.slice(0, MAX_EXAMPLES)
+    })
+  }
+
+  hasErrors(file) {
+    return this.issues.some(i => i.severity === 'error' && i.file === file)
+  }
+
+  toJSON() {
+    return {
+      files: this.files,
+      graphFile: this.graphFile,
+      issues: this.issues,
+      errorCount: this.issues.filter(i => i.severity === 'error').length,
+      warningCount: this.issues.filter(i => i.severity === 'warning').length
+    }
+  }
+}
+
+// Find duplicate and out-of-range indices in a list of records
+function checkIndices(report, file, records, key, expectedCount) {
+  const seen = new Set()
+  const duplicates = []
+  const outOfRange = []
+
+  records.forEach(record => {
+    const idx = record[key]
+    if (seen.has(idx)) duplicates.push(idx)
+    seen.add(idx)
+    if (idx >= expectedCount) outOfRange.push(idx)
+  })
+
+  if (duplicates.length > 0) {
+    report.add('error', 'duplicate-index', file,
+      `${duplicates.length} duplicate ${key} value(s)`, duplicates)
+  }
+  if (outOfRange.length > 0) {
+    report.add('error', 'index-range', file,
+      `${outOfRange.length} ${key} value(s) outside 0..${expectedCount - 1}`, outOfRange)
+  }
+  return duplicates.length === 0 && outOfRange.length === 0
+}
+
+/**
+ * Structural checks of a decoded network.bin (see utils/packedGraph),
+ * the packed counterpart of checkSchema.
+ *
+ * @returns {Array} - [{ path, message }]
+ */
+export function checkPacked(nodeLink) {
+  const { nodeCount: n, edgeCount: m, sources, targets, weights, offsets, neighbors } = nodeLink.packed
+  const problems = []
+
+  if (sources.length !== m || targets.length !== m) {
+    problems.push({ path: '$.sources', message: `expected ${m} edge endpoints, found ${sources.length} / ${targets.length}` })
+  }
+  if (weights) {
+    if (weights.length !== m) {
+      problems.push({ path: '$.weights', message: `expected ${m} edge weights, found ${weights.length}` })
+    }
+    const bad = weights.findIndex(w => !(w >= 0) || w === Infinity)
+    if (bad !== -1) {
+      problems.push({ path: `$.weights[${bad}]`, message: `expected a finite weight >= 0, found ${weights[bad]}` })
+    }
+  }
+  Object.entries(nodeLink.packed.attributes || {}).forEach(([kind, columns]) => {
+    const expected = kind === 'nodes' ? n : m
+    Object.entries(columns).forEach(([name, column]) => {
+      if (!Array.isArray(column) || column.length !== expected) {
+        problems.push({ path: `$.attributes.${kind}.${name}`, message: `expected ${expected} values` })
+      }
+    })
+  })
+  if (neighbors.length !== 2 * m) {
+    problems.push({ path: '$.neighbors', message: `expected ${2 * m} entries, found ${neighbors.length}` })
+  }
+  if (offsets[0] !== 0 || offsets[n] !== neighbors.length) {
+    problems.push({ path: '$.offsets', message: `expected to run from 0 to ${neighbors.length}` })
+  }
+  for (let u = 0; u < n; u++) {
+    if (offsets[u + 1] < offsets[u]) {
+      problems.push({ path: `$.offsets[${u + 1}]`, message: 'offsets decrease' })
+      break
+    }
+  }
+  for (let i = 0; i < neighbors.length; i++) {
+    if (neighbors[i] >= n) {
+      problems.push({ path: `$.neighbors[${i}]`, message: `node ${neighbors[i]} does not exist` })
+      break
+    }
+  }
+  return problems
+}
+
+// Metadata and catalog counts against the actual graph size
+function checkCounts(report, file, nodeLink, entry, n, m) {
+  const meta = nodeLink.metadata || {}
+  if (meta.nodes !== undefined && meta.nodes !== n) {
+    report.add('warning', 'count-mismatch', file,
+      `metadata.nodes is ${meta.nodes} but there are ${n} nodes`)
+  }
+  if (meta.edges !== undefined && meta.edges !== m) {
+    report.add('warning', 'count-mismatch', file,
+      `metadata.edges is ${meta.edges} but there are ${m} edges`)
+  }
+  if (entry?.nodes != null && entry.nodes !== n) {
+    report.add('warning', 'catalog-mismatch', file,
+      `Catalog lists ${entry.nodes} nodes but the file has ${n}`)
+  }
+  if (entry?.edges != null && entry.edges !== m) {
+    report.add('warning', 'catalog-mismatch', file,
+      `Catalog lists ${entry.edges} edges but the file has ${m}`)
+  }
+  const directed = Boolean(nodeLink.packed ? nodeLink.packed.directed : meta.directed)
+  if (entry && Boolean(entry.directed) !== directed) {
+    report.add('warning', 'catalog-mismatch', file,
+      `Catalog lists the network as ${entry.directed ? 'directed' : 'undirected'} but the file is ${directed ? 'directed' : 'undirected'}`)
+  }
+}
+
+function checkNodeLink(report, nodeLink, entry) {
+  const file = 'nodelink'
+  const n = nodeLink.nodes.length
+  const m = nodeLink.edges.length
+
+  const nodesOk = checkIndices(report, file, nodeLink.nodes, 'node_idx', n)
+  checkIndices(report, file, nodeLink.edges, 'edge_idx', m)
+
+  const dangling = nodeLink.edges
+    .filter(e => e.source >= n || e.target >= n)
+    .map(e => `edge ${e.edge_idx}: ${e.source}-${e.target}`)
+  if (dangling.length > 0) {
+    report.add('error', 'dangling-endpoint', file,
+      `${dangling.length} edge(s) reference nodes that do not exist`, dangling)
+  }
+
+  checkCounts(report, file, nodeLink, entry, n, m)
+
+  // Degrees, from the edge list
+  const degree = new Array(n).fill(0)
+  if (nodesOk && dangling.length === 0) {
+    nodeLink.edges.forEach(e => {
+      degree[e.source]++
+      degree[e.target]++
+    })
+    const wrongDegree = nodeLink.nodes
+      .filter(node => node.degree !== undefined && node.degree !== degree[node.node_idx])
+      .map(node => `node ${node.node_idx}: ${node.degree} (expected ${degree[node.node_idx]})`)
+    if (wrongDegree.length > 0) {
+      report.add('warning', 'degree-mismatch', file,
+        `${wrongDegree.length} node degree(s) disagree with the edge list`, wrongDegree)
+    }
+  }
+
+  return degree
+}
+
+function checkPackedGraph(report, nodeLink, entry) {
+  const file = 'packed'
+  const { nodeCount: n, edgeCount: m, sources, targets, degree: csrDegree } = nodeLink.packed
+
+  const dangling = []
+  for (let i = 0; i < m; i++) {
+    if (sources[i] >= n || targets[i] >= n) dangling.push(`edge ${i}: ${sources[i]}-${targets[i]}`)
+  }
+  if (dangling.length > 0) {
+    report.add('error', 'dangling-endpoint', file,
+      `${dangling.length} edge(s) reference nodes that do not exist`, dangling)
+  }
+
+  checkCounts(report, file, nodeLink, entry, n, m)
+
+  // The CSR must describe the same graph as the edge arrays
+  const degree = new Array(n).fill(0)
+  if (dangling.length === 0) {
+    for (let i = 0; i < m; i++) {
+      degree[sources[i]]++
+      degree[targets[i]]++
+    }
+    const wrongDegree = []
+    for (let u = 0; u < n; u++) {
+      if (csrDegree[u] !== degree[u]) wrongDegree.push(`node ${u}: ${csrDegree[u]} (expected ${degree[u]})`)
+    }
+    if (wrongDegree.length > 0) {
+      report.add('error', 'csr-mismatch', file,
+        `${wrongDegree.length} adjacency row(s) disagree with the edge arrays`, wrongDegree)
+    }
+  }
+
+  return degree
+}
+
+function checkHopCensus(report, hopCensus, nodeLink, degree) {
+  const file = 'hopcensus'
+  const n = nodeCount(nodeLink)
+  const vectors = hopCensus.vectors
+
+  if (vectors.length !== n) {
+    report.add('error', 'count-mismatch', file,
+      `${vectors.length} census vectors for ${n} nodes`)
+  }
+  if (!checkIndices(report, file, vectors, 'node_idx', n)) return
+
+  const constituent = hopCensus.metadata?.constituent || 'stub'
+
+  // The spot-check below only covers the total, unweighted census
+  if (censusKey(constituent, censusVariant(hopCensus.metadata)) !== censusKey(constituent, DEFAULT_VARIANT)) return
+
+  // Spot-check the first two hops against the nodelink edges
+  const neighborDegree = new Array(n).fill(0)
+  const { sources, targets } = getEdgeArrays(nodeLink)
+  for (let i = 0; i < sources.length; i++) {
+    neighborDegree[sources[i]] += degree[targets[i]]
+    neighborDegree[targets[i]] += degree[sources[i]]
+  }
+
+  const expected = (u) => {
+    if (constituent === 'node') return [1, degree[u]]
+    if (constituent === 'stub') return [degree[u], neighborDegree[u]]
+    return [degree[u]]
+  }
+
+  const wrong = []
+  vectors.forEach(v => {
+    const exp = expected(v.node_idx)
+    if (exp.some((value, h) => (v.values[h] ?? 0) !== value)) wrong.push(`node ${v.node_idx}: [${v.values.slice(0, exp.length)}] (expected [${exp}])`)
+  })
+  if (wrong.length > 0) {
+    report.add('error', 'census-mismatch', file,
+      `${wrong.length} ${constituent} census vector(s) disagree with the edge list`, wrong)
+  }
+}
+
+function checkKSnakes(report, kSnakes, nodeLink, degree) {
+  const file = 'ksnakes'
+  const n = nodeCount(nodeLink)
+
+  if (kSnakes.nodes.length !== n) {
+    report.add('error', 'count-mismatch', file,
+      `${kSnakes.nodes.length} k-snakes nodes for ${n} nodelink nodes`)
+  }
+  if (!checkIndices(report, file, kSnakes.nodes, 'node_idx', n)) return
+
+  const wrongDegree = kSnakes.nodes
+    .filter(node => node.degree !== undefined && node.degree !== degree[node.node_idx])
+    .map(node => `node ${node.node_idx}: ${node.degree} (expected ${degree[node.node_idx]})`)
+  if (wrongDegree.length > 0) {
+    report.add('error', 'degree-mismatch', file,
+      `${wrongDegree.length} degree(s) disagree with nodelink.json`, wrongDegree)
+  }
+}
+
+/**
+ * Validate the files of one network.
+ *
+ * @param {Object} data - { nodeLink, hopCensus, kSnakes } (null when absent);
+ *   nodeLink is either nodelink JSON or a decoded network.bin
+ * @param {Object} entry - Catalog entry (may be null)
+ * @param {Object} fetchErrors - Optional { [fileKey]: message } for files
+ *   that were listed but could not be fetched or parsed
+ * @returns {Object} - Report (see module doc)
+ */
+export function validateNetwork(data, entry = null, fetchErrors = {}) {
+  const graphFile = data.nodeLink?.packed ? 'packed' : 'nodelink'
+  const report = new Report(graphFile)
+  const listed = entry ? entry.files : Object.keys(DATA_FILES)
+  const byKey = {
+    packed: graphFile === 'packed' ? data.nodeLink : null,
+    nodelink: graphFile === 'nodelink' ? data.nodeLink : null,
+    hopcensus: data.hopCensus,
+    ksnakes: data.kSnakes
+  }
+
+  Object.keys(DATA_FILES).forEach(key => {
+    const value = byKey[key]
+
+    if (fetchErrors[key]) {
+      report.files[key] = 'invalid'
+      // A broken network.bin only matters if nodelink.json can't stand in,
+      // which is reported on nodelink.json itself
+      report.add(key === 'packed' ? 'warning' : 'error', 'unreadable-file', key,
+        `${DATA_FILES[key]}: ${fetchErrors[key]}`)
+      return
+    }
+    if (key === 'nodelink' && graphFile === 'packed') {
+      report.files[key] = 'skipped'
+      return
+    }
+    if (value == null) {
+      report.files[key] = listed.includes(key) ? 'missing' : 'unlisted'
+      if (listed.includes(key)) {
+        report.add(key === graphFile ? 'error' : 'warning', 'missing-file', key,
+          `${DATA_FILES[key]} is listed in the catalog but was not found`)
+      }
+      return
+    }
+
+    const problems = key === 'packed' ? checkPacked(value) : checkSchema(value, SCHEMAS[key])
+    if (problems.length > 0) {
+      report.add('error', 'schema', key,
+        `${DATA_FILES[key]} does not match its schema`,
+        problems.map(p => `${p.path}: ${p.message}`))
+    }
+    report.files[key] = problems.length > 0 ? 'invalid' : 'ok'
+  })
+
+  // Cross-file checks need a structurally valid graph
+  if (report.files[graphFile] === 'ok') {
+    const degree = graphFile === 'packed'
+      ? checkPackedGraph(report, data.nodeLink, entry)
+      : checkNodeLink(report, data.nodeLink, entry)
+    if (!report.hasErrors(graphFile)) {
+      if (report.files.hopcensus === 'ok') checkHopCensus(report, data.hopCensus, data.nodeLink, degree)
+      if (report.files.ksnakes === 'ok') checkKSnakes(report, data.kSnakes, data.nodeLink, degree)
+    }
+  }
+
+  // Files with errors are marked invalid so callers can discard them
+  Object.keys(DATA_FILES).forEach(key => {
+    if (report.files[key] === 'ok' && report.hasErrors(key)) report.files[key] = 'invalid'
+  })
+
+  return report.toJSON()
+}
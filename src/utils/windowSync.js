@@ -0,0 +1,83 @@
+/**
+ * windowSync - Messages between the windows of the app
+ *
+ * A pane can be detached into a window of its own (see
+ * components/DetachedPane). The main window and the detached ones talk
+ * over a BroadcastChannel, one per window, with these messages:
+ *
+ *   { type: 'hello' }                                 // a detached window opened
+ *   { type: 'selection', hoveredNodes, hoveredEdges,
+ *     selectedNodes, selectedEdges }                  // index arrays
+ *   { type: 'network', snapshot }                     // see NetworkContext
+ *   { type: 'redock', slotId }                        // detached -> main
+ *   { type: 'close', slotId }                         // main -> detached
+ *
+ * Every tab of the app joins the channel, so messages carry the id of the
+ * main window they belong to (detached windows get it from their URL),
+ * and a window only hears its own main window and that window's detached
+ * panes; other tabs go their own way. A window never receives its own
+ * messages. Where BroadcastChannel is missing, messages go nowhere.
+ */
+
+const CHANNEL_NAME = 'syndesmoscope-sync'
+
+let channel
+
+/**
+ * Pane shown by this window when it is a detached one: { pane, slotId,
+ * opener } (opener: id of the main window), or null for a main window.
+ */
+export function detachedPaneParams() {
+  const params = new URLSearchParams(window.location.search)
+  const pane = params.get('pane')
+  const slotId = params.get('slot')
+  const opener = params.get('opener')
+  return pane && slotId && opener ? { pane, slotId, opener } : null
+}
+
+export const isDetachedWindow = detachedPaneParams() !== null
+
+// Id of the main window this window belongs to (its own, for a main window)
+const groupId = isDetachedWindow
+  ? detachedPaneParams().opener
+  : Math.random().toString(36).slice(2, 10)
+
+function getChannel() {
+  if (channel === undefined) {
+    channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME)
+  }
+  return channel
+}
+
+/**
+ * Send a message to the other windows.
+ */
+export function postWindowMessage(message) {
+  try {
+    getChannel()?.postMessage({ ...message, group: groupId })
+  } catch (err) {
+    console.warn(`Failed to send "${message.type}" to the other windows:`, err.message)
+  }
+}
+
+/**
+ * Listen to messages of a type from the other windows of this main
+ * window; returns an unsubscribe function.
+ */
+export function onWindowMessage(type, handler) {
+  const current = getChannel()
+  if (!current) return () => {}
+  const listener = (event) => {
+    if (event.data?.type === type && event.data.group === groupId) handler(event.data)
+  }
+  current.addEventListener('message', listener)
+  return () => current.removeEventListener('message', listener)
+}
+
+/**
+ * URL of the detached window of a slot.
+ */
+export function detachedPaneUrl(slot) {
+  const params = new URLSearchParams({ pane: slot.pane, slot: slot.id, opener: groupId })
+  return `${window.location.pathname}?${params}`
+}
@@ -0,0 +1,56 @@
+import { buildAdjacency } from '../utils/graph'
+import { computeHopCensus, weightedBinWidth } from '../utils/hopCensus'
+
+/**
+ * Hop-Census worker
+ *
+ * Runs one BFS (or Dijkstra run, for a weighted census) per node off the
+ * main thread.
+ *
+ * In:  { nodeCount, sources, targets, weights, constituent, direction,
+ *        weighted, name }
+ * Out: { type: 'progress', done, total }
+ *      { type: 'result', census }   - census in hopcensus.json shape (a
+ *                                     weighted one with its binWidth)
+ *      { type: 'error', message }
+ *
+ * Cancellation is done by terminating the worker.
+ */
+
+// Post at most ~100 progress messages per run
+const PROGRESS_STEPS = 100
+
+self.onmessage = (event) => {
+  const { nodeCount, sources, targets, weights, constituent, direction, weighted, name } = event.data
+
+  try {
+    const adjacency = buildAdjacency(nodeCount, sources, targets, {
+      direction,
+      weights: weighted ? weights : null
+    })
+    const step = Math.max(1, Math.floor(nodeCount / PROGRESS_STEPS))
+
+    const vectors = computeHopCensus(adjacency, constituent, (done, total) => {
+      if (done % step === 0 || done === total) {
+        self.postMessage({ type: 'progress', done, total })
+      }
+    }, weighted)
+
+    self.postMessage({
+      type: 'result',
+      census: {
+        metadata: {
+          name,
+          type: 'hop-census',
+          constituent,
+          direction,
+          weighted,
+          ...(weighted && { binWidth: weightedBinWidth(adjacency.weights) })
+        },
+        vectors
+      }
+    })
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message })
+  }
+}
@@ -0,0 +1,39 @@
+import { computeNodeMetrics } from '../utils/nodeMetrics'
+
+/**
+ * Node metrics worker
+ *
+ * Runs the per-node metrics (see utils/nodeMetrics), one BFS per node,
+ * off the main thread.
+ *
+ * In:  { nodeCount, sources, targets }
+ * Out: { type: 'progress', done, total }
+ *      { type: 'result', metrics }   - { [metricId]: Float64Array }
+ *      { type: 'error', message }
+ *
+ * Cancellation is done by terminating the worker.
+ */
+
+// Post at most ~100 progress messages per run
+const PROGRESS_STEPS = 100
+
+self.onmessage = (event) => {
+  const { nodeCount, sources, targets } = event.data
+
+  try {
+    const step = Math.max(1, Math.floor(nodeCount / PROGRESS_STEPS))
+
+    const metrics = computeNodeMetrics(nodeCount, sources, targets, (done, total) => {
+      if (done % step === 0 || done === total) {
+        self.postMessage({ type: 'progress', done, total })
+      }
+    })
+
+    self.postMessage(
+      { type: 'result', metrics },
+      Object.values(metrics).map(values => values.buffer)
+    )
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message })
+  }
+}